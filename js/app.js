@@ -7,6 +7,10 @@ class App {
     this.editorManager = null;
     this.fileHandler = null;
     this.uiManager = null;
+    this.templateManager = null;
+    this.templateEditor = null;
+    this.slidePresenter = null;
+    this.versionHistory = null;
   }
 
   /**
@@ -16,6 +20,9 @@ class App {
     console.log('Initializing Korean PDF Converter...');
 
     try {
+      // 문서 저장소(IndexedDB) 준비 및 이전 로컬 스토리지 문서 이전
+      await StorageManager.init();
+
       // UI Manager 초기화
       this.uiManager = new UIManager();
       this.uiManager.init();
@@ -27,6 +34,15 @@ class App {
       // File Handler 초기화
       this.fileHandler = new FileHandler();
 
+      // PDF 템플릿 불러오기
+      this.templateManager = new TemplateManager();
+      await this.templateManager.load();
+      this.applyTemplate(StorageManager.getSettings().defaultTemplate);
+      this.templateEditor = new TemplateEditor(this.templateManager, this.uiManager);
+      this.slidePresenter = new SlidePresenter(this.editorManager, this.uiManager);
+      this.versionHistory = new VersionHistory(this.editorManager, this.uiManager);
+      this.uiManager.updateWatermarkStatus(StorageManager.getSettings().watermark.enabled);
+
       // 이벤트 리스너 설정
       this.setupEventListeners();
 
@@ -63,6 +79,47 @@ class App {
       this.editorManager.loadDocument(e.detail.document);
     });
 
+    // PDF 내보내기 (Ctrl+P)
+    window.addEventListener('export-pdf', () => {
+      this.exportPDF();
+    });
+
+    // PDF 템플릿 변경
+    window.addEventListener('template-change', (e) => {
+      this.applyTemplate(e.detail.name);
+    });
+
+    // 저장된 문서 일괄 내보내기
+    window.addEventListener('open-batch-export', () => {
+      const documents = StorageManager.getAllDocuments();
+      this.openBatchExportModal(documents.map(doc => ({ name: doc.title, content: doc.content })));
+    });
+
+    // 워터마크 설정
+    window.addEventListener('open-watermark-settings', () => {
+      this.openWatermarkModal();
+    });
+
+    // 발표 모드
+    window.addEventListener('start-presentation', () => {
+      this.slidePresenter.open(this.editorManager.getContent());
+    });
+
+    // 버전 기록
+    window.addEventListener('open-version-history', () => {
+      this.versionHistory.open();
+    });
+
+    // 템플릿 편집기 열기
+    window.addEventListener('open-template-editor', () => {
+      this.templateEditor.open();
+    });
+
+    // 사용자 정의 템플릿 추가/수정/삭제 (삭제된 템플릿을 쓰던 중이면 기본 템플릿으로)
+    window.addEventListener('templates-changed', () => {
+      this.applyTemplate(StorageManager.getSettings().defaultTemplate);
+    });
+
     // 마크다운 도구
     window.addEventListener('markdown-bold', () => {
       this.editorManager.markdownHelper.bold();
@@ -104,6 +161,10 @@ class App {
       this.editorManager.markdownHelper.horizontalRule();
     });
 
+    window.addEventListener('markdown-pagebreak', () => {
+      this.editorManager.markdownHelper.pageBreak();
+    });
+
     window.addEventListener('markdown-link', () => {
       this.editorManager.insertLink();
     });
@@ -181,15 +242,65 @@ class App {
     });
   }
 
+  /**
+   * PDF 템플릿 적용 (설정 저장, 미리보기 스타일, 템플릿 메뉴 갱신)
+   * @param {string} name - 템플릿 이름
+   */
+  applyTemplate(name) {
+    const template = this.templateManager.getTemplate(name);
+
+    const settings = StorageManager.getSettings();
+    if (settings.defaultTemplate !== template.name) {
+      settings.defaultTemplate = template.name;
+      StorageManager.saveSettings(settings);
+    }
+
+    this.editorManager.setTemplate(template);
+    this.uiManager.renderTemplateOptions(this.templateManager.getAllTemplates(), template.name);
+  }
+
   /**
    * 설정 모달 열기
    */
   openSettingsModal() {
     const settings = window.aiService.getSettings();
+    const activeTemplate = this.templateManager.getTemplate(StorageManager.getSettings().defaultTemplate);
+    const templateOptions = this.templateManager.getAllTemplates()
+      .map(t => `<option value="${MarkdownHelper.escapeHTML(t.name)}" ${t.name === activeTemplate.name ? 'selected' : ''}>${MarkdownHelper.escapeHTML(t.displayName || t.name)}</option>`)
+      .join('');
     
     // 모달 컨텐츠 렌더링
     const content = `
       <div class="space-y-4">
+        <div>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">PDF 템플릿</label>
+          <select id="template-select" class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+            ${templateOptions}
+          </select>
+          <div id="template-info" class="mt-2"></div>
+        </div>
+
+        <div>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">작성자</label>
+          <input type="text" id="author-input" value="${MarkdownHelper.escapeHTML(StorageManager.getSettings().author)}" placeholder="머리글/바닥글의 {author}에 표시됩니다"
+            class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+        </div>
+
+        <div>
+          <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="cover-page-input" ${StorageManager.getSettings().coverPage ? 'checked' : ''} class="rounded border-gray-300 dark:border-gray-600">
+            PDF/HTML 내보내기에 표지 페이지 추가
+          </label>
+          <p class="text-xs text-gray-500 mt-1">문서 맨 앞 front matter(--- 사이)의 title, subtitle, author, date, organization, logo 값을 사용합니다.</p>
+        </div>
+
+        <div>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">휴지통 보관 기간 (일)</label>
+          <input type="number" id="trash-days-input" min="0" max="3650" value="${StorageManager.getSettings().trashRetentionDays}"
+            class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+          <p class="text-xs text-gray-500 mt-1">삭제한 문서는 이 기간이 지나면 휴지통에서 영구 삭제됩니다. 0이면 자동으로 삭제하지 않습니다.</p>
+        </div>
+
         <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">
           ✨ <strong>AI 마법 정리</strong> 기능을 사용하기 위한 API 키를 설정합니다.<br>
           키는 서버에 전송되지 않고 사용자의 브라우저 로컬 저장소에만 안전하게 보관됩니다. (2026년 기준 최신 모델 모델 적용됨)
@@ -231,11 +342,36 @@ class App {
       ]
     });
 
+    // 템플릿 선택 시 설명과 색상 표시
+    const templateSelect = document.getElementById('template-select');
+    const renderTemplateInfo = () => {
+      const template = this.templateManager.getTemplate(templateSelect.value);
+      const swatches = ['primary', 'secondary', 'accent', 'code']
+        .map(key => `<span class="inline-block w-5 h-5 rounded border border-gray-300 dark:border-gray-600" style="background: ${TemplateManager.isColor(template.colors[key]) ? template.colors[key] : 'transparent'}" title="${key}"></span>`)
+        .join('');
+      document.getElementById('template-info').innerHTML = `
+        <div class="flex items-center gap-1 mb-1">${swatches}</div>
+        <p class="text-xs text-gray-500 dark:text-gray-400">${MarkdownHelper.escapeHTML(template.description || '')}</p>
+      `;
+    };
+    templateSelect.addEventListener('change', renderTemplateInfo);
+    renderTemplateInfo();
+
     // 모달 액션 핸들링 이벤트
     const handleModalAction = async (e) => {
       if (e.detail.modalId !== modalId) return;
 
       if (e.detail.action === 'save') {
+        // 템플릿과 작성자는 API 키 검증과 무관하게 바로 적용
+        const settings = StorageManager.getSettings();
+        settings.author = document.getElementById('author-input').value.trim();
+        settings.coverPage = document.getElementById('cover-page-input').checked;
+        const trashDays = parseInt(document.getElementById('trash-days-input').value, 10);
+        settings.trashRetentionDays = Number.isFinite(trashDays) ? Math.min(Math.max(trashDays, 0), 3650) : settings.trashRetentionDays;
+        StorageManager.saveSettings(settings);
+        StorageManager.purgeTrash();
+        this.applyTemplate(document.getElementById('template-select').value);
+
         const geminiKey = document.getElementById('gemini-key-input').value.trim();
         const openaiKey = document.getElementById('openai-key-input').value.trim();
         const prefModel = document.getElementById('pref-model-select').value;
@@ -350,16 +486,20 @@ class App {
       const successful = results.filter(r => r.success);
       const failed = results.filter(r => !r.success);
 
+      if (successful.length > 1) {
+        // 다중 파일 - 일괄 내보내기 (읽지 못한 파일은 결과 보고에 포함)
+        this.uiManager.hideLoading(loadingId);
+        this.openBatchExportModal(
+          successful.map(r => ({ name: r.data.name.replace(/\.[^.]+$/, ''), content: r.data.content })),
+          failed.map(f => ({ name: f.fileName, error: f.error }))
+        );
+        return;
+      }
+
       if (successful.length === 1) {
         // 단일 파일 - 에디터에 로드
         this.editorManager.setContent(successful[0].data.content);
         this.uiManager.showToast('success', '파일을 불러왔습니다.');
-      } else if (successful.length > 1) {
-        // 다중 파일 
-        // 여러 파일을 한 번에 불러오는 기능은 PDF 일괄 변환이 삭제되어
-        // 기능상 처리 방식이 변경되었습니다. 현재는 첫 번째 파일만 엽니다.
-        this.editorManager.setContent(successful[0].data.content);
-        this.uiManager.showToast('info', '여러 파일 중 첫 번째 파일만 불러옵니다.');
       }
 
       // 실패한 파일 알림
@@ -376,6 +516,409 @@ class App {
     }
   }
 
+  /**
+   * PDF 내보내기
+   */
+  async exportPDF() {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const loadingId = this.uiManager.showLoading('PDF를 생성하는 중...');
+
+    try {
+      const title = MarkdownHelper.extractTitle(content);
+      const filename = title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
+      const doc = await this.createPDF(content);
+
+      this.fileHandler.downloadPDF(doc, filename);
+      this.uiManager.hideLoading(loadingId);
+      this.uiManager.showToast('success', 'PDF 파일이 다운로드되었습니다.');
+    } catch (error) {
+      this.uiManager.hideLoading(loadingId);
+      console.error('PDF export error:', error);
+      this.uiManager.showToast('error', 'PDF 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * 현재 템플릿과 설정(작성자, 표지)으로 PDF 문서 생성
+   * @param {string} content - 마크다운 내용
+   * @returns {Promise<Object>} jsPDF 문서 객체
+   */
+  async createPDF(content) {
+    const settings = StorageManager.getSettings();
+    const template = this.templateManager.getTemplate(settings.defaultTemplate);
+    const meta = MarkdownHelper.getDocumentMeta(content, { author: settings.author });
+
+    // 미리보기와 동일하게 이모지 제거 후 파싱
+    const html = this.editorManager.parseMarkdown(this.editorManager.removeEmojis(content));
+    const generator = new PDFGenerator(template);
+    return generator.generate(html, { ...meta, cover: settings.coverPage, watermark: this.getWatermark() });
+  }
+
+  /**
+   * 내보내기에 적용할 워터마크 설정 (꺼져 있으면 null)
+   * @returns {Object|null}
+   */
+  getWatermark() {
+    const watermark = StorageManager.getSettings().watermark;
+    return watermark.enabled ? watermark : null;
+  }
+
+  /**
+   * 워터마크 설정 모달 열기 (이후 PDF/HTML 내보내기에 적용)
+   */
+  openWatermarkModal() {
+    const modalId = 'watermark-settings';
+    const watermark = StorageManager.getSettings().watermark;
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+    const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+    const positions = {
+      center: '가운데',
+      'top-left': '왼쪽 위',
+      'top-right': '오른쪽 위',
+      'bottom-left': '왼쪽 아래',
+      'bottom-right': '오른쪽 아래',
+      tile: '바둑판 반복'
+    };
+    let image = watermark.image;
+
+    this.uiManager.modalManager.show(modalId, {
+      title: '워터마크',
+      size: 'medium',
+      content: `
+        <div class="space-y-4">
+          <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="wm-enabled" class="rounded border-gray-300 dark:border-gray-600" ${watermark.enabled ? 'checked' : ''}>
+            PDF/HTML 내보내기에 워터마크 적용
+          </label>
+
+          <div class="flex gap-4 text-sm text-gray-700 dark:text-gray-300">
+            <label class="flex items-center gap-1"><input type="radio" name="wm-type" value="text" ${watermark.type !== 'image' ? 'checked' : ''}> 텍스트</label>
+            <label class="flex items-center gap-1"><input type="radio" name="wm-type" value="image" ${watermark.type === 'image' ? 'checked' : ''}> 이미지</label>
+          </div>
+
+          <div id="wm-text-fields" class="grid grid-cols-3 gap-3">
+            <div class="col-span-2">
+              <label class="${labelClass}">문구</label>
+              <input type="text" id="wm-text" value="${MarkdownHelper.escapeHTML(watermark.text)}" placeholder="DRAFT, 대외비" class="${inputClass}">
+            </div>
+            <div>
+              <label class="${labelClass}">색상</label>
+              <input type="color" id="wm-color" value="${watermark.color}" class="w-full h-10 border border-gray-300 dark:border-gray-600 rounded-md">
+            </div>
+          </div>
+
+          <div id="wm-image-fields">
+            <label class="${labelClass}">이미지</label>
+            <input type="file" id="wm-image" accept="image/*" class="block w-full text-sm text-gray-700 dark:text-gray-300">
+            <img id="wm-image-preview" class="mt-2 max-h-16 ${image ? '' : 'hidden'}" src="${MarkdownHelper.escapeHTML(image)}" alt="">
+          </div>
+
+          <div class="grid grid-cols-2 gap-3">
+            <div>
+              <label class="${labelClass}">위치</label>
+              <select id="wm-position" class="${inputClass}">
+                ${Object.entries(positions).map(([value, label]) => `<option value="${value}" ${watermark.position === value ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </div>
+            <div>
+              <label class="${labelClass}">각도 (°)</label>
+              <input type="number" id="wm-angle" min="-90" max="90" step="5" value="${watermark.angle}" class="${inputClass}">
+            </div>
+            <div>
+              <label class="${labelClass}">불투명도 <span id="wm-opacity-value">${Math.round(watermark.opacity * 100)}%</span></label>
+              <input type="range" id="wm-opacity" min="5" max="100" step="5" value="${Math.round(watermark.opacity * 100)}" class="w-full">
+            </div>
+            <div>
+              <label class="${labelClass}">크기 (페이지 너비의 <span id="wm-size-value">${watermark.size}</span>%)</label>
+              <input type="range" id="wm-size" min="10" max="100" step="5" value="${watermark.size}" class="w-full">
+            </div>
+          </div>
+        </div>
+      `,
+      buttons: [
+        { label: '취소', action: 'close' },
+        { label: '저장', action: 'save', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    // 종류에 맞는 입력 항목만 표시
+    const toggleFields = () => {
+      const type = document.querySelector('input[name="wm-type"]:checked').value;
+      document.getElementById('wm-text-fields').classList.toggle('hidden', type !== 'text');
+      document.getElementById('wm-image-fields').classList.toggle('hidden', type !== 'image');
+    };
+    document.querySelectorAll('input[name="wm-type"]').forEach(radio => radio.addEventListener('change', toggleFields));
+    toggleFields();
+
+    ['opacity', 'size'].forEach(key => {
+      document.getElementById(`wm-${key}`).addEventListener('input', (e) => {
+        document.getElementById(`wm-${key}-value`).textContent = key === 'opacity' ? `${e.target.value}%` : e.target.value;
+      });
+    });
+
+    document.getElementById('wm-image').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        image = await this.fileHandler.readFileAsDataURL(file);
+        const preview = document.getElementById('wm-image-preview');
+        preview.src = image;
+        preview.classList.remove('hidden');
+      } catch (error) {
+        this.uiManager.showToast('error', error.message);
+      }
+    });
+
+    this.uiManager.modalManager.onAction(modalId, (action) => {
+      if (action !== 'save') return;
+
+      const type = document.querySelector('input[name="wm-type"]:checked').value;
+      const text = document.getElementById('wm-text').value.trim();
+      const enabled = document.getElementById('wm-enabled').checked;
+
+      if (enabled && type === 'text' && !text) {
+        this.uiManager.showToast('warning', '워터마크 문구를 입력하세요.');
+        return;
+      }
+      if (enabled && type === 'image' && !image) {
+        this.uiManager.showToast('warning', '워터마크 이미지를 선택하세요.');
+        return;
+      }
+
+      const settings = StorageManager.getSettings();
+      settings.watermark = {
+        enabled,
+        type,
+        text,
+        image,
+        color: document.getElementById('wm-color').value,
+        opacity: parseInt(document.getElementById('wm-opacity').value, 10) / 100,
+        angle: Math.max(-90, Math.min(90, parseInt(document.getElementById('wm-angle').value, 10) || 0)),
+        size: parseInt(document.getElementById('wm-size').value, 10),
+        position: document.getElementById('wm-position').value
+      };
+
+      if (!StorageManager.saveSettings(settings)) {
+        this.uiManager.showToast('error', '워터마크 설정을 저장하지 못했습니다. 이미지 크기를 줄여 보세요.');
+        return;
+      }
+
+      this.uiManager.updateWatermarkStatus(enabled);
+      this.uiManager.modalManager.close(modalId);
+      this.uiManager.showToast('success', enabled ? '워터마크가 내보내기에 적용됩니다.' : '워터마크를 껐습니다.');
+    });
+  }
+
+  /**
+   * 내보내기 결과 알림 (경고가 있으면 첫 경고와 나머지 건수, 전체는 콘솔에)
+   * @param {Array<string>} warnings - 내보내기 경고
+   * @param {string} downloaded - 경고가 있을 때 앞에 붙일 문구
+   * @param {string} success - 경고가 없을 때 문구
+   */
+  showExportWarnings(warnings, downloaded, success) {
+    if (warnings.length === 0) {
+      this.uiManager.showToast('success', success);
+      return;
+    }
+
+    console.warn('Export warnings:', warnings);
+    this.uiManager.showToast('warning', `${downloaded} ${warnings[0]}${warnings.length > 1 ? ` 외 ${warnings.length - 1}건` : ''}`);
+  }
+
+  /**
+   * 내보낼 HTML 본문 생성 (설정에서 켠 경우 표지 포함)
+   * @param {string} content - 마크다운 내용
+   * @returns {string} HTML
+   */
+  createHTML(content) {
+    // 일반적인 marked.parse가 아닌, 수식 보호 처리가 포함된 에디터 매니저의 파서를 사용
+    const html = this.editorManager.parseMarkdown(content);
+
+    const settings = StorageManager.getSettings();
+    if (!settings.coverPage) return html;
+
+    const meta = MarkdownHelper.getDocumentMeta(content, { author: settings.author });
+    const template = this.templateManager.getTemplate(settings.defaultTemplate);
+    return this.fileHandler.createCoverHTML(meta, template) + html;
+  }
+
+  /**
+   * 일괄 내보내기 모달 열기 (문서 선택, 형식 선택)
+   * @param {Array} items - 내보낼 문서 [{ name, content }]
+   * @param {Array} readErrors - 읽지 못한 파일 [{ name, error }] (결과 보고에 포함)
+   */
+  openBatchExportModal(items, readErrors = []) {
+    const modalId = 'batch-export';
+    const rows = items.map((item, index) => `
+      <label class="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 rounded">
+        <input type="checkbox" class="batch-item rounded border-gray-300 dark:border-gray-600" value="${index}" checked>
+        <span class="truncate">${MarkdownHelper.escapeHTML(item.name)}</span>
+      </label>
+    `).join('');
+
+    const formats = [
+      { value: 'pdf', label: 'PDF', checked: true },
+      { value: 'html', label: 'HTML', checked: false },
+      { value: 'md', label: '마크다운 (.md)', checked: false }
+    ].map(format => `
+      <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input type="checkbox" class="batch-format rounded border-gray-300 dark:border-gray-600" value="${format.value}" ${format.checked ? 'checked' : ''}>
+        ${format.label}
+      </label>
+    `).join('');
+
+    this.uiManager.modalManager.show(modalId, {
+      title: '일괄 내보내기 (ZIP)',
+      size: 'medium',
+      content: `
+        <div class="space-y-4">
+          <div>
+            <div class="flex items-center justify-between mb-1">
+              <span class="text-sm font-medium text-gray-700 dark:text-gray-300">문서 (${items.length}개)</span>
+              <label class="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                <input type="checkbox" id="batch-select-all" class="rounded border-gray-300 dark:border-gray-600" checked>
+                전체 선택
+              </label>
+            </div>
+            <div class="max-h-64 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">${rows}</div>
+          </div>
+          <div>
+            <span class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">형식</span>
+            <div class="flex flex-wrap gap-4">${formats}</div>
+          </div>
+        </div>
+      `,
+      buttons: [
+        { label: '취소', action: 'close' },
+        { label: '내보내기', action: 'export', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    document.getElementById('batch-select-all').addEventListener('change', (e) => {
+      document.querySelectorAll('.batch-item').forEach(checkbox => {
+        checkbox.checked = e.target.checked;
+      });
+    });
+
+    this.uiManager.modalManager.onAction(modalId, (action) => {
+      if (action !== 'export') return;
+
+      const selected = Array.from(document.querySelectorAll('.batch-item:checked')).map(el => items[el.value]);
+      const selectedFormats = Array.from(document.querySelectorAll('.batch-format:checked')).map(el => el.value);
+
+      if (selected.length === 0 || selectedFormats.length === 0) {
+        this.uiManager.showToast('warning', '내보낼 문서와 형식을 하나 이상 선택하세요.');
+        return;
+      }
+
+      this.batchExport(selected, selectedFormats, readErrors);
+    });
+  }
+
+  /**
+   * 여러 문서를 PDF/HTML/마크다운으로 변환해 하나의 ZIP으로 다운로드
+   * @param {Array} items - 문서 [{ name, content }]
+   * @param {Array} formats - 형식 ('pdf', 'html', 'md')
+   * @param {Array} readErrors - 읽지 못한 파일 [{ name, error }]
+   */
+  async batchExport(items, formats, readErrors = []) {
+    const progress = this.uiManager.showProgress('일괄 내보내기');
+    const errors = readErrors.map(({ name, error }) => ({ name, format: '읽기', error }));
+    const entries = [];
+    const usedNames = new Set();
+    const total = items.length * formats.length;
+    let done = 0;
+
+    for (const item of items) {
+      // 같은 이름의 문서는 번호를 붙여 구분
+      const base = this.fileHandler.sanitizeFilename(item.name);
+      let name = base;
+      for (let i = 2; usedNames.has(name); i++) name = `${base}_${i}`;
+      usedNames.add(name);
+
+      for (const format of formats) {
+        progress.update((done / total) * 100, `${item.name} (${format.toUpperCase()}) - ${done + 1}/${total}`);
+
+        try {
+          if (!item.content.trim()) throw new Error('내용이 비어 있습니다.');
+
+          if (format === 'pdf') {
+            const doc = await this.createPDF(item.content);
+            entries.push({ filename: `${name}.pdf`, data: doc.output('blob') });
+          } else if (format === 'html') {
+            entries.push({ filename: `${name}.html`, data: this.fileHandler.wrapHTMLDocument(this.createHTML(item.content), { watermark: this.getWatermark() }) });
+          } else {
+            entries.push({ filename: `${name}.md`, data: item.content });
+          }
+        } catch (error) {
+          console.error('Batch export error:', item.name, format, error);
+          errors.push({ name: item.name, format: format.toUpperCase(), error: error.message });
+        }
+
+        done++;
+        // 진행률이 화면에 그려지도록 양보
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    try {
+      if (entries.length > 0) {
+        progress.update(100, 'ZIP 파일을 만드는 중...');
+        await this.fileHandler.downloadBatch(entries, `documents_${new Date().toISOString().slice(0, 10)}`);
+      }
+    } catch (error) {
+      errors.push({ name: 'ZIP', format: '-', error: error.message });
+    }
+
+    progress.close();
+
+    if (errors.length > 0) {
+      this.showBatchErrorReport(errors, entries.length);
+    } else {
+      this.uiManager.showToast('success', `${entries.length}개 파일을 ZIP으로 내보냈습니다.`);
+    }
+  }
+
+  /**
+   * 일괄 내보내기 실패 항목 보고
+   * @param {Array} errors - [{ name, format, error }]
+   * @param {number} succeeded - 성공한 파일 수
+   */
+  showBatchErrorReport(errors, succeeded) {
+    const rows = errors.map(({ name, format, error }) => `
+      <tr class="border-t border-gray-200 dark:border-gray-700">
+        <td class="px-2 py-1">${MarkdownHelper.escapeHTML(name)}</td>
+        <td class="px-2 py-1 whitespace-nowrap">${MarkdownHelper.escapeHTML(format)}</td>
+        <td class="px-2 py-1 text-red-600 dark:text-red-400">${MarkdownHelper.escapeHTML(error)}</td>
+      </tr>
+    `).join('');
+
+    this.uiManager.modalManager.show('batch-export-report', {
+      title: '일괄 내보내기 결과',
+      size: 'medium',
+      content: `
+        <p class="text-sm text-gray-700 dark:text-gray-300 mb-3">
+          ${succeeded}개 파일을 내보냈고, ${errors.length}개 항목은 실패했습니다.
+        </p>
+        <div class="max-h-64 overflow-y-auto">
+          <table class="w-full text-sm text-left text-gray-700 dark:text-gray-300">
+            <thead><tr><th class="px-2 py-1">문서</th><th class="px-2 py-1">형식</th><th class="px-2 py-1">오류</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `,
+      buttons: [
+        { label: '확인', action: 'close', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+  }
+
   /**
    * 마크다운 내보내기
    */
@@ -411,8 +954,7 @@ class App {
     }
 
     try {
-      // 일반적인 marked.parse가 아닌, 수식 보호 처리가 포함된 에디터 매니저의 파서를 사용
-      const html = this.editorManager.parseMarkdown(content);
+      const html = this.createHTML(content);
       const title = MarkdownHelper.extractTitle(content);
       const filename = title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
 
@@ -426,7 +968,7 @@ class App {
       });
 
       // 2. 파일 다운로드
-      this.fileHandler.downloadHTML(html, filename);
+      this.fileHandler.downloadHTML(html, filename, { watermark: this.getWatermark() });
 
     } catch (error) {
       console.error('HTML export error:', error);
@@ -434,6 +976,327 @@ class App {
     }
   }
 
+  /**
+   * 오프라인 HTML 내보내기 (수식/다이어그램/CSS/글꼴/이미지를 모두 포함한 단일 파일)
+   */
+  async exportOfflineHTML() {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const loadingId = this.uiManager.showLoading('오프라인 HTML을 만드는 중...');
+
+    try {
+      const template = this.templateManager.getTemplate(StorageManager.getSettings().defaultTemplate);
+      const title = MarkdownHelper.extractTitle(content);
+      const filename = title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
+
+      const exporter = new OfflineHTMLExporter(this.fileHandler);
+      const { html, warnings } = await exporter.build(this.createHTML(content), {
+        template,
+        previewCSS: this.editorManager.getPreviewCSS('.markdown-body', template),
+        title,
+        watermark: this.getWatermark()
+      });
+
+      const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+      this.fileHandler.downloadBlob(blob, this.fileHandler.sanitizeFilename(filename) + '.html');
+      this.uiManager.hideLoading(loadingId);
+
+      this.showExportWarnings(warnings, '오프라인 HTML을 다운로드했습니다.', '오프라인 HTML 파일이 다운로드되었습니다.');
+    } catch (error) {
+      this.uiManager.hideLoading(loadingId);
+      console.error('Offline HTML export error:', error);
+      this.uiManager.showToast('error', '오프라인 HTML 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * Word(.docx) 내보내기 (제목 스타일, 목록 번호, 표, 링크, 이미지 유지 / 수식과 다이어그램은 이미지)
+   */
+  async exportDocx() {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const loadingId = this.uiManager.showLoading('Word 문서를 만드는 중...');
+
+    try {
+      const settings = StorageManager.getSettings();
+      const template = this.templateManager.getTemplate(settings.defaultTemplate);
+      const meta = MarkdownHelper.getDocumentMeta(content, { author: settings.author });
+      const filename = meta.title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
+
+      const { tokens, mathBlocks } = this.editorManager.tokenizeMarkdown(content);
+      const exporter = new DocxExporter(template);
+      const { blob, warnings } = await exporter.build(tokens, mathBlocks, { ...meta, cover: settings.coverPage });
+
+      this.fileHandler.downloadBlob(blob, this.fileHandler.sanitizeFilename(filename) + '.docx');
+      this.uiManager.hideLoading(loadingId);
+
+      this.showExportWarnings(warnings, 'Word 문서를 다운로드했습니다.', 'Word 문서가 다운로드되었습니다.');
+    } catch (error) {
+      this.uiManager.hideLoading(loadingId);
+      console.error('DOCX export error:', error);
+      this.uiManager.showToast('error', 'Word 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * EPUB 내보내기 옵션 모달 (장 나누기 제목 수준 선택)
+   */
+  openEpubExportModal() {
+    if (!this.editorManager.getContent().trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const modalId = 'epub-export';
+    const chapterLevel = StorageManager.getSettings().epubChapterLevel;
+    const options = EpubExporter.CHAPTER_LEVELS
+      .map(level => `<option value="${level}" ${level === chapterLevel ? 'selected' : ''}>제목 ${level} (${'#'.repeat(level)})${level > 1 ? ' 이상' : ''}</option>`)
+      .join('');
+
+    this.uiManager.modalManager.show(modalId, {
+      title: '전자책(EPUB) 내보내기',
+      size: 'small',
+      content: `
+        <div class="space-y-3">
+          <div>
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">장 나누기 기준</label>
+            <select id="epub-chapter-level" class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white">${options}</select>
+          </div>
+          <p class="text-xs text-gray-500 dark:text-gray-400">제목, 작성자, 날짜, 언어(language), 설명(description), 태그(tags)는 YAML front matter에서 가져옵니다.</p>
+        </div>
+      `,
+      buttons: [
+        { label: '취소', action: 'close' },
+        { label: '내보내기', action: 'export', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    this.uiManager.modalManager.onAction(modalId, (action) => {
+      if (action !== 'export') return;
+
+      const settings = StorageManager.getSettings();
+      settings.epubChapterLevel = parseInt(document.getElementById('epub-chapter-level').value, 10) || 1;
+      StorageManager.saveSettings(settings);
+
+      this.uiManager.modalManager.close(modalId);
+      this.exportEpub(settings.epubChapterLevel);
+    });
+  }
+
+  /**
+   * EPUB 3 전자책 내보내기 (제목 수준별 장, 목차, front matter 메타데이터, 글꼴/이미지 포함)
+   * @param {number} chapterLevel - 장을 나눌 제목 수준
+   */
+  async exportEpub(chapterLevel = StorageManager.getSettings().epubChapterLevel) {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const loadingId = this.uiManager.showLoading('전자책을 만드는 중...');
+
+    try {
+      const settings = StorageManager.getSettings();
+      const template = this.templateManager.getTemplate(settings.defaultTemplate);
+      const meta = MarkdownHelper.getDocumentMeta(content, { author: settings.author });
+      const filename = meta.title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
+
+      const exporter = new EpubExporter(template);
+      const { blob, warnings } = await exporter.build(this.editorManager.parseMarkdown(content), {
+        meta,
+        frontMatter: MarkdownHelper.parseFrontMatter(content).data,
+        chapterLevel,
+        previewCSS: this.editorManager.getPreviewCSS('body', template)
+      });
+
+      this.fileHandler.downloadBlob(blob, this.fileHandler.sanitizeFilename(filename) + '.epub');
+      this.uiManager.hideLoading(loadingId);
+
+      this.showExportWarnings(warnings, '전자책을 다운로드했습니다.', '전자책(EPUB) 파일이 다운로드되었습니다.');
+    } catch (error) {
+      this.uiManager.hideLoading(loadingId);
+      console.error('EPUB export error:', error);
+      this.uiManager.showToast('error', '전자책 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * PNG 내보내기 옵션 모달 (문서 전체/페이지별/섹션 선택, 배율)
+   */
+  openPngExportModal() {
+    if (!this.editorManager.getContent().trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const modalId = 'png-export';
+    const exporter = new PngExporter(this.editorManager.preview);
+    const sections = exporter.getSections();
+    const scale = StorageManager.getSettings().pngExportScale;
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+    const sectionItems = sections.map(section => `
+      <label class="flex items-center gap-2 py-0.5 text-sm text-gray-700 dark:text-gray-300 ${section.level === 2 ? 'pl-4' : ''}">
+        <input type="checkbox" class="png-export-section" value="${section.index}">
+        <span class="truncate">${MarkdownHelper.escapeHTML(section.text) || '(제목 없음)'}</span>
+      </label>`).join('');
+
+    this.uiManager.modalManager.show(modalId, {
+      title: 'PNG로 내보내기',
+      size: 'small',
+      content: `
+        <div class="space-y-3">
+          <div>
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">범위</label>
+            <select id="png-export-mode" class="${inputClass}">
+              <option value="document">문서 전체 (한 장)</option>
+              <option value="pages">페이지별 (${exporter.getPageCount()}장)</option>
+              <option value="sections" ${sections.length === 0 ? 'disabled' : ''}>선택한 섹션별</option>
+            </select>
+          </div>
+          <div id="png-export-sections" class="hidden max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md px-3 py-2">${sectionItems}</div>
+          <div>
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">배율</label>
+            <select id="png-export-scale" class="${inputClass}">
+              ${PngExporter.SCALES.map(value => `<option value="${value}" ${value === scale ? 'selected' : ''}>${value}배</option>`).join('')}
+            </select>
+          </div>
+          <p class="text-xs text-gray-500 dark:text-gray-400">여러 장이면 ZIP 파일로 묶어 다운로드합니다.</p>
+        </div>
+      `,
+      buttons: [
+        { label: '취소', action: 'close' },
+        { label: '내보내기', action: 'export', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    const modeSelect = document.getElementById('png-export-mode');
+    modeSelect.addEventListener('change', () => {
+      document.getElementById('png-export-sections').classList.toggle('hidden', modeSelect.value !== 'sections');
+    });
+
+    this.uiManager.modalManager.onAction(modalId, (action) => {
+      if (action !== 'export') return;
+
+      const options = {
+        mode: modeSelect.value,
+        scale: Number(document.getElementById('png-export-scale').value) || 2,
+        sections: Array.from(document.querySelectorAll('.png-export-section:checked'), input => Number(input.value))
+      };
+      if (options.mode === 'sections' && options.sections.length === 0) {
+        this.uiManager.showToast('warning', '내보낼 섹션을 선택하세요.');
+        return;
+      }
+
+      const settings = StorageManager.getSettings();
+      settings.pngExportScale = options.scale;
+      StorageManager.saveSettings(settings);
+
+      this.uiManager.modalManager.close(modalId);
+      this.exportPng(options);
+    });
+  }
+
+  /**
+   * 미리보기를 PNG 이미지로 내보내기 (여러 장이면 ZIP)
+   * @param {Object} options - { mode: document | pages | sections, sections, scale }
+   */
+  async exportPng(options = { mode: 'document', scale: StorageManager.getSettings().pngExportScale }) {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    const loadingId = this.uiManager.showLoading('이미지를 만드는 중...');
+
+    try {
+      const title = MarkdownHelper.extractTitle(content);
+      const filename = this.fileHandler.sanitizeFilename(title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document');
+
+      const exporter = new PngExporter(this.editorManager.preview);
+      const { blob, filename: downloadName, warnings } = await exporter.build(options, filename);
+
+      this.fileHandler.downloadBlob(blob, downloadName);
+      this.uiManager.hideLoading(loadingId);
+
+      this.showExportWarnings(warnings, '이미지를 다운로드했습니다.', 'PNG 이미지가 다운로드되었습니다.');
+    } catch (error) {
+      this.uiManager.hideLoading(loadingId);
+      console.error('PNG export error:', error);
+      this.uiManager.showToast('error', 'PNG 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * LaTeX 원고 내보내기 (제목은 section, 표는 tabular, 수식은 원문 그대로, 한글은 kotex)
+   */
+  exportLatex() {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    try {
+      const settings = StorageManager.getSettings();
+      const template = this.templateManager.getTemplate(settings.defaultTemplate);
+      const meta = MarkdownHelper.getDocumentMeta(content, { author: settings.author });
+      const filename = meta.title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'document';
+
+      const { tokens, mathBlocks } = this.editorManager.tokenizeMarkdown(content);
+      const exporter = new LatexExporter(template);
+      const { text, warnings } = exporter.build(tokens, mathBlocks, { ...meta, cover: settings.coverPage });
+      const blob = new Blob([text], { type: `${LatexExporter.MIME_TYPE};charset=utf-8` });
+
+      this.fileHandler.downloadBlob(blob, this.fileHandler.sanitizeFilename(filename) + '.tex');
+
+      this.showExportWarnings(warnings, 'LaTeX 원고를 다운로드했습니다.', 'LaTeX 원고가 다운로드되었습니다.');
+    } catch (error) {
+      console.error('LaTeX export error:', error);
+      this.uiManager.showToast('error', 'LaTeX 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * 슬라이드 HTML 내보내기 (--- 또는 ## 기준 슬라이드, 키보드 조작, 발표자 노트)
+   */
+  exportSlides() {
+    const content = this.editorManager.getContent();
+
+    if (!content.trim()) {
+      this.uiManager.showToast('warning', '내보낼 내용이 없습니다.');
+      return;
+    }
+
+    try {
+      const title = MarkdownHelper.extractTitle(content);
+      const filename = title.replace(/[^\w\s가-힣-]/g, '').substring(0, 50) || 'slides';
+      const html = this.slidePresenter.buildDeckHTML(content, title);
+      const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+
+      this.fileHandler.downloadBlob(blob, this.fileHandler.sanitizeFilename(filename) + '-slides.html');
+      this.uiManager.showToast('success', '슬라이드 HTML 파일이 다운로드되었습니다.');
+    } catch (error) {
+      console.error('Slides export error:', error);
+      this.uiManager.showToast('error', '슬라이드 내보내기 중 오류가 발생했습니다.');
+    }
+  }
+
   /**
    * 통계 정보 가져오기
    */
@@ -3,6 +3,17 @@
  * 에디터 초기화, 실시간 미리보기, 자동 저장 기능 제공
  */
 class EditorManager {
+  // 페이지 나누기/함께 두기 지시어 (한 줄 전체가 지시어일 때만 인식)
+  static PAGE_DIRECTIVES = [
+    { pattern: /^ {0,3}(<!--\s*pagebreak\s*-->|\\pagebreak)\s*$/i, html: '<div class="page-break"></div>' },
+    { pattern: /^ {0,3}<!--\s*keep\s*-->\s*$/i, html: '<div class="keep-together">' },
+    { pattern: /^ {0,3}<!--\s*\/keep\s*-->\s*$/i, html: '</div>' }
+  ];
+
+  // 목차 표시: 한 줄에 [TOC]만 있으면 제목 목록으로 확장
+  static TOC_PATTERN = /^ {0,3}\[TOC\]\s*$/i;
+  static TOC_PLACEHOLDER = '<!--kpdf-toc-->';
+
   constructor() {
     this.textarea = null;
     this.preview = null;
@@ -20,6 +31,10 @@ class EditorManager {
     this.maxHistoryLength = 50;
     this.isHandlingHistory = false;
     this.saveHistoryDebounced = null;
+
+    // 미리보기에 적용할 PDF 템플릿
+    this.template = null;
+    this.pageView = null;
   }
 
   /**
@@ -36,6 +51,10 @@ class EditorManager {
       return;
     }
 
+    // 페이지 보기 모드
+    this.pageView = new PageView(this.preview);
+    this.pageView.setEnabled(StorageManager.getSettings().pageView);
+
     // MarkdownHelper, PasteHandler, & SlashMenu 초기화
     this.markdownHelper = new MarkdownHelper(this.textarea);
     this.pasteHandler = new PasteHandler(this.textarea);
@@ -112,6 +131,38 @@ class EditorManager {
       this.handlePaste(e);
     });
 
+    // 목차 등 문서 내부 링크는 미리보기 안에서 스크롤
+    this.preview.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="#"]');
+      if (!link) return;
+
+      const id = decodeURIComponent(link.getAttribute('href').slice(1));
+      const target = id && this.preview.querySelector(`[id="${CSS.escape(id)}"]`);
+      if (target) {
+        e.preventDefault();
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    });
+
+    // 페이지 보기 전환
+    window.addEventListener('toggle-page-view', (e) => {
+      this.setPageView(e.detail.enabled);
+    });
+
+    // 테마 변경 시 미리보기 색상 다시 적용
+    window.addEventListener('theme-change', () => {
+      this.applyPreviewStyles();
+    });
+
+    // 저장소 기록이 실패해 되돌려졌으면 다시 저장하도록 수정됨으로 표시
+    window.addEventListener('storage-error', (e) => {
+      if (this.currentDocument && e.detail.ids.includes(this.currentDocument.id)) {
+        this.isModified = true;
+        const statusEl = document.getElementById('auto-save-status');
+        if (statusEl) statusEl.textContent = '저장 실패';
+      }
+    });
+
     // 브라우저 탭 활성화 시 (다른 탭에 다녀왔을 때) 다이어그램 재렌더링 보정을 위해 새로고침
     document.addEventListener('visibilitychange', () => {
       if (!document.hidden && document.querySelector('.mermaid')) {
@@ -278,10 +329,15 @@ class EditorManager {
 
     // 커스텀 렌더러 확장 - marked.use()로 부분 오버라이드
     try {
+      // 표, 코드 블록, 다이어그램은 가능한 한 페이지에, 제목은 다음 블록과 같은 페이지에 배치 (keep-together / keep-with-next)
       const renderer = {
+        heading(text, level, raw, slugger) {
+          const id = this.options.headerIds ? ` id="${this.options.headerPrefix}${slugger.slug(raw)}"` : '';
+          return `<h${level}${id} class="keep-with-next">${text}</h${level}>\n`;
+        },
         table(header, body) {
           if (body) body = `<tbody>${body}</tbody>`;
-          return '<table class="kpdf-table">\n'
+          return '<table class="kpdf-table keep-together">\n'
             + '<thead>\n'
             + header
             + '</thead>\n'
@@ -298,13 +354,13 @@ class EditorManager {
             .replace(/>/g, '&gt;');
             // 초기 코드를 보존하기 위해 data attribute 추가
             const encodedSrc = escapedMermaid.replace(/"/g, '&quot;');
-            return `<div class="mermaid" data-mermaid-src="${encodedSrc}">${escapedMermaid}</div>\n`;
+            return `<div class="mermaid keep-together" data-mermaid-src="${encodedSrc}">${escapedMermaid}</div>\n`;
           }
 
           if (typeof hljs !== 'undefined' && lang && hljs.getLanguage(lang) && lang !== 'mermaid') {
             try {
               const highlighted = hljs.highlight(code, { language: lang }).value;
-              return `<pre><code class="hljs language-${lang}">${highlighted}</code></pre>\n`;
+              return `<pre class="keep-together"><code class="hljs language-${lang}">${highlighted}</code></pre>\n`;
             } catch (err) {
               console.error('Highlight error:', err);
             }
@@ -315,7 +371,7 @@ class EditorManager {
             .replace(/>/g, '&gt;')
             .replace(/"/g, '&quot;')
             .replace(/'/g, '&#039;');
-          return `<pre><code>${escapedCode}</code></pre>\n`;
+          return `<pre class="keep-together"><code>${escapedCode}</code></pre>\n`;
         }
       };
 
@@ -340,6 +396,7 @@ class EditorManager {
    */
   updatePreview() {
     const content = this.textarea.value;
+    let mermaidRendering = null;
 
     if (!content.trim()) {
       this.preview.innerHTML = '<p class="text-gray-400">미리보기가 여기에 표시됩니다...</p>';
@@ -395,7 +452,7 @@ class EditorManager {
           });
 
           // mermaid가 이미 초기화된 엘리먼트를 재처리할 수 있도록 초기화
-          mermaid.init(undefined, this.preview.querySelectorAll('.mermaid'));
+          mermaidRendering = mermaid.init(undefined, this.preview.querySelectorAll('.mermaid'));
         } catch (err) {
           console.error('Mermaid error:', err);
         }
@@ -410,6 +467,12 @@ class EditorManager {
 
       // 체크박스 이벤트 (미리보기에서 체크 가능)
       this.setupCheckboxes();
+
+      // 페이지 보기: 다이어그램/이미지가 그려진 뒤 페이지로 나눔
+      if (this.pageView.enabled) {
+        const meta = MarkdownHelper.getDocumentMeta(content, { author: StorageManager.getSettings().author });
+        this.pageView.render(this.getTemplate(), mermaidRendering, meta);
+      }
     } catch (error) {
       console.error('Markdown parse error:', error);
       this.preview.innerHTML = '<p class="text-red-500">마크다운 파싱 오류가 발생했습니다.</p>';
@@ -428,6 +491,47 @@ class EditorManager {
       throw new Error('Marked.js not loaded');
     }
 
+    const { source, mathBlocks } = this.preprocessMarkdown(markdown);
+    let html = marked.parse(source);
+    
+    // 보호했던 수식 블록 복원 (정규식 치환 시 특수문자 무시를 위해 콜백 함수 사용)
+    mathBlocks.forEach((block, index) => {
+      html = html.replace(`@@MATH_BLOCK_${index}@@`, () => block);
+    });
+
+    // [TOC] 확장
+    if (html.includes(EditorManager.TOC_PLACEHOLDER)) {
+      const toc = this.buildTableOfContents(html);
+      html = html.split(EditorManager.TOC_PLACEHOLDER).join(toc);
+    }
+
+    return html;
+  }
+
+  /**
+   * 마크다운 토큰 목록 (DOCX 등 HTML이 아닌 형식으로 내보낼 때 사용)
+   * 수식은 @@MATH_BLOCK_n@@ 자리 표시로 남고 원문은 mathBlocks[n]에 있음
+   * @param {string} markdown - 마크다운 텍스트
+   * @returns {Object} { tokens, mathBlocks }
+   */
+  tokenizeMarkdown(markdown) {
+    if (typeof marked === 'undefined') {
+      throw new Error('Marked.js not loaded');
+    }
+
+    const { source, mathBlocks } = this.preprocessMarkdown(markdown);
+    return { tokens: marked.lexer(source), mathBlocks };
+  }
+
+  /**
+   * 파싱 전처리: front matter 제거, 수식 보호, 페이지 지시어/목차/표 구분선 처리
+   * @param {string} markdown - 마크다운 텍스트
+   * @returns {Object} { source, mathBlocks } - 전처리된 마크다운과 보호한 수식 원문 목록
+   */
+  preprocessMarkdown(markdown) {
+    // YAML front matter는 미리보기/본문에 표시하지 않음 (표지 페이지에서 사용)
+    markdown = MarkdownHelper.parseFrontMatter(markdown).body;
+
     // 수학 수식 보호 (Stash): $$ ... $$ 및 $ ... $ 안의 내용이 marked.js에 의해 변환되는 것을 방지
     const mathBlocks = [];
     let mathIndex = 0;
@@ -469,6 +573,21 @@ class EditorManager {
           continue;
         }
 
+        // 페이지 지시어: <!-- pagebreak --> 또는 \pagebreak, <!-- keep --> ... <!-- /keep -->
+        const directive = EditorManager.PAGE_DIRECTIVES.find(d => d.pattern.test(line));
+        if (directive) {
+          out.push('', directive.html, '');
+          i++;
+          continue;
+        }
+
+        // 목차 자리 표시 (제목 id가 정해진 파싱 후에 확장)
+        if (EditorManager.TOC_PATTERN.test(line)) {
+          out.push('', EditorManager.TOC_PLACEHOLDER, '');
+          i++;
+          continue;
+        }
+
         // 파이프 포함 행 탐지 (더 유연한 테이블 감지)
         if (line.includes('|') && line.trim().length > 0) {
           // 연속된 파이프 행 블록 수집
@@ -524,37 +643,105 @@ class EditorManager {
       return out.join('\n');
     })(processed);
 
-    let html = marked.parse(preprocessed);
-    
-    // 보호했던 수식 블록 복원 (정규식 치환 시 특수문자 무시를 위해 콜백 함수 사용)
-    mathBlocks.forEach((block, index) => {
-      html = html.replace(`@@MATH_BLOCK_${index}@@`, () => block);
+    return { source: preprocessed, mathBlocks };
+  }
+
+  /**
+   * 파싱된 HTML의 제목(h1~h6)으로 중첩 목차 생성
+   * @param {string} html - parseMarkdown() 결과 HTML
+   * @returns {string} 목차 HTML (nav.toc)
+   */
+  buildTableOfContents(html) {
+    const headings = [];
+    const pattern = /<h([1-6]) id="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      headings.push({
+        level: parseInt(match[1], 10),
+        id: match[2],
+        text: match[3].replace(/<[^>]*>/g, '').trim()
+      });
+    }
+
+    let list = '';
+    const levels = [];
+    headings.forEach(heading => {
+      if (levels.length === 0 || heading.level > levels[levels.length - 1]) {
+        // 더 깊은 제목은 이전 항목 안에 하위 목록으로
+        list += '<ul>';
+        levels.push(heading.level);
+      } else {
+        list += '</li>';
+        while (levels.length > 1 && heading.level < levels[levels.length - 1]) {
+          list += '</ul></li>';
+          levels.pop();
+        }
+      }
+      list += `<li><a href="#${heading.id}">${heading.text}</a>`;
     });
+    if (levels.length > 0) {
+      list += '</li>' + '</ul></li>'.repeat(levels.length - 1) + '</ul>';
+    }
 
-    return html;
+    return `<nav class="toc"><p class="toc-title">목차</p>${list}</nav>`;
   }
 
   /**
-   * 미리보기 영역에 기본 마크다운 스타일 적용
+   * 미리보기에 사용할 PDF 템플릿 설정
+   * @param {Object} template - 템플릿 객체
    */
-  applyPreviewStyles() {
+  setTemplate(template) {
+    this.template = TemplateManager.normalize(template);
+
+    // 페이지 보기는 용지 크기와 여백이 바뀌므로 다시 나눔
+    if (this.pageView.enabled) {
+      this.updatePreview();
+    } else {
+      this.applyPreviewStyles();
+    }
+  }
+
+  /**
+   * 현재 미리보기 템플릿 (설정 전이면 기본 템플릿)
+   * @returns {Object} 템플릿 객체
+   */
+  getTemplate() {
+    return this.template || TemplateManager.normalize(TemplateManager.getFallbackTemplate());
+  }
+
+  /**
+   * 페이지 보기 모드 설정
+   * @param {boolean} enabled - 사용 여부
+   */
+  setPageView(enabled) {
+    this.pageView.setEnabled(enabled);
 
     const settings = StorageManager.getSettings();
+    settings.pageView = enabled;
+    StorageManager.saveSettings(settings);
+
+    this.updatePreview();
+  }
 
-    // 기본 폰트 및 줄간격 설정
-    this.preview.style.setProperty('font-family', "'Nanum Gothic', 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif", 'important');
-    this.preview.style.setProperty('line-height', "1.6", 'important');
+  /**
+   * 미리보기 영역에 템플릿 스타일 적용 (PDF 출력과 같은 서체, 비율, 색상)
+   */
+  applyPreviewStyles() {
+    const template = this.getTemplate();
+
+    // 템플릿 폰트 및 줄간격 설정
+    this.preview.style.setProperty('font-family', TemplateManager.getCSSFontFamily(template), 'important');
+    this.preview.style.setProperty('line-height', String(template.lineHeight), 'important');
     
     // 다크모드 감지
     const isDarkMode = document.documentElement.classList.contains('dark');
     
-    // 색상 설정
-    const primaryColor = isDarkMode ? '#f9fafb' : '#333333';
-    const accentColor = isDarkMode ? '#60a5fa' : '#3b82f6';
-    const codeColor = isDarkMode ? '#374151' : '#f5f5f5';
-    const codeTextColor = isDarkMode ? '#e5e7eb' : '#333333';
+    // 색상 설정 (다크모드에서는 가독성을 위해 템플릿 색상 대신 어두운 배경용 색상 사용)
+    const colors = isDarkMode
+      ? { primary: '#f9fafb', secondary: '#d1d5db', accent: '#60a5fa', code: '#374151', codeText: '#e5e7eb' }
+      : template.colors;
     
-    this.preview.style.setProperty('color', primaryColor, 'important');
+    this.preview.style.setProperty('color', colors.primary, 'important');
 
     // 스타일 태그 주입
     const styleId = 'markdown-preview-styles';
@@ -565,47 +752,72 @@ class EditorManager {
       document.head.appendChild(styleEl);
     }
 
+    // 미리보기 여백 고정
+    const paddingStyles = `
+      #${this.preview.id} {
+        padding: 16px;
+      }
+    `;
+
+    styleEl.textContent = this.getPreviewCSS(`#${this.preview.id}`, template, colors) + paddingStyles;
+  }
+
+  /**
+   * 템플릿 미리보기 스타일 CSS (미리보기와 오프라인 HTML 내보내기에서 공용)
+   * @param {string} scope - 적용할 선택자 (예: #markdown-preview)
+   * @param {Object} template - 템플릿 객체
+   * @param {Object} colors - 색상 { primary, secondary, accent, code, codeText }
+   * @returns {string} CSS
+   */
+  getPreviewCSS(scope, template, colors = template.colors) {
+    // 제목 크기는 본문 크기 대비 비율(em)로 적용해 글꼴 크기 조절 시에도 PDF와 같은 비율 유지
+    const headingEm = (level) => `${(template.headingSize[level] / template.fontSize).toFixed(3)}em`;
+
     const headingStyles = `
-      #${this.preview.id} h1 { 
-        font-size: 26px; 
-        color: ${primaryColor}; 
+      ${scope} h1 { 
+        font-size: ${headingEm(1)}; 
+        color: ${colors.primary}; 
         padding-bottom: 8px;
         margin-bottom: 20px;
+        border-bottom: 1px solid ${colors.accent};
         font-weight: 700;
       }
-      #${this.preview.id} h2 { font-size: 21px; color: ${primaryColor}; font-weight: 600; margin-top: 24px; margin-bottom: 16px; }
-      #${this.preview.id} h3 { font-size: 18px; color: ${primaryColor}; font-weight: 600; margin-top: 20px; margin-bottom: 12px; }
-      #${this.preview.id} h4 { font-size: 16px; color: ${primaryColor}; font-weight: 600; margin-top: 16px; margin-bottom: 8px; }
-      #${this.preview.id} h5 { font-size: 14px; color: ${primaryColor}; font-weight: 600; }
-      #${this.preview.id} h6 { font-size: 12px; color: ${primaryColor}; font-weight: 600; }
+      ${scope} h2 { font-size: ${headingEm(2)}; color: ${colors.primary}; font-weight: 600; margin-top: 24px; margin-bottom: 16px; }
+      ${scope} h3 { font-size: ${headingEm(3)}; color: ${colors.primary}; font-weight: 600; margin-top: 20px; margin-bottom: 12px; }
+      ${scope} h4 { font-size: ${headingEm(4)}; color: ${colors.primary}; font-weight: 600; margin-top: 16px; margin-bottom: 8px; }
+      ${scope} h5 { font-size: ${headingEm(5)}; color: ${colors.primary}; font-weight: 600; }
+      ${scope} h6 { font-size: ${headingEm(6)}; color: ${colors.primary}; font-weight: 600; }
+    `;
+
+    const textStyles = `
+      ${scope} p, ${scope} li, ${scope} strong { color: ${colors.primary}; }
+      ${scope} a { color: ${colors.accent}; }
+      ${scope} blockquote { border-left-color: ${colors.accent}; color: ${colors.secondary}; }
+      ${scope} blockquote p { color: ${colors.secondary}; }
+      ${scope} hr { border-top-color: ${colors.secondary}; }
+      ${scope} :not(pre) > code { background: ${colors.code}; color: ${colors.codeText}; }
+      ${scope} pre { background: ${colors.code}; }
     `;
 
     const tableStyles = `
-      #${this.preview.id} table {
+      ${scope} table {
         width: 100%;
         border-collapse: collapse;
         margin-bottom: 1.5rem;
       }
-      #${this.preview.id} table th, #${this.preview.id} table td {
+      ${scope} table th, ${scope} table td {
         border: 1px solid rgba(0,0,0,0.12);
         padding: 10px;
         text-align: left;
       }
-      #${this.preview.id} table thead th {
-        background: ${codeColor};
-        color: ${codeTextColor};
+      ${scope} table thead th {
+        background: ${colors.code};
+        color: ${colors.primary};
         font-weight: 600;
       }
     `;
 
-    // 미리보기 여백 고정
-    const paddingStyles = `
-      #${this.preview.id} {
-        padding: 16px;
-      }
-    `;
-
-    styleEl.textContent = headingStyles + tableStyles + paddingStyles;
+    return headingStyles + textStyles + tableStyles;
   }
 
   /**
@@ -785,11 +997,24 @@ class EditorManager {
   saveDocument(isAutoSave = false) {
     const content = this.textarea.value;
     const title = MarkdownHelper.extractTitle(content);
+    const id = this.currentDocument?.id || Date.now();
+
+    // 열어 둔 채 휴지통으로 옮긴 문서는 복원하기 전까지 저장하지 않음 (자동 저장은 건너뜀)
+    if (StorageManager.getTrashedDocument(id)) {
+      if (!isAutoSave) this.confirmRestoreTrashed(id);
+      return;
+    }
+
+    // 폴더, 태그, 고정은 문서 목록에서 바꾸므로 저장된 값을 유지 (목록에 없으면 열 때의 값)
+    const stored = StorageManager.getDocument(id) || this.currentDocument || {};
 
     const document = {
-      id: this.currentDocument?.id || Date.now(),
+      id: id,
       title: title,
       content: content,
+      folder: stored.folder || '',
+      tags: stored.tags || [],
+      pinned: !!stored.pinned,
       lastModified: new Date().toISOString(),
       createdAt: this.currentDocument?.createdAt || new Date().toISOString()
     };
@@ -800,6 +1025,9 @@ class EditorManager {
       this.currentDocument = document;
       this.isModified = false;
 
+      // 버전 기록 (자동 저장은 StorageManager.VERSION_INTERVAL마다 한 번)
+      StorageManager.recordVersion(document, !isAutoSave);
+
       // 저장 상태 표시
       this.showSaveStatus(isAutoSave);
     } else {
@@ -809,6 +1037,23 @@ class EditorManager {
     }
   }
 
+  /**
+   * 휴지통에 있는 문서를 저장하려 할 때 복원 후 저장 안내
+   * @param {number} id - 문서 ID
+   */
+  confirmRestoreTrashed(id) {
+    window.app.uiManager.showToast('warning', '이 문서는 휴지통에 있어 저장하지 않았습니다.', 6000, {
+      label: '복원 후 저장',
+      onClick: () => {
+        if (!StorageManager.restoreDocument(id)) {
+          this.showError('문서를 복원하지 못했습니다.');
+          return;
+        }
+        this.saveDocument();
+      }
+    });
+  }
+
   /**
    * 저장 상태 표시
    * @param {boolean} isAutoSave - 자동 저장 여부
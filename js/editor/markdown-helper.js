@@ -281,6 +281,21 @@ class MarkdownHelper {
     this.replaceSelection(replacement, 0);
   }
 
+  /**
+   * 페이지 나누기
+   */
+  pageBreak() {
+    const selection = this.getSelection();
+    const before = this.textarea.value.substring(0, selection.start);
+    const after = this.textarea.value.substring(selection.end);
+
+    // 지시어는 앞뒤가 빈 줄인 독립된 줄이어야 함
+    const prefix = before.length === 0 || before.endsWith('\n\n') ? '' : (before.endsWith('\n') ? '\n' : '\n\n');
+    const suffix = after.startsWith('\n\n') ? '' : (after.startsWith('\n') ? '\n' : '\n\n');
+
+    this.replaceSelection(prefix + '<!-- pagebreak -->' + suffix, 0);
+  }
+
   /**
    * 테이블 삽입
    * @param {number} rows - 행 개수
@@ -455,6 +470,38 @@ MIT`,
     }
   }
 
+  /**
+   * HTML 특수문자 이스케이프 (요소 내용과 속성 값 모두에 사용, XML에도 사용 가능)
+   * @param {string} text - 텍스트 (null/undefined는 빈 문자열)
+   * @returns {string} 이스케이프된 텍스트
+   */
+  static escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * marked가 이스케이프한 HTML 엔티티 복원 (내보내기용)
+   * 유니코드 범위 밖, 서로게이트, 0인 숫자 엔티티는 그대로 둠
+   * @param {string} text - 텍스트
+   * @returns {string} 복원된 텍스트
+   */
+  static decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        const valid = code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+        return valid ? String.fromCodePoint(code) : match;
+      }
+      return named[entity.toLowerCase()] ?? match;
+    });
+  }
+
   /**
    * 단어 수 계산
    * @param {string} text - 텍스트
@@ -483,12 +530,15 @@ MIT`,
   }
 
   /**
-   * 제목 추출 (첫 번째 H1 또는 첫 줄)
+   * 제목 추출 (front matter의 title, 첫 번째 H1 또는 첫 줄)
    * @param {string} markdown - 마크다운 텍스트
    * @returns {string} 제목
    */
   static extractTitle(markdown) {
-    const lines = markdown.trim().split('\n');
+    const { data, body } = MarkdownHelper.parseFrontMatter(markdown);
+    if (data.title) return String(data.title);
+
+    const lines = body.trim().split('\n');
 
     // H1 태그 찾기
     for (const line of lines) {
@@ -507,4 +557,99 @@ MIT`,
 
     return '제목 없음';
   }
+
+  /**
+   * 문서 맨 앞의 YAML front matter 분리 (key: value, 인라인/블록 목록만 지원)
+   * @param {string} markdown - 마크다운 텍스트
+   * @returns {Object} { data, body } - front matter 값과 나머지 본문
+   */
+  static parseFrontMatter(markdown) {
+    const empty = { data: {}, body: markdown };
+    const match = markdown.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) return empty;
+
+    const data = {};
+    let listKey = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+      if (!line.trim() || /^\s*#/.test(line)) continue;
+
+      const item = line.match(/^\s*-\s+(.*)$/);
+      if (item && listKey) {
+        data[listKey].push(MarkdownHelper.parseYAMLValue(item[1]));
+        continue;
+      }
+
+      // YAML 형식이 아니면 front matter가 아니라 수평선으로 시작하는 일반 문서
+      const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+      if (!pair) return empty;
+
+      const key = pair[1].toLowerCase();
+      const value = (pair[2] || '').trim();
+      if (value) {
+        data[key] = MarkdownHelper.parseYAMLValue(value);
+        listKey = null;
+      } else {
+        data[key] = [];
+        listKey = key;
+      }
+    }
+
+    // 키가 하나도 없으면(빈 블록, 주석/제목만 있는 블록) front matter가 아님
+    if (Object.keys(data).length === 0) return empty;
+
+    // 값도 목록 항목도 없는 키는 빈 문자열
+    Object.keys(data).forEach(key => {
+      if (Array.isArray(data[key]) && data[key].length === 0) data[key] = '';
+    });
+
+    return { data, body: markdown.slice(match[0].length) };
+  }
+
+  /**
+   * front matter 값 변환 (따옴표 문자열, [a, b] 목록, true/false)
+   * @param {string} value - 원본 값
+   * @returns {string|boolean|Array}
+   */
+  static parseYAMLValue(value) {
+    const quoted = value.match(/^(["'])(.*)\1(\s+#.*)?$/);
+    if (quoted) {
+      return quoted[1] === '"' ? quoted[2].replace(/\\(["\\])/g, '$1') : quoted[2].replace(/''/g, "'");
+    }
+
+    const text = value.replace(/\s+#.*$/, '').trim();
+    if (/^\[.*\]$/.test(text)) {
+      return text.slice(1, -1).split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => MarkdownHelper.parseYAMLValue(item));
+    }
+    if (/^(true|yes)$/i.test(text)) return true;
+    if (/^(false|no)$/i.test(text)) return false;
+    return text;
+  }
+
+  /**
+   * 표지/머리글/바닥글에 쓸 문서 정보 (front matter 우선, 없으면 기본값)
+   * @param {string} markdown - 마크다운 텍스트
+   * @param {Object} defaults - 기본값 (예: 설정의 작성자)
+   * @returns {Object} { title, subtitle, author, date, organization, logo }
+   */
+  static getDocumentMeta(markdown, defaults = {}) {
+    const { data } = MarkdownHelper.parseFrontMatter(markdown);
+    const text = (key) => {
+      const value = data[key];
+      if (value === undefined || value === '') return defaults[key] || '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    };
+
+    return {
+      title: MarkdownHelper.extractTitle(markdown),
+      subtitle: text('subtitle'),
+      author: text('author'),
+      date: text('date'),
+      organization: text('organization'),
+      logo: text('logo')
+    };
+  }
 }
@@ -0,0 +1,333 @@
+/**
+ * PageView - 미리보기 페이지 보기 모드
+ * 렌더링된 미리보기 HTML을 템플릿의 용지 크기, 방향, 여백에 맞춘 페이지 프레임으로 나눠 표시
+ */
+class PageView {
+  // pt → CSS px (96dpi)
+  static PT_TO_PX = 96 / 72;
+
+  // 페이지 사이 간격 (px)
+  static PAGE_GAP = 24;
+
+  /**
+   * @param {HTMLElement} preview - 미리보기 요소
+   */
+  constructor(preview) {
+    this.preview = preview;
+    this.enabled = false;
+    this.template = null;
+    this.pages = [];
+    this.renderId = 0;
+
+    // 창 크기 변경 시 페이지 배율만 다시 계산
+    window.addEventListener('resize', () => {
+      if (this.enabled) this.fitToWidth();
+    });
+  }
+
+  /**
+   * 페이지 보기 켜기/끄기
+   * @param {boolean} enabled - 사용 여부
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.preview.classList.toggle('page-view', enabled);
+  }
+
+  /**
+   * 미리보기 내용을 페이지로 나누기 (이미지/다이어그램 렌더링 완료 후)
+   * @param {Object} template - 적용할 템플릿
+   * @param {Promise} pending - 기다릴 렌더링 작업 (Mermaid 등)
+   * @param {Object} meta - 머리글/바닥글 변수 { title, author, date }
+   * @returns {Promise<void>}
+   */
+  async render(template, pending = null, meta = {}) {
+    const renderId = ++this.renderId;
+
+    // 높이가 바뀌는 요소가 모두 그려진 뒤에 측정
+    await Promise.all([
+      Promise.resolve(pending).catch(() => {}),
+      ...Array.from(this.preview.querySelectorAll('img'))
+        .filter(img => !img.complete)
+        .map(img => new Promise(resolve => {
+          img.addEventListener('load', resolve, { once: true });
+          img.addEventListener('error', resolve, { once: true });
+        }))
+    ]);
+
+    // 그 사이 미리보기가 다시 렌더링되었으면 중단
+    if (renderId !== this.renderId || !this.enabled) return;
+
+    this.paginate(template, meta);
+  }
+
+  /**
+   * 미리보기 내용을 페이지 프레임에 배치
+   * @param {Object} template - 적용할 템플릿
+   * @param {Object} meta - 머리글/바닥글 변수 { title, author, date }
+   */
+  paginate(template, meta = {}) {
+    this.template = TemplateManager.normalize(template);
+
+    const nodes = Array.from(this.preview.childNodes);
+    this.preview.innerHTML = '';
+
+    this.container = document.createElement('div');
+    this.container.className = 'preview-pages';
+    this.preview.appendChild(this.container);
+
+    this.pages = [];
+    this.addPage();
+
+    nodes.forEach(node => {
+      if (this.isPageBreak(node)) {
+        if (this.currentBody.childNodes.length > 0) this.addPage();
+        return;
+      }
+
+      // 블록 사이 공백 텍스트는 무시
+      if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) return;
+      if (node.nodeType === Node.COMMENT_NODE) return;
+
+      this.place(node);
+    });
+
+    this.renderHeaderFooter(meta);
+    this.fitToWidth();
+  }
+
+  /**
+   * 새 페이지 프레임 추가
+   */
+  addPage() {
+    const { width, height } = TemplateManager.getPageSize(this.template);
+    const margin = this.template.margin;
+    const px = (pt) => `${(pt * PageView.PT_TO_PX).toFixed(2)}px`;
+
+    const page = document.createElement('div');
+    page.className = 'preview-page';
+    page.style.width = px(width);
+    page.style.height = px(height);
+    page.style.padding = `${px(margin.top)} ${px(margin.right)} ${px(margin.bottom)} ${px(margin.left)}`;
+    page.style.fontSize = `${this.template.fontSize}pt`;
+
+    const body = document.createElement('div');
+    body.className = 'preview-page-body';
+    body.style.height = px(height - margin.top - margin.bottom);
+
+    page.appendChild(body);
+    this.container.appendChild(page);
+
+    this.pages.push(page);
+    this.currentBody = body;
+  }
+
+  /**
+   * 블록을 현재 페이지에 배치 (넘치면 다음 페이지로, 목록/표는 항목 단위로 나눔)
+   * keep-together 블록은 한 페이지에 들어가면 나누지 않음
+   * @param {Node} node - 배치할 노드
+   */
+  place(node) {
+    this.currentBody.appendChild(node);
+    if (!this.overflows()) return;
+
+    const fitsOnPage = this.isKeepTogether(node) && node.offsetHeight <= this.currentBody.clientHeight;
+
+    if (this.isSplittable(node) && !fitsOnPage) {
+      this.currentBody.removeChild(node);
+      this.placeSplit(node);
+      return;
+    }
+
+    if (this.currentBody.childNodes.length > 1) {
+      this.moveToNextPage(node);
+    }
+
+    // 한 페이지보다 큰 블록은 잘리지 않도록 표시만
+    if (this.overflows()) {
+      this.currentBody.parentElement.classList.add('preview-page-overflow');
+    }
+  }
+
+  /**
+   * 목록/표를 항목 단위로 나눠 여러 페이지에 배치
+   * @param {HTMLElement} node - ul, ol 또는 table 요소
+   */
+  placeSplit(node) {
+    const items = this.getSplitItems(node);
+    let index = 0;
+    let shell = this.createShell(node, index);
+    this.currentBody.appendChild(shell.root);
+
+    items.forEach(item => {
+      shell.items.appendChild(item);
+
+      if (this.overflows()) {
+        if (shell.items.children.length > 1) {
+          // 넘친 항목부터 다음 페이지의 새 목록/표로
+          shell.items.removeChild(item);
+          this.addPage();
+          shell = this.createShell(node, index);
+          this.currentBody.appendChild(shell.root);
+          shell.items.appendChild(item);
+        } else if (this.currentBody.childNodes.length > 1) {
+          // 첫 항목도 들어가지 않으면 통째로 다음 페이지로
+          this.moveToNextPage(shell.root);
+        }
+
+        if (this.overflows()) {
+          this.currentBody.parentElement.classList.add('preview-page-overflow');
+        }
+      }
+
+      index++;
+    });
+  }
+
+  /**
+   * 블록을 다음 페이지로 옮기기 (바로 앞의 keep-with-next 제목도 함께 이동)
+   * @param {HTMLElement} node - 현재 페이지 마지막 블록
+   */
+  moveToNextPage(node) {
+    const carried = [];
+    let previous = node.previousElementSibling;
+    while (previous && previous.classList.contains('keep-with-next')) {
+      carried.unshift(previous);
+      previous = previous.previousElementSibling;
+    }
+
+    // 페이지에 제목밖에 없으면 함께 옮겨도 빈 페이지만 생기므로 블록만 이동
+    const moving = previous ? [...carried, node] : [node];
+
+    moving.forEach(el => this.currentBody.removeChild(el));
+    this.addPage();
+    moving.forEach(el => this.currentBody.appendChild(el));
+  }
+
+  /**
+   * 한 페이지에 함께 두어야 하는 블록인지 확인
+   * @param {Node} node - 노드
+   * @returns {boolean}
+   */
+  isKeepTogether(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.classList.contains('keep-together');
+  }
+
+  /**
+   * 나눌 수 있는 블록인지 확인
+   * @param {Node} node - 노드
+   * @returns {boolean}
+   */
+  isSplittable(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    if (node.tagName === 'UL' || node.tagName === 'OL') return node.children.length > 1;
+    if (node.tagName === 'TABLE') return Boolean(node.tBodies[0]) && node.tBodies[0].rows.length > 1;
+    return false;
+  }
+
+  /**
+   * 나눌 항목 목록 (목록 항목 또는 표 본문 행)
+   * @param {HTMLElement} node - ul, ol 또는 table 요소
+   * @returns {Array<HTMLElement>}
+   */
+  getSplitItems(node) {
+    return node.tagName === 'TABLE'
+      ? Array.from(node.tBodies[0].rows)
+      : Array.from(node.children);
+  }
+
+  /**
+   * 나눠진 조각을 담을 빈 목록/표 생성 (표는 머리글 반복, 번호 목록은 시작 번호 유지)
+   * @param {HTMLElement} node - 원본 요소
+   * @param {number} index - 조각의 첫 항목 인덱스
+   * @returns {Object} { root, items }
+   */
+  createShell(node, index) {
+    const root = node.cloneNode(false);
+
+    if (node.tagName === 'TABLE') {
+      if (node.tHead) root.appendChild(node.tHead.cloneNode(true));
+      const tbody = node.tBodies[0].cloneNode(false);
+      root.appendChild(tbody);
+      return { root, items: tbody };
+    }
+
+    if (node.tagName === 'OL') {
+      root.start = (node.start || 1) + index;
+    }
+    return { root, items: root };
+  }
+
+  /**
+   * 현재 페이지 본문이 넘치는지 확인
+   * @returns {boolean}
+   */
+  overflows() {
+    return this.currentBody.scrollHeight > this.currentBody.clientHeight + 1;
+  }
+
+  /**
+   * 명시적 페이지 나누기 표시인지 확인
+   * @param {Node} node - 노드
+   * @returns {boolean}
+   */
+  isPageBreak(node) {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      return node.textContent.trim().toLowerCase() === 'pagebreak';
+    }
+    return node.nodeType === Node.ELEMENT_NODE && node.classList.contains('page-break');
+  }
+
+  /**
+   * 각 페이지 위/아래 여백에 템플릿 머리글/바닥글 표시 (PDF와 같은 변수 치환)
+   * @param {Object} meta - 머리글/바닥글 변수 { title, author, date }
+   */
+  renderHeaderFooter(meta) {
+    const template = this.template;
+    const values = {
+      title: meta.title || '',
+      author: meta.author || '',
+      date: meta.date || new Date().toLocaleDateString('ko-KR'),
+      pages: this.pages.length
+    };
+
+    const zones = [
+      { className: 'preview-page-header', slots: template.header, height: template.margin.top },
+      { className: 'preview-page-footer', slots: template.footer, height: template.margin.bottom }
+    ];
+
+    this.pages.forEach((page, index) => {
+      const pageNumber = index + 1;
+      if (!TemplateManager.showsHeaderFooter(template, pageNumber)) return;
+
+      zones.forEach(zone => {
+        const el = document.createElement('div');
+        el.className = zone.className;
+        el.style.height = `${(zone.height * PageView.PT_TO_PX).toFixed(2)}px`;
+        el.style.padding = `0 ${(template.margin.right * PageView.PT_TO_PX).toFixed(2)}px 0 ${(template.margin.left * PageView.PT_TO_PX).toFixed(2)}px`;
+
+        ['left', 'center', 'right'].forEach(position => {
+          const slot = document.createElement('span');
+          slot.className = `preview-page-slot-${position}`;
+          slot.textContent = TemplateManager.formatHeaderFooter(zone.slots[position], { ...values, page: pageNumber });
+          el.appendChild(slot);
+        });
+
+        page.appendChild(el);
+      });
+    });
+  }
+
+  /**
+   * 미리보기 너비에 맞춰 페이지 축소
+   */
+  fitToWidth() {
+    if (!this.container || !this.pages.length) return;
+
+    const pageWidth = TemplateManager.getPageSize(this.template).width * PageView.PT_TO_PX;
+    const available = this.preview.clientWidth - PageView.PAGE_GAP * 2;
+    const scale = available > 0 ? Math.min(1, available / pageWidth) : 1;
+
+    this.container.style.zoom = scale.toFixed(3);
+  }
+}
@@ -14,23 +14,33 @@ class PasteHandler {
    * Turndown 서비스 초기화 (옵션 설정)
    */
   initTurndown() {
-    if (typeof TurndownService !== 'undefined') {
-      this.turndownService = new TurndownService({
-        headingStyle: 'atx',
-        hr: '---',
-        bulletListMarker: '-',
-        codeBlockStyle: 'fenced'
-      });
-      
-      // 테이블 변환 규칙 추가 (기본 turndown은 table을 지원하지 않아 gfm 플러그인이 필요하지만
-      // 플러그인이 없다면 렌더링을 유지하거나 텍스트로 보존하는 기본 룰이 들어감)
-      // 가능하면 커스텀 룰을 넣어 확장성을 둡니다.
-      this.turndownService.keep(['table', 'tr', 'td', 'th', 'tbody', 'thead']);
-    } else {
+    this.turndownService = PasteHandler.createTurndownService();
+    if (!this.turndownService) {
       console.warn('TurndownService is not loaded. Smart HTML pasting will be disabled.');
     }
   }
 
+  /**
+   * 붙여넣기와 HTML 파일 열기에 공통으로 쓰는 Turndown 서비스 생성
+   * @returns {TurndownService|null} Turndown 서비스 (라이브러리가 없으면 null)
+   */
+  static createTurndownService() {
+    if (typeof TurndownService === 'undefined') return null;
+
+    const turndownService = new TurndownService({
+      headingStyle: 'atx',
+      hr: '---',
+      bulletListMarker: '-',
+      codeBlockStyle: 'fenced'
+    });
+
+    // 테이블 변환 규칙 추가 (기본 turndown은 table을 지원하지 않아 gfm 플러그인이 필요하지만
+    // 플러그인이 없다면 렌더링을 유지하거나 텍스트로 보존하는 기본 룰이 들어감)
+    // 가능하면 커스텀 룰을 넣어 확장성을 둡니다.
+    turndownService.keep(['table', 'tr', 'td', 'th', 'tbody', 'thead']);
+    return turndownService;
+  }
+
   /**
    * Paste 이벤트 핸들링 (에디터에 붙여넣기 할 때)
    */
@@ -27,7 +27,8 @@ class SlashMenu {
       { id: 'table', icon: '▦', label: '표', action: () => this.executeCommand('table') },
       { id: 'math', icon: '∑', label: '수식 (KaTeX)', action: () => this.executeCommand('math') },
       { id: 'mermaid', icon: '⑆', label: '다이어그램 (Mermaid)', action: () => this.executeCommand('mermaid') },
-      { id: 'checkList', icon: '☑', label: '할 일 목록', action: () => this.executeCommand('checkList') }
+      { id: 'checkList', icon: '☑', label: '할 일 목록', action: () => this.executeCommand('checkList') },
+      { id: 'pageBreak', icon: '⤓', label: '페이지 나누기', action: () => this.executeCommand('pageBreak') }
     ];
 
     this.init();
@@ -236,6 +237,7 @@ class SlashMenu {
       case 'math': window.dispatchEvent(new CustomEvent('markdown-math')); break;
       case 'mermaid': window.dispatchEvent(new CustomEvent('markdown-mermaid')); break;
       case 'checkList': window.dispatchEvent(new CustomEvent('markdown-check-list')); break;
+      case 'pageBreak': window.dispatchEvent(new CustomEvent('markdown-pagebreak')); break;
     }
     
     this.textarea.focus();
@@ -0,0 +1,157 @@
+/**
+ * CsvImporter - CSV/TSV 파일을 GFM 표로 변환
+ * 첫 행을 머리글로 쓰고, 열 내용으로 정렬을 추정 (숫자 열은 오른쪽, 짧은 기호 열은 가운데)
+ */
+class CsvImporter {
+  // 구분자 자동 감지 후보 (.csv는 쉼표가 기본이지만 유럽식 Excel은 세미콜론)
+  static DELIMITERS = [',', ';', '\t', '|'];
+
+  // 숫자로 볼 값 (천 단위 쉼표, 부호, 소수, 통화 기호, 퍼센트, 단위 없는 과학 표기)
+  static NUMBER_PATTERN = /^[-+]?[₩$€£¥]?\s?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?\s?(%|원)?$/;
+
+  // 모든 값이 이 길이 이하이면 가운데 정렬 (O/X, Y/N, 등급 등)
+  static SHORT_VALUE_LENGTH = 2;
+
+  /**
+   * CSV/TSV 텍스트를 마크다운 표로 변환
+   * @param {string} text - 파일 내용
+   * @param {Object} options - { delimiter: 구분자 (없으면 자동 감지), title: 표 위에 붙일 제목 }
+   * @returns {string} 마크다운
+   */
+  convert(text, options = {}) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || this.detectDelimiter(source);
+    const rows = this.parse(source, delimiter).filter(row => row.some(cell => cell.trim()));
+
+    if (rows.length === 0) {
+      throw new Error('표로 변환할 데이터가 없습니다.');
+    }
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const normalized = rows.map(row => Array.from({ length: columns }, (_, i) => (row[i] || '').trim()));
+    const [header, ...body] = normalized;
+
+    const separator = this.guessAlignments(body, columns).map(align => ({
+      left: ':---',
+      center: ':---:',
+      right: '---:'
+    }[align]));
+
+    const lines = [
+      this.formatRow(header.map((cell, i) => cell || `열 ${i + 1}`)),
+      this.formatRow(separator),
+      ...body.map(row => this.formatRow(row))
+    ];
+
+    const title = options.title ? `# ${options.title}\n\n` : '';
+    return `${title}${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 첫 행에서 가장 많이 쓰인 구분자 (따옴표 안은 제외)
+   * @param {string} text - 파일 내용
+   * @returns {string} 구분자
+   */
+  detectDelimiter(text) {
+    let quoted = false;
+    let end = text.length;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '"') {
+        quoted = !quoted;
+      } else if (!quoted && (text[i] === '\n' || text[i] === '\r')) {
+        end = i;
+        break;
+      }
+    }
+    const line = text.slice(0, end).replace(/"[^"]*"/g, '');
+
+    let best = ',';
+    let bestCount = 0;
+    CsvImporter.DELIMITERS.forEach(delimiter => {
+      const count = line.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * RFC 4180 방식 파싱 (따옴표 안의 구분자/줄바꿈, "" 이스케이프)
+   * @param {string} text - 파일 내용
+   * @param {string} delimiter - 구분자
+   * @returns {Array<Array<string>>} 행 목록
+   */
+  parse(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell.trim() === '') {
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * 열 정렬 추정
+   * @param {Array<Array<string>>} body - 머리글을 뺀 행 목록
+   * @param {number} columns - 열 수
+   * @returns {Array<string>} left | center | right
+   */
+  guessAlignments(body, columns) {
+    return Array.from({ length: columns }, (_, i) => {
+      const values = body.map(row => row[i]).filter(value => value !== '');
+      if (values.length === 0) return 'left';
+
+      if (values.every(value => CsvImporter.NUMBER_PATTERN.test(value) && /\d/.test(value))) {
+        return 'right';
+      }
+      if (values.every(value => value.length <= CsvImporter.SHORT_VALUE_LENGTH)) {
+        return 'center';
+      }
+      return 'left';
+    });
+  }
+
+  /**
+   * 표 한 행 (셀 안의 | 이스케이프, 줄바꿈은 <br>)
+   * @param {Array<string>} cells - 셀 목록
+   * @returns {string} 마크다운 행
+   */
+  formatRow(cells) {
+    return `| ${cells.map(cell => cell.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>')).join(' | ')} |`;
+  }
+}
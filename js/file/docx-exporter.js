@@ -0,0 +1,973 @@
+/**
+ * DocxExporter - Word 문서(.docx) 생성 클래스
+ * marked 토큰 목록을 WordprocessingML로 변환하고 JSZip으로 패키징
+ * 제목은 Word 제목 스타일(탐색 창/목차용), 목록은 Word 번호 매기기, 수식과 다이어그램은 이미지로 포함
+ */
+class DocxExporter {
+  static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+  // 단위 변환 (1pt = 20twip = 12700EMU, 글자 크기는 half-point)
+  static TWIPS_PER_PT = 20;
+  static EMU_PER_PT = 12700;
+
+  // 템플릿 font 이름 → Word 글꼴 이름 (설치되어 있지 않으면 Word가 대체 글꼴 사용)
+  static FONT_NAMES = {
+    NanumGothic: '나눔고딕',
+    NanumMyeongjo: '나눔명조',
+    NanumPen: '나눔손글씨 펜'
+  };
+  static MONO_FONT = 'Consolas';
+
+  // numbering.xml: 글머리 기호 목록은 하나의 번호 인스턴스를 공유, 번호 목록은 목록마다 새 인스턴스(번호 다시 시작)
+  static BULLET_NUM_ID = 1;
+  static BULLET_ABSTRACT_ID = 0;
+  static ORDERED_ABSTRACT_ID = 1;
+  static LIST_INDENT = 360;
+  static BULLET_SYMBOLS = ['•', '◦', '▪'];
+  static ORDERED_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+  static NAMESPACES = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture'
+  };
+
+  static REL_TYPES = {
+    document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+    coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+    styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+    numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+    settings: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings',
+    hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+    image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image'
+  };
+
+  /**
+   * @param {Object} template - templates.json 형식의 템플릿 객체 (글꼴, 크기, 색상, 여백, 용지)
+   */
+  constructor(template) {
+    this.template = TemplateManager.normalize(template);
+    // 이미지 불러오기와 HTML 래스터화는 PDF 생성기와 동일한 방식 사용
+    this.imageLoader = new PDFGenerator(this.template);
+    this.reset();
+  }
+
+  /**
+   * 문서별 상태 초기화
+   */
+  reset() {
+    this.warnings = [];
+    this.mathBlocks = [];
+    this.relationships = [];
+    this.media = [];
+    this.orderedLists = [];
+    this.headings = [];
+    this.headingIndex = 0;
+    this.bookmarks = new Map();
+    this.bookmarkId = 0;
+    this.drawingId = 0;
+    this.hasTableOfContents = false;
+  }
+
+  /**
+   * DOCX 파일 생성
+   * @param {Array} tokens - EditorManager.tokenizeMarkdown() 결과 토큰 목록
+   * @param {Array} mathBlocks - 토큰 안 @@MATH_BLOCK_n@@ 자리 표시에 해당하는 수식 원문
+   * @param {Object} meta - 문서 정보 { title, subtitle, author, date, organization, logo, cover }
+   * @returns {Promise<Object>} { blob, warnings } - 완성된 파일과 포함하지 못한 요소 목록
+   */
+  async build(tokens, mathBlocks = [], meta = {}) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 라이브러리가 로드되지 않았습니다.');
+    }
+
+    this.reset();
+    this.mathBlocks = mathBlocks;
+    this.collectHeadings(tokens);
+
+    const body = [];
+    if (meta.cover) {
+      body.push(...await this.convertCover(meta));
+    }
+    body.push(...await this.convertBlocks(tokens, {}));
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', this.createContentTypes());
+    zip.file('_rels/.rels', this.createPackageRelationships());
+    zip.file('docProps/core.xml', this.createCoreProperties(meta));
+    zip.file('word/document.xml', this.createDocument(body.join('')));
+    zip.file('word/styles.xml', this.createStyles());
+    zip.file('word/numbering.xml', this.createNumbering());
+    zip.file('word/settings.xml', this.createSettings());
+    zip.file('word/_rels/document.xml.rels', this.createDocumentRelationships());
+    this.media.forEach(item => zip.file(`word/media/${item.name}`, item.data, { base64: true }));
+
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: DocxExporter.MIME_TYPE });
+    return { blob, warnings: this.warnings };
+  }
+
+  /* ------------------------------------------------------------------
+   * 블록 토큰 → 문단/표
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 제목 id(미리보기와 같은 slug)마다 책갈피 이름 미리 지정 (앞쪽에서 뒤쪽 제목으로 가는 링크용)
+   * @param {Array} tokens - 토큰 목록
+   */
+  collectHeadings(tokens) {
+    const slugger = new marked.Slugger();
+
+    const visit = (list) => {
+      list.forEach(token => {
+        if (token.type === 'heading') {
+          const text = MarkdownHelper.decodeEntities(this.getPlainText(token.tokens));
+          const id = slugger.slug(text);
+          const name = `_Heading${this.headings.length + 1}`;
+          if (!this.bookmarks.has(id)) this.bookmarks.set(id, name);
+          this.headings.push({
+            level: token.depth,
+            text: text.replace(/@@MATH_BLOCK_(\d+)@@/g, (match, index) => this.mathBlocks[index] || match),
+            bookmark: name
+          });
+        } else if (token.type === 'blockquote') {
+          visit(token.tokens);
+        } else if (token.type === 'list') {
+          token.items.forEach(item => visit(item.tokens));
+        }
+      });
+    };
+    visit(tokens);
+  }
+
+  /**
+   * 블록 토큰 목록 변환
+   * @param {Array} tokens - 토큰 목록
+   * @param {Object} context - { quote: 인용 깊이, listLevel: 목록 깊이 }
+   * @returns {Promise<Array<string>>} body 요소 XML 목록
+   */
+  async convertBlocks(tokens, context) {
+    const parts = [];
+    for (const token of tokens) {
+      parts.push(...await this.convertBlock(token, context));
+    }
+    return parts;
+  }
+
+  /**
+   * 블록 토큰 하나 변환
+   * @param {Object} token - marked 토큰
+   * @param {Object} context - 변환 문맥
+   * @returns {Promise<Array<string>>} body 요소 XML 목록
+   */
+  async convertBlock(token, context) {
+    switch (token.type) {
+      case 'space':
+        return [];
+      case 'heading':
+        return [await this.convertHeading(token)];
+      case 'paragraph':
+      case 'text':
+        return [await this.convertParagraph(token, context)];
+      case 'code':
+        return [await this.convertCode(token)];
+      case 'blockquote':
+        return this.convertBlocks(token.tokens, { ...context, quote: (context.quote || 0) + 1 });
+      case 'list':
+        return this.convertList(token, context);
+      case 'table':
+        return [await this.convertTable(token)];
+      case 'hr':
+        return [this.paragraph('', { border: true })];
+      case 'html':
+        return this.convertHTMLBlock(token);
+      default:
+        return token.text ? [this.paragraph(this.textRuns(MarkdownHelper.decodeEntities(token.text), {}))] : [];
+    }
+  }
+
+  /**
+   * 제목 (Heading1~6 스타일 + 문서 내부 링크용 책갈피)
+   * @param {Object} token - heading 토큰
+   * @returns {Promise<string>} 문단 XML
+   */
+  async convertHeading(token) {
+    // collectHeadings()와 같은 순서로 방문하므로 순번으로 책갈피 대응
+    const heading = this.headings[this.headingIndex++];
+    let runs = await this.convertInline(token.tokens, {});
+
+    if (heading) {
+      const id = this.bookmarkId++;
+      runs = `<w:bookmarkStart w:id="${id}" w:name="${heading.bookmark}"/>${runs}<w:bookmarkEnd w:id="${id}"/>`;
+    }
+    return this.paragraph(runs, { style: `Heading${token.depth}` });
+  }
+
+  /**
+   * 일반 문단 (블록 수식만 있는 문단은 가운데 정렬, 인용 안이면 Quote 스타일)
+   * @param {Object} token - paragraph/text 토큰
+   * @param {Object} context - 변환 문맥
+   * @param {Object} props - 추가 문단 속성 (목록 번호 등)
+   * @param {string} prefix - 문단 앞에 붙일 글자 (작업 목록 체크 상자)
+   * @returns {Promise<string>} 문단 XML
+   */
+  async convertParagraph(token, context, props = {}, prefix = '') {
+    const runs = token.tokens
+      ? await this.convertInline(token.tokens, {})
+      : this.textRuns(MarkdownHelper.decodeEntities(token.text), {});
+
+    const mathOnly = /^@@MATH_BLOCK_(\d+)@@$/.exec((token.text || '').trim());
+    const isDisplayMath = mathOnly && (this.mathBlocks[mathOnly[1]] || '').startsWith('$$');
+
+    return this.paragraph((prefix ? this.run(prefix, {}) : '') + runs, {
+      style: context.quote && !props.numbering ? 'Quote' : (props.numbering || props.indent ? 'ListParagraph' : null),
+      align: isDisplayMath ? 'center' : null,
+      ...props
+    });
+  }
+
+  /**
+   * 코드 블록 (고정폭 Code 스타일, Mermaid는 다이어그램 이미지)
+   * @param {Object} token - code 토큰
+   * @returns {Promise<string>} 문단 XML
+   */
+  async convertCode(token) {
+    const lang = (token.lang || '').match(/\S*/)[0];
+
+    if (lang === 'mermaid') {
+      const image = await this.renderDiagram(token.text);
+      if (image) {
+        return this.paragraph(this.drawing(image, '다이어그램'), { align: 'center' });
+      }
+      this.warnings.push('일부 다이어그램을 이미지로 변환하지 못해 원문으로 넣었습니다.');
+    }
+
+    const lines = token.text.split('\n').map(line => line
+      .split('\t')
+      .map(part => part ? `<w:t xml:space="preserve">${this.escapeXML(part)}</w:t>` : '')
+      .join('<w:tab/>'));
+    return this.paragraph(`<w:r>${lines.join('<w:br/>')}</w:r>`, { style: 'Code' });
+  }
+
+  /**
+   * 목록 (번호/글머리 기호, 중첩 수준은 ilvl)
+   * @param {Object} token - list 토큰
+   * @param {Object} context - 변환 문맥
+   * @returns {Promise<Array<string>>} 문단 XML 목록
+   */
+  async convertList(token, context) {
+    const level = Math.min(context.listLevel === undefined ? 0 : context.listLevel + 1, 8);
+    const numId = token.ordered ? this.createOrderedList(level, token.start === '' ? 1 : Number(token.start) || 1) : DocxExporter.BULLET_NUM_ID;
+    const itemContext = { ...context, listLevel: level };
+    const parts = [];
+
+    for (const item of token.items) {
+      let numbered = false;
+      const prefix = item.task ? (item.checked ? '☑ ' : '☐ ') : '';
+
+      for (const child of item.tokens) {
+        if (child.type === 'list') {
+          parts.push(...await this.convertList(child, itemContext));
+        } else if (child.type === 'paragraph' || child.type === 'text') {
+          // 항목의 첫 문단에만 번호, 이어지는 문단은 같은 들여쓰기
+          const props = numbered
+            ? { indent: DocxExporter.LIST_INDENT * (level + 2) }
+            : { numbering: { numId, level } };
+          parts.push(await this.convertParagraph(child, itemContext, props, numbered ? '' : prefix));
+          numbered = true;
+        } else {
+          parts.push(...await this.convertBlock(child, itemContext));
+        }
+      }
+
+      if (!numbered) {
+        parts.push(this.paragraph(prefix ? this.run(prefix, {}) : '', { style: 'ListParagraph', numbering: { numId, level } }));
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * 표 (머리글 행 반복, 열 정렬 유지)
+   * @param {Object} token - table 토큰
+   * @returns {Promise<string>} 표 XML
+   */
+  async convertTable(token) {
+    const columns = Math.max(token.header.length, 1);
+    const columnWidth = Math.floor(this.getContentWidth() * DocxExporter.TWIPS_PER_PT / columns);
+
+    const cell = async (data, index, isHeader) => {
+      const align = token.align[index];
+      const runs = await this.convertInline(data.tokens, { bold: isHeader });
+      const shading = isHeader ? `<w:shd w:val="clear" w:color="auto" w:fill="${this.color(this.template.colors.code)}"/>` : '';
+      return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/>${shading}</w:tcPr>`
+        + this.paragraph(runs, { style: 'TableText', align: align === 'center' || align === 'right' ? align : null })
+        + '</w:tc>';
+    };
+
+    const rows = [];
+    const headerCells = [];
+    for (let i = 0; i < token.header.length; i++) {
+      headerCells.push(await cell(token.header[i], i, true));
+    }
+    rows.push(`<w:tr><w:trPr><w:tblHeader/></w:trPr>${headerCells.join('')}</w:tr>`);
+
+    for (const row of token.rows) {
+      const cells = [];
+      for (let i = 0; i < row.length; i++) {
+        cells.push(await cell(row[i], i, false));
+      }
+      rows.push(`<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.join('')}</w:tr>`);
+    }
+
+    const grid = `<w:gridCol w:w="${columnWidth}"/>`.repeat(columns);
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>'
+      + `<w:tblGrid>${grid}</w:tblGrid>${rows.join('')}</w:tbl>`
+      // 표가 바로 이어지면 Word가 하나로 합치므로 빈 문단으로 구분
+      + this.paragraph('', { style: 'TableText' });
+  }
+
+  /**
+   * HTML 블록 (페이지 나누기 지시어, [TOC]; 그 밖의 태그는 글자만 유지)
+   * @param {Object} token - html 토큰
+   * @returns {Array<string>} body 요소 XML 목록
+   */
+  convertHTMLBlock(token) {
+    const html = token.text.trim();
+
+    if (/^<div class="page-break"><\/div>$/.test(html)) {
+      return [this.paragraph('<w:r><w:br w:type="page"/></w:r>')];
+    }
+    if (html === EditorManager.TOC_PLACEHOLDER) {
+      return this.convertTableOfContents();
+    }
+
+    const text = MarkdownHelper.decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')).trim();
+    return text ? [this.paragraph(this.textRuns(text, {}))] : [];
+  }
+
+  /**
+   * [TOC] → Word 목차 필드 (열 때 Word가 쪽 번호를 채우도록 표시, 갱신 전에는 제목 링크 목록)
+   * @returns {Array<string>} 문단 XML 목록
+   */
+  convertTableOfContents() {
+    this.hasTableOfContents = true;
+    const title = this.paragraph(this.run('목차', {}), { style: 'TOCHeading' });
+    const begin = '<w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r>'
+      + '<w:r><w:instrText xml:space="preserve"> TOC \\o "1-6" \\h \\z \\u </w:instrText></w:r>'
+      + '<w:r><w:fldChar w:fldCharType="separate"/></w:r>';
+    const end = '<w:r><w:fldChar w:fldCharType="end"/></w:r>';
+
+    if (this.headings.length === 0) {
+      return [title, this.paragraph(begin + end)];
+    }
+
+    const entries = this.headings.map((heading, index) => {
+      const link = `<w:hyperlink w:anchor="${heading.bookmark}" w:history="1">${this.run(heading.text, {})}</w:hyperlink>`;
+      return this.paragraph(
+        (index === 0 ? begin : '') + link + (index === this.headings.length - 1 ? end : ''),
+        { style: `TOC${Math.min(heading.level, 9)}` }
+      );
+    });
+    return [title, ...entries];
+  }
+
+  /**
+   * 표지 (front matter 제목/부제목/작성자/소속/날짜, 다음 쪽부터 본문)
+   * @param {Object} meta - 문서 정보
+   * @returns {Promise<Array<string>>} 문단 XML 목록
+   */
+  async convertCover(meta) {
+    const parts = [];
+
+    const logo = meta.logo ? await this.imageLoader.loadImage(meta.logo) : null;
+    if (logo) {
+      const scale = Math.min(1, 80 / logo.height, (this.getContentWidth() * 0.5) / logo.width);
+      parts.push(this.paragraph(this.drawing({ ...logo, width: logo.width * scale, height: logo.height * scale }, 'logo'), { align: 'center' }));
+    } else if (meta.logo) {
+      this.warnings.push(`로고 이미지를 포함하지 못했습니다: ${meta.logo}`);
+    }
+
+    parts.push(this.paragraph(this.run(meta.title || '', {}), { style: 'Title' }));
+    if (meta.subtitle) {
+      parts.push(this.paragraph(this.run(meta.subtitle, {}), { style: 'Subtitle' }));
+    }
+
+    const info = [
+      [meta.author, { bold: true }],
+      [meta.organization, {}],
+      [meta.date || new Date().toLocaleDateString('ko-KR'), {}]
+    ].filter(([text]) => text);
+    info.forEach(([text, format]) => parts.push(this.paragraph(this.run(text, format), { align: 'center' })));
+
+    parts.push(this.paragraph('<w:r><w:br w:type="page"/></w:r>'));
+    return parts;
+  }
+
+  /* ------------------------------------------------------------------
+   * 인라인 토큰 → run
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 인라인 토큰 목록 변환
+   * @param {Array} tokens - 인라인 토큰 목록
+   * @param {Object} format - { bold, italic, strike, link }
+   * @returns {Promise<string>} run XML
+   */
+  async convertInline(tokens = [], format) {
+    let xml = '';
+
+    for (const token of tokens) {
+      switch (token.type) {
+        case 'strong':
+          xml += await this.convertInline(token.tokens, { ...format, bold: true });
+          break;
+        case 'em':
+          xml += await this.convertInline(token.tokens, { ...format, italic: true });
+          break;
+        case 'del':
+          xml += await this.convertInline(token.tokens, { ...format, strike: true });
+          break;
+        case 'codespan':
+          xml += this.run(MarkdownHelper.decodeEntities(token.text), { ...format, code: true });
+          break;
+        case 'br':
+          xml += '<w:r><w:br/></w:r>';
+          break;
+        case 'link':
+          xml += await this.convertLink(token, format);
+          break;
+        case 'image':
+          xml += await this.convertImage(token);
+          break;
+        case 'html':
+          xml += /^<br\s*\/?>$/i.test(token.text.trim())
+            ? '<w:r><w:br/></w:r>'
+            : this.textRuns(MarkdownHelper.decodeEntities(token.text.replace(/<[^>]*>/g, '')), format);
+          break;
+        default:
+          xml += token.tokens && token.tokens.length > 0
+            ? await this.convertInline(token.tokens, format)
+            : await this.convertText(MarkdownHelper.decodeEntities(token.text || ''), format);
+      }
+    }
+    return xml;
+  }
+
+  /**
+   * 텍스트 (수식 자리 표시는 수식 이미지로)
+   * @param {string} text - 텍스트
+   * @param {Object} format - 글자 서식
+   * @returns {Promise<string>} run XML
+   */
+  async convertText(text, format) {
+    const parts = text.split(/@@MATH_BLOCK_(\d+)@@/);
+    let xml = '';
+
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 0) {
+        xml += this.textRuns(parts[i], format);
+        continue;
+      }
+
+      const source = this.mathBlocks[parts[i]] || '';
+      const display = source.startsWith('$$');
+      const tex = display ? source.slice(2, -2) : source.slice(1, -1);
+      const image = await this.renderMath(tex.trim(), display);
+
+      if (image) {
+        xml += this.drawing(image, tex.trim());
+      } else {
+        this.warnings.push('일부 수식을 이미지로 변환하지 못해 원문으로 넣었습니다.');
+        xml += this.textRuns(source, format);
+      }
+    }
+    return xml;
+  }
+
+  /**
+   * 하이퍼링크 (외부 주소는 관계, #id는 제목 책갈피)
+   * @param {Object} token - link 토큰
+   * @param {Object} format - 글자 서식
+   * @returns {Promise<string>} hyperlink XML
+   */
+  async convertLink(token, format) {
+    const runs = await this.convertInline(token.tokens, { ...format, link: true });
+    const href = token.href || '';
+
+    if (href.startsWith('#')) {
+      const bookmark = this.bookmarks.get(this.getAnchorId(href));
+      return bookmark ? `<w:hyperlink w:anchor="${bookmark}" w:history="1">${runs}</w:hyperlink>` : runs;
+    }
+    if (!href) return runs;
+
+    const id = this.addRelationship('hyperlink', href, true);
+    return `<w:hyperlink r:id="${id}" w:history="1">${runs}</w:hyperlink>`;
+  }
+
+  /**
+   * 이미지 (본문 너비에 맞춰 축소)
+   * @param {Object} token - image 토큰
+   * @returns {Promise<string>} run XML
+   */
+  async convertImage(token) {
+    const image = await this.imageLoader.loadImage(token.href);
+    if (!image) {
+      this.warnings.push(`이미지를 포함하지 못했습니다: ${token.href}`);
+      return this.run(`[${token.text || '이미지'}]`, {});
+    }
+    return this.drawing(image, token.text || '');
+  }
+
+  /* ------------------------------------------------------------------
+   * 수식/다이어그램 이미지 렌더링
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 화면 밖 렌더링 요소 생성 (본문 글자 크기와 같게)
+   * @returns {HTMLElement} 요소
+   */
+  createRenderTarget() {
+    const target = document.createElement('div');
+    target.style.cssText = [
+      'position: absolute',
+      'left: -10000px',
+      'top: 0',
+      'display: inline-block',
+      'padding: 2px',
+      `font-size: ${this.template.fontSize / PDFGenerator.PX_TO_PT}px`,
+      `color: ${this.template.colors.primary}`
+    ].join(';');
+    document.body.appendChild(target);
+    return target;
+  }
+
+  /**
+   * KaTeX 수식 → PNG
+   * @param {string} tex - TeX 원문
+   * @param {boolean} display - 블록 수식 여부
+   * @returns {Promise<Object|null>} { dataUrl, width, height }
+   */
+  async renderMath(tex, display) {
+    if (typeof katex === 'undefined' || !tex) return null;
+
+    const target = this.createRenderTarget();
+    try {
+      katex.render(tex, target, { displayMode: display, throwOnError: false });
+      return await this.imageLoader.rasterize(target);
+    } catch (err) {
+      console.error('KaTeX error:', err);
+      return null;
+    } finally {
+      target.remove();
+    }
+  }
+
+  /**
+   * Mermaid 다이어그램 → PNG
+   * @param {string} code - Mermaid 원문
+   * @returns {Promise<Object|null>} { dataUrl, width, height }
+   */
+  async renderDiagram(code) {
+    if (typeof mermaid === 'undefined') return null;
+
+    const target = this.createRenderTarget();
+    target.style.width = `${this.getContentWidth() / PDFGenerator.PX_TO_PT}px`;
+    const node = document.createElement('div');
+    node.className = 'mermaid';
+    node.textContent = code;
+    target.appendChild(node);
+
+    try {
+      await mermaid.init(undefined, node);
+      const svg = node.querySelector('svg');
+      return svg ? await this.imageLoader.rasterize(node) : null;
+    } catch (err) {
+      console.error('Mermaid error:', err);
+      return null;
+    } finally {
+      target.remove();
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   * WordprocessingML 조각
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 문단
+   * @param {string} content - run/hyperlink XML
+   * @param {Object} props - { style, numbering: { numId, level }, indent, align, border }
+   * @returns {string} 문단 XML
+   */
+  paragraph(content, props = {}) {
+    let pPr = '';
+    if (props.style) pPr += `<w:pStyle w:val="${props.style}"/>`;
+    if (props.numbering) pPr += `<w:numPr><w:ilvl w:val="${props.numbering.level}"/><w:numId w:val="${props.numbering.numId}"/></w:numPr>`;
+    if (props.border) pPr += `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${this.color(this.template.colors.secondary)}"/></w:pBdr>`;
+    if (props.indent) pPr += `<w:ind w:left="${props.indent}"/>`;
+    if (props.align) pPr += `<w:jc w:val="${props.align}"/>`;
+
+    return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${content}</w:p>`;
+  }
+
+  /**
+   * 텍스트 run 목록 (줄바꿈은 w:br)
+   * @param {string} text - 텍스트
+   * @param {Object} format - 글자 서식
+   * @returns {string} run XML
+   */
+  textRuns(text, format) {
+    return text.split('\n')
+      .map(line => line ? this.run(line, format) : '')
+      .join('<w:r><w:br/></w:r>');
+  }
+
+  /**
+   * 글자 run
+   * @param {string} text - 텍스트 (줄바꿈 없음)
+   * @param {Object} format - { bold, italic, strike, code, link }
+   * @returns {string} run XML
+   */
+  run(text, format) {
+    let rPr = '';
+    if (format.code) rPr += '<w:rStyle w:val="CodeChar"/>';
+    else if (format.link) rPr += '<w:rStyle w:val="Hyperlink"/>';
+    if (format.bold) rPr += '<w:b/>';
+    if (format.italic) rPr += '<w:i/>';
+    if (format.strike) rPr += '<w:strike/>';
+
+    return `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXML(text)}</w:t></w:r>`;
+  }
+
+  /**
+   * 인라인 그림 run (PNG를 word/media에 추가)
+   * @param {Object} image - { dataUrl, width, height } (pt)
+   * @param {string} description - 대체 텍스트
+   * @returns {string} run XML
+   */
+  drawing(image, description) {
+    const maxWidth = this.getContentWidth();
+    const scale = Math.min(1, maxWidth / image.width);
+    const cx = Math.round(image.width * scale * DocxExporter.EMU_PER_PT);
+    const cy = Math.round(image.height * scale * DocxExporter.EMU_PER_PT);
+
+    const name = `image${this.media.length + 1}.png`;
+    this.media.push({ name, data: image.dataUrl.split(',')[1] });
+    const relId = this.addRelationship('image', `media/${name}`);
+    const id = ++this.drawingId;
+    const ns = DocxExporter.NAMESPACES;
+
+    return '<w:r><w:drawing>'
+      + '<wp:inline distT="0" distB="0" distL="0" distR="0">'
+      + `<wp:extent cx="${cx}" cy="${cy}"/>`
+      + `<wp:docPr id="${id}" name="그림 ${id}" descr="${this.escapeXML(description)}"/>`
+      + `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${ns.a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>`
+      + `<a:graphic xmlns:a="${ns.a}"><a:graphicData uri="${ns.pic}">`
+      + `<pic:pic xmlns:pic="${ns.pic}">`
+      + `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>`
+      + `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+      + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+      + '</pic:pic></a:graphicData></a:graphic></wp:inline>'
+      + '</w:drawing></w:r>';
+  }
+
+  /**
+   * document.xml 관계 추가
+   * @param {string} type - REL_TYPES 키
+   * @param {string} target - 대상 경로 또는 주소
+   * @param {boolean} external - 외부 주소 여부
+   * @returns {string} 관계 id
+   */
+  addRelationship(type, target, external = false) {
+    const id = `rId${this.relationships.length + 1}`;
+    this.relationships.push({ id, type: DocxExporter.REL_TYPES[type], target, external });
+    return id;
+  }
+
+  /**
+   * 번호 목록 인스턴스 추가 (목록마다 시작 번호 지정)
+   * @param {number} level - 목록 깊이
+   * @param {number} start - 시작 번호
+   * @returns {number} numId
+   */
+  createOrderedList(level, start) {
+    this.orderedLists.push({ level, start });
+    return DocxExporter.BULLET_NUM_ID + this.orderedLists.length;
+  }
+
+  /* ------------------------------------------------------------------
+   * 패키지 파트
+   * ------------------------------------------------------------------ */
+
+  /**
+   * [Content_Types].xml
+   * @returns {string} XML
+   */
+  createContentTypes() {
+    const main = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+    return this.xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Default Extension="png" ContentType="image/png"/>'
+      + `<Override PartName="/word/document.xml" ContentType="${main}.document.main+xml"/>`
+      + `<Override PartName="/word/styles.xml" ContentType="${main}.styles+xml"/>`
+      + `<Override PartName="/word/numbering.xml" ContentType="${main}.numbering+xml"/>`
+      + `<Override PartName="/word/settings.xml" ContentType="${main}.settings+xml"/>`
+      + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+      + '</Types>');
+  }
+
+  /**
+   * _rels/.rels
+   * @returns {string} XML
+   */
+  createPackageRelationships() {
+    const types = DocxExporter.REL_TYPES;
+    return this.xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + `<Relationship Id="rId1" Type="${types.document}" Target="word/document.xml"/>`
+      + `<Relationship Id="rId2" Type="${types.coreProperties}" Target="docProps/core.xml"/>`
+      + '</Relationships>');
+  }
+
+  /**
+   * word/_rels/document.xml.rels (스타일/번호/설정 + 링크와 그림)
+   * @returns {string} XML
+   */
+  createDocumentRelationships() {
+    const types = DocxExporter.REL_TYPES;
+    const relationships = this.relationships.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${this.escapeXML(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`);
+
+    return this.xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + `<Relationship Id="rIdStyles" Type="${types.styles}" Target="styles.xml"/>`
+      + `<Relationship Id="rIdNumbering" Type="${types.numbering}" Target="numbering.xml"/>`
+      + `<Relationship Id="rIdSettings" Type="${types.settings}" Target="settings.xml"/>`
+      + relationships.join('')
+      + '</Relationships>');
+  }
+
+  /**
+   * docProps/core.xml (제목, 작성자)
+   * @param {Object} meta - 문서 정보
+   * @returns {string} XML
+   */
+  createCoreProperties(meta) {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return this.xml('<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"'
+      + ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+      + `<dc:title>${this.escapeXML(meta.title || '')}</dc:title>`
+      + (meta.subtitle ? `<dc:subject>${this.escapeXML(meta.subtitle)}</dc:subject>` : '')
+      + `<dc:creator>${this.escapeXML(meta.author || '')}</dc:creator>`
+      + `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>`
+      + `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>`
+      + '</cp:coreProperties>');
+  }
+
+  /**
+   * word/document.xml (본문 + 용지 크기/여백)
+   * @param {string} body - body 요소 XML
+   * @returns {string} XML
+   */
+  createDocument(body) {
+    const ns = DocxExporter.NAMESPACES;
+    const twips = DocxExporter.TWIPS_PER_PT;
+    const pageSize = TemplateManager.getPageSize(this.template);
+    const margin = this.template.margin;
+    const orient = this.template.orientation === 'landscape' ? ' w:orient="landscape"' : '';
+
+    const section = '<w:sectPr>'
+      + `<w:pgSz w:w="${Math.round(pageSize.width * twips)}" w:h="${Math.round(pageSize.height * twips)}"${orient}/>`
+      + `<w:pgMar w:top="${Math.round(margin.top * twips)}" w:right="${Math.round(margin.right * twips)}"`
+      + ` w:bottom="${Math.round(margin.bottom * twips)}" w:left="${Math.round(margin.left * twips)}"`
+      + ' w:header="720" w:footer="720" w:gutter="0"/>'
+      + '</w:sectPr>';
+
+    return this.xml(`<w:document xmlns:w="${ns.w}" xmlns:r="${ns.r}" xmlns:wp="${ns.wp}" xmlns:a="${ns.a}" xmlns:pic="${ns.pic}">`
+      + `<w:body>${body}${section}</w:body></w:document>`);
+  }
+
+  /**
+   * word/styles.xml (템플릿 글꼴/크기/색상을 Word 스타일로)
+   * @returns {string} XML
+   */
+  createStyles() {
+    const template = this.template;
+    const colors = template.colors;
+    const font = DocxExporter.FONT_NAMES[template.font] || DocxExporter.FONT_NAMES.NanumGothic;
+    const mono = DocxExporter.MONO_FONT;
+    const size = (pt) => Math.round(pt * 2);
+    const spacing = Math.round(template.fontSize * 0.6 * DocxExporter.TWIPS_PER_PT);
+    const line = Math.round(template.lineHeight * 240);
+
+    const paragraphStyle = (id, name, pPr, rPr, extra = '') => `<w:style w:type="paragraph" w:styleId="${id}">`
+      + `<w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>${extra}<w:qFormat/>`
+      + `<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+
+    const headings = [1, 2, 3, 4, 5, 6].map(level => paragraphStyle(
+      `Heading${level}`,
+      `heading ${level}`,
+      `<w:keepNext/><w:keepLines/>${level <= 2 ? `<w:pBdr><w:bottom w:val="single" w:sz="${level === 1 ? 8 : 4}" w:space="4" w:color="${this.color(level === 1 ? colors.accent : colors.secondary)}"/></w:pBdr>` : ''}`
+        + `<w:spacing w:before="${Math.round(template.headingSize[level] * 0.8 * DocxExporter.TWIPS_PER_PT)}" w:after="${spacing}" w:line="${Math.round(1.3 * 240)}" w:lineRule="auto"/>`
+        + `<w:outlineLvl w:val="${level - 1}"/>`,
+      `<w:b/><w:bCs/><w:color w:val="${this.color(colors.primary)}"/><w:sz w:val="${size(template.headingSize[level])}"/><w:szCs w:val="${size(template.headingSize[level])}"/>`
+    ));
+
+    const tocStyles = [1, 2, 3, 4, 5, 6].map(level => paragraphStyle(
+      `TOC${level}`,
+      `toc ${level}`,
+      `<w:spacing w:after="60"/><w:ind w:left="${(level - 1) * 240}"/>`,
+      level === 1 ? '<w:b/>' : ''
+    ));
+
+    return this.xml(`<w:styles xmlns:w="${DocxExporter.NAMESPACES.w}">`
+      + '<w:docDefaults>'
+      + `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/>`
+      + `<w:color w:val="${this.color(colors.primary)}"/><w:sz w:val="${size(template.fontSize)}"/><w:szCs w:val="${size(template.fontSize)}"/>`
+      + '<w:lang w:val="ko-KR" w:eastAsia="ko-KR"/></w:rPr></w:rPrDefault>'
+      + `<w:pPrDefault><w:pPr><w:spacing w:after="${spacing}" w:line="${line}" w:lineRule="auto"/></w:pPr></w:pPrDefault>`
+      + '</w:docDefaults>'
+      + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+      + '<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/><w:semiHidden/></w:style>'
+      + headings.join('')
+      + paragraphStyle('Title', 'Title',
+        `<w:pBdr><w:bottom w:val="single" w:sz="12" w:space="12" w:color="${this.color(colors.accent)}"/></w:pBdr>`
+          + `<w:spacing w:before="${Math.round(template.headingSize[1] * 6 * DocxExporter.TWIPS_PER_PT)}" w:after="240"/><w:jc w:val="center"/>`,
+        `<w:b/><w:sz w:val="${size(template.headingSize[1] * 1.3)}"/>`)
+      + paragraphStyle('Subtitle', 'Subtitle', '<w:spacing w:after="720"/><w:jc w:val="center"/>',
+        `<w:color w:val="${this.color(colors.secondary)}"/><w:sz w:val="${size(template.fontSize * 1.4)}"/>`)
+      + paragraphStyle('TOCHeading', 'TOC Heading', '<w:keepNext/><w:spacing w:before="240" w:after="240"/>',
+        `<w:b/><w:sz w:val="${size(template.headingSize[1])}"/>`)
+      + tocStyles.join('')
+      + paragraphStyle('Quote', 'Quote',
+        `<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="${this.color(colors.accent)}"/></w:pBdr><w:ind w:left="360"/>`,
+        `<w:color w:val="${this.color(colors.secondary)}"/>`)
+      + paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="60"/><w:contextualSpacing/>', '')
+      + paragraphStyle('TableText', 'Table Text', '<w:spacing w:before="40" w:after="40" w:line="240" w:lineRule="auto"/>', '')
+      + paragraphStyle('Code', 'Code',
+        `<w:keepLines/><w:shd w:val="clear" w:color="auto" w:fill="${this.color(colors.code)}"/><w:spacing w:after="${spacing}" w:line="240" w:lineRule="auto"/><w:ind w:left="120" w:right="120"/>`,
+        `<w:rFonts w:ascii="${mono}" w:hAnsi="${mono}" w:cs="${mono}"/><w:sz w:val="${size(template.fontSize * 0.9)}"/>`)
+      + '<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:basedOn w:val="DefaultParagraphFont"/>'
+      + `<w:rPr><w:rFonts w:ascii="${mono}" w:hAnsi="${mono}" w:cs="${mono}"/><w:color w:val="${this.color(colors.codeText)}"/>`
+      + `<w:sz w:val="${size(template.fontSize * 0.9)}"/><w:shd w:val="clear" w:color="auto" w:fill="${this.color(colors.code)}"/></w:rPr></w:style>`
+      + '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:basedOn w:val="DefaultParagraphFont"/>'
+      + `<w:rPr><w:color w:val="${this.color(colors.accent)}"/><w:u w:val="single"/></w:rPr></w:style>`
+      + '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:semiHidden/>'
+      + '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>'
+      + '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+      + '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/>'
+      + '<w:tblPr><w:tblBorders>'
+      + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+        .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="${this.color(colors.secondary)}"/>`).join('')
+      + '</w:tblBorders></w:tblPr></w:style>'
+      + '</w:styles>');
+  }
+
+  /**
+   * word/numbering.xml (글머리 기호/번호 형식, 목록별 시작 번호)
+   * @returns {string} XML
+   */
+  createNumbering() {
+    const indent = DocxExporter.LIST_INDENT;
+    const levels = (format, text) => Array.from({ length: 9 }, (_, level) => `<w:lvl w:ilvl="${level}">`
+      + `<w:start w:val="1"/><w:numFmt w:val="${format(level)}"/><w:lvlText w:val="${text(level)}"/><w:lvlJc w:val="left"/>`
+      + `<w:pPr><w:ind w:left="${indent * (level + 2)}" w:hanging="${indent}"/></w:pPr></w:lvl>`).join('');
+
+    const bullet = `<w:abstractNum w:abstractNumId="${DocxExporter.BULLET_ABSTRACT_ID}"><w:multiLevelType w:val="hybridMultilevel"/>`
+      + levels(() => 'bullet', level => DocxExporter.BULLET_SYMBOLS[level % DocxExporter.BULLET_SYMBOLS.length])
+      + '</w:abstractNum>';
+    const ordered = `<w:abstractNum w:abstractNumId="${DocxExporter.ORDERED_ABSTRACT_ID}"><w:multiLevelType w:val="hybridMultilevel"/>`
+      + levels(level => DocxExporter.ORDERED_FORMATS[level % DocxExporter.ORDERED_FORMATS.length], level => `%${level + 1}.`)
+      + '</w:abstractNum>';
+
+    const nums = [`<w:num w:numId="${DocxExporter.BULLET_NUM_ID}"><w:abstractNumId w:val="${DocxExporter.BULLET_ABSTRACT_ID}"/></w:num>`];
+    this.orderedLists.forEach((list, index) => {
+      nums.push(`<w:num w:numId="${DocxExporter.BULLET_NUM_ID + index + 1}"><w:abstractNumId w:val="${DocxExporter.ORDERED_ABSTRACT_ID}"/>`
+        + `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride></w:num>`);
+    });
+
+    return this.xml(`<w:numbering xmlns:w="${DocxExporter.NAMESPACES.w}">${bullet}${ordered}${nums.join('')}</w:numbering>`);
+  }
+
+  /**
+   * word/settings.xml (목차 필드가 있으면 열 때 필드 갱신)
+   * @returns {string} XML
+   */
+  createSettings() {
+    return this.xml(`<w:settings xmlns:w="${DocxExporter.NAMESPACES.w}">`
+      + '<w:defaultTabStop w:val="720"/>'
+      + (this.hasTableOfContents ? '<w:updateFields w:val="true"/>' : '')
+      + '<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>'
+      + '</w:settings>');
+  }
+
+  /* ------------------------------------------------------------------
+   * 유틸리티
+   * ------------------------------------------------------------------ */
+
+  /**
+   * XML 선언 추가
+   * @param {string} content - 루트 요소 XML
+   * @returns {string} XML 문서
+   */
+  xml(content) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + content;
+  }
+
+  /**
+   * XML 특수문자 이스케이프 (XML에서 허용되지 않는 제어 문자 제거)
+   * @param {string} text - 텍스트
+   * @returns {string} 이스케이프된 텍스트
+   */
+  escapeXML(text) {
+    return MarkdownHelper.escapeHTML(String(text).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+  }
+
+  /**
+   * 인라인 토큰의 글자만 추출 (제목 slug, 목차 항목용)
+   * @param {Array} tokens - 인라인 토큰 목록
+   * @returns {string} 텍스트
+   */
+  getPlainText(tokens = []) {
+    return tokens.map(token => {
+      if (token.type === 'br') return '';
+      if (token.type === 'image') return token.text || '';
+      if (token.tokens && token.tokens.length > 0) return this.getPlainText(token.tokens);
+      return token.text || '';
+    }).join('');
+  }
+
+  /**
+   * #링크의 대상 id (URI 인코딩 복원)
+   * @param {string} href - 링크 주소
+   * @returns {string} id
+   */
+  getAnchorId(href) {
+    try {
+      return decodeURIComponent(href.slice(1));
+    } catch (e) {
+      return href.slice(1);
+    }
+  }
+
+  /**
+   * 본문 너비 (pt)
+   * @returns {number}
+   */
+  getContentWidth() {
+    const pageSize = TemplateManager.getPageSize(this.template);
+    return pageSize.width - this.template.margin.left - this.template.margin.right;
+  }
+
+  /**
+   * CSS 색상 → Word 색상 값 (RRGGBB)
+   * @param {string} color - #rgb 또는 #rrggbb
+   * @returns {string} 색상 값
+   */
+  color(color) {
+    const hex = String(color || '').replace('#', '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) return hex.split('').map(c => c + c).join('').toUpperCase();
+    return /^[0-9a-f]{6}$/i.test(hex) ? hex.toUpperCase() : 'auto';
+  }
+}
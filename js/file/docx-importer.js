@@ -0,0 +1,637 @@
+/**
+ * DocxImporter - Word 문서(.docx)를 마크다운으로 변환
+ * JSZip으로 압축을 풀고 word/document.xml의 문단, 제목 스타일, 목록, 표, 굵게/기울임, 링크, 그림을 마크다운으로 옮김
+ */
+class DocxImporter {
+  static NS = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    v: 'urn:schemas-microsoft-com:vml',
+    rel: 'http://schemas.openxmlformats.org/package/2006/relationships'
+  };
+
+  // 고정폭 글꼴이면 인라인 코드로 취급
+  static MONO_FONT_PATTERN = /consolas|courier|menlo|monaco|mono|d2coding/i;
+  // 스타일 이름으로 코드 블록/인용 문단 판별
+  static CODE_STYLE_PATTERN = /code|source|preformatted|macro/i;
+  static QUOTE_STYLE_PATTERN = /quote|인용/i;
+
+  static IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+  };
+
+  constructor() {
+    this.zip = null;
+    this.styles = new Map();
+    this.numbering = new Map();
+    this.relationships = new Map();
+    this.listCounters = new Map();
+    this.hasTableOfContents = false;
+  }
+
+  /**
+   * .docx 파일 내용을 마크다운으로 변환
+   * @param {ArrayBuffer} data - 파일 내용
+   * @returns {Promise<string>} 마크다운
+   */
+  async convert(data) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 라이브러리가 로드되지 않았습니다.');
+    }
+
+    try {
+      this.zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new Error('Word 문서(.docx)를 열 수 없습니다.');
+    }
+
+    const documentXML = await this.readXML('word/document.xml');
+    if (!documentXML) {
+      throw new Error('올바른 Word 문서(.docx)가 아닙니다.');
+    }
+
+    await this.loadStyles();
+    await this.loadNumbering();
+    await this.loadRelationships();
+
+    const body = documentXML.getElementsByTagNameNS(DocxImporter.NS.w, 'body')[0];
+    const blocks = body ? await this.convertBody(body) : [];
+
+    return this.joinBlocks(blocks).trim() + '\n';
+  }
+
+  /* ------------------------------------------------------------------
+   * 패키지 파트 읽기
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 압축 파일 안의 XML 파트 파싱
+   * @param {string} path - 파트 경로
+   * @returns {Promise<Document|null>} XML 문서 (없으면 null)
+   */
+  async readXML(path) {
+    const file = this.zip.file(path);
+    if (!file) return null;
+
+    const xml = new DOMParser().parseFromString(await file.async('string'), 'application/xml');
+    return xml.getElementsByTagName('parsererror').length > 0 ? null : xml;
+  }
+
+  /**
+   * styles.xml → 스타일 id별 { name, basedOn, outlineLevel }
+   */
+  async loadStyles() {
+    const xml = await this.readXML('word/styles.xml');
+    if (!xml) return;
+
+    for (const style of this.children(xml.documentElement, 'style')) {
+      const pPr = this.child(style, 'pPr');
+      const outline = pPr ? this.child(pPr, 'outlineLvl') : null;
+      const rPr = this.child(style, 'rPr');
+
+      this.styles.set(this.attr(style, 'styleId'), {
+        name: this.attr(this.child(style, 'name'), 'val') || '',
+        basedOn: this.attr(this.child(style, 'basedOn'), 'val'),
+        outlineLevel: outline ? parseInt(this.attr(outline, 'val'), 10) : null,
+        monospace: rPr ? this.isMonospace(rPr) : false
+      });
+    }
+  }
+
+  /**
+   * numbering.xml → numId별 수준 형식 (bullet/decimal 등)과 시작 번호
+   */
+  async loadNumbering() {
+    const xml = await this.readXML('word/numbering.xml');
+    if (!xml) return;
+
+    const abstracts = new Map();
+    for (const abstract of this.children(xml.documentElement, 'abstractNum')) {
+      const levels = new Map();
+      for (const lvl of this.children(abstract, 'lvl')) {
+        levels.set(this.attr(lvl, 'ilvl'), {
+          format: this.attr(this.child(lvl, 'numFmt'), 'val') || 'decimal',
+          start: parseInt(this.attr(this.child(lvl, 'start'), 'val'), 10) || 1
+        });
+      }
+      abstracts.set(this.attr(abstract, 'abstractNumId'), levels);
+    }
+
+    for (const num of this.children(xml.documentElement, 'num')) {
+      const levels = new Map(abstracts.get(this.attr(this.child(num, 'abstractNumId'), 'val')) || []);
+
+      // 목록별 시작 번호 재지정
+      for (const override of this.children(num, 'lvlOverride')) {
+        const start = this.child(override, 'startOverride');
+        const ilvl = this.attr(override, 'ilvl');
+        if (start && levels.has(ilvl)) {
+          levels.set(ilvl, { ...levels.get(ilvl), start: parseInt(this.attr(start, 'val'), 10) || 1 });
+        }
+      }
+      this.numbering.set(this.attr(num, 'numId'), levels);
+    }
+  }
+
+  /**
+   * document.xml.rels → 관계 id별 대상 (링크 주소, 그림 경로)
+   */
+  async loadRelationships() {
+    const xml = await this.readXML('word/_rels/document.xml.rels');
+    if (!xml) return;
+
+    for (const rel of Array.from(xml.getElementsByTagNameNS(DocxImporter.NS.rel, 'Relationship'))) {
+      this.relationships.set(rel.getAttribute('Id'), {
+        target: rel.getAttribute('Target'),
+        external: rel.getAttribute('TargetMode') === 'External'
+      });
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   * 블록 변환
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 본문 요소 → 마크다운 블록 목록
+   * @param {Element} body - w:body (또는 표 셀, 콘텐츠 컨트롤 내용)
+   * @returns {Promise<Array<Object>>} { type, text } 블록 목록
+   */
+  async convertBody(body) {
+    const blocks = [];
+
+    for (const node of Array.from(body.children)) {
+      if (node.namespaceURI !== DocxImporter.NS.w) continue;
+
+      if (node.localName === 'p') {
+        const block = await this.convertParagraph(node);
+        if (block) blocks.push(block);
+      } else if (node.localName === 'tbl') {
+        blocks.push({ type: 'table', text: await this.convertTable(node) });
+      } else if (node.localName === 'sdt') {
+        // 콘텐츠 컨트롤 (목차 등)
+        const content = this.child(node, 'sdtContent');
+        if (content) blocks.push(...await this.convertBody(content));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 문단 → 블록 (제목, 목록 항목, 코드, 인용, 일반 문단)
+   * @param {Element} paragraph - w:p
+   * @returns {Promise<Object|null>} 블록
+   */
+  async convertParagraph(paragraph) {
+    const pPr = this.child(paragraph, 'pPr');
+    const styleId = pPr ? this.attr(this.child(pPr, 'pStyle'), 'val') : null;
+    const style = this.getStyle(styleId);
+
+    // Word 목차 필드 결과는 [TOC] 하나로
+    if (/^toc \d|^toc\d/i.test(style.name) || /^TOC\d/.test(styleId || '')) {
+      if (this.hasTableOfContents) return null;
+      this.hasTableOfContents = true;
+      return { type: 'paragraph', text: '[TOC]' };
+    }
+
+    const isCode = DocxImporter.CODE_STYLE_PATTERN.test(style.name) || style.monospace;
+    const inline = await this.convertInline(paragraph, { code: isCode });
+    const text = isCode ? inline.plain : inline.markdown.trim();
+
+    if (inline.pageBreak && !text.trim()) {
+      return { type: 'paragraph', text: '<!-- pagebreak -->' };
+    }
+    if (!text.trim()) {
+      // 아래 테두리만 있는 빈 문단은 구분선
+      const border = pPr ? this.child(pPr, 'pBdr') : null;
+      return border && this.child(border, 'bottom') ? { type: 'paragraph', text: '---' } : null;
+    }
+
+    const headingLevel = this.getHeadingLevel(pPr, style);
+    if (headingLevel) {
+      return { type: 'heading', text: `${'#'.repeat(headingLevel)} ${text.replace(/\n+/g, ' ')}` };
+    }
+
+    const numPr = pPr ? this.child(pPr, 'numPr') : null;
+    const numId = numPr ? this.attr(this.child(numPr, 'numId'), 'val') : null;
+    if (numId && numId !== '0' && this.numbering.has(numId)) {
+      return { type: 'list', text: this.convertListItem(numId, numPr, text) };
+    }
+
+    if (isCode) {
+      return { type: 'code', text };
+    }
+    if (DocxImporter.QUOTE_STYLE_PATTERN.test(style.name)) {
+      return { type: 'quote', text: text.split('\n').map(line => `> ${line}`).join('\n') };
+    }
+
+    this.listCounters.clear();
+    return { type: 'paragraph', text };
+  }
+
+  /**
+   * 목록 항목 (수준별 들여쓰기, 번호 목록은 이어지는 번호)
+   * @param {string} numId - 번호 인스턴스 id
+   * @param {Element} numPr - w:numPr
+   * @param {string} text - 항목 내용
+   * @returns {string} 마크다운 목록 항목
+   */
+  convertListItem(numId, numPr, text) {
+    const level = parseInt(this.attr(this.child(numPr, 'ilvl'), 'val'), 10) || 0;
+    const format = this.numbering.get(numId).get(String(level)) || { format: 'bullet', start: 1 };
+    const indent = '    '.repeat(level);
+
+    // 상위 수준 항목이 나오면 하위 수준 번호는 다시 시작
+    for (const key of Array.from(this.listCounters.keys())) {
+      const [id, keyLevel] = key.split(':');
+      if (id === numId && Number(keyLevel) > level) this.listCounters.delete(key);
+    }
+
+    let marker = '-';
+    if (format.format !== 'bullet' && format.format !== 'none') {
+      const key = `${numId}:${level}`;
+      const number = this.listCounters.has(key) ? this.listCounters.get(key) + 1 : format.start;
+      this.listCounters.set(key, number);
+      marker = `${number}.`;
+    }
+
+    return `${indent}${marker} ${text.split('\n').join(`\n${indent}${' '.repeat(marker.length + 1)}`)}`;
+  }
+
+  /**
+   * 표 → GFM 표 (첫 행을 머리글로)
+   * @param {Element} table - w:tbl
+   * @returns {Promise<string>} 마크다운 표
+   */
+  async convertTable(table) {
+    const rows = [];
+
+    for (const tr of this.children(table, 'tr')) {
+      const cells = [];
+      for (const tc of this.children(tr, 'tc')) {
+        const parts = [];
+        for (const paragraph of this.children(tc, 'p')) {
+          const inline = await this.convertInline(paragraph, {});
+          if (inline.markdown.trim()) parts.push(inline.markdown.trim());
+        }
+        // 셀 안 중첩 표는 글자만
+        for (const nested of this.children(tc, 'tbl')) {
+          parts.push(nested.textContent.trim());
+        }
+        cells.push(parts.join('<br>').replace(/\n/g, '<br>').replace(/\|/g, '\\|'));
+      }
+      if (cells.length > 0) rows.push(cells);
+    }
+
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+    // 머리글 행은 원래 굵게 표시되므로 셀 전체 굵게는 생략
+    const header = rows[0].map(cell => cell.replace(/^\*\*([^*]+)\*\*$/, '$1'));
+
+    return [
+      line(header),
+      `| ${Array(columns).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+
+  /**
+   * 블록 목록 연결 (연속된 목록 항목과 코드 문단은 한 덩어리로)
+   * @param {Array<Object>} blocks - 블록 목록
+   * @returns {string} 마크다운
+   */
+  joinBlocks(blocks) {
+    let markdown = '';
+    let previous = null;
+
+    blocks.forEach(block => {
+      if (previous && previous.type === block.type && (block.type === 'list' || block.type === 'code')) {
+        markdown += '\n' + block.text;
+      } else {
+        if (previous && previous.type === 'code') markdown += '\n```';
+        if (previous) markdown += '\n\n';
+        markdown += block.type === 'code' ? '```\n' + block.text : block.text;
+      }
+      previous = block;
+    });
+
+    if (previous && previous.type === 'code') markdown += '\n```';
+    return markdown;
+  }
+
+  /* ------------------------------------------------------------------
+   * 인라인 변환
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 문단 안의 run/링크/그림 → 마크다운
+   * @param {Element} paragraph - w:p
+   * @param {Object} options - { code: 코드 문단이면 서식 없이 원문 }
+   * @returns {Promise<Object>} { markdown, plain, pageBreak }
+   */
+  async convertInline(paragraph, options) {
+    const segments = [];
+    const result = { pageBreak: false };
+
+    const visit = async (node, link) => {
+      for (const child of Array.from(node.children)) {
+        const name = child.localName;
+
+        if (name === 'r') {
+          await this.collectRun(child, link, segments, result);
+        } else if (name === 'hyperlink') {
+          await visit(child, this.getHyperlink(child));
+        } else if (['ins', 'smartTag', 'fldSimple', 'sdt', 'sdtContent', 'customXml'].includes(name)) {
+          // 변경 내용 추적(삽입), 필드, 콘텐츠 컨트롤 안의 run
+          await visit(child, link);
+        }
+      }
+    };
+    await visit(paragraph, null);
+
+    result.plain = segments.map(segment => segment.image || segment.text).join('');
+    result.markdown = options.code ? result.plain : this.formatSegments(segments);
+    return result;
+  }
+
+  /**
+   * run 하나를 글자 조각으로 수집
+   * @param {Element} run - w:r
+   * @param {string|null} link - 링크 주소
+   * @param {Array} segments - 수집 대상
+   * @param {Object} result - 페이지 나누기 표시
+   */
+  async collectRun(run, link, segments, result) {
+    const rPr = this.child(run, 'rPr');
+    const format = {
+      bold: this.isOn(rPr, 'b'),
+      italic: this.isOn(rPr, 'i'),
+      strike: this.isOn(rPr, 'strike') || this.isOn(rPr, 'dstrike'),
+      code: this.isCodeRun(rPr),
+      link
+    };
+
+    for (const node of Array.from(run.children)) {
+      switch (node.localName) {
+        case 't':
+          segments.push({ ...format, text: node.textContent });
+          break;
+        case 'tab':
+          segments.push({ ...format, text: '\t' });
+          break;
+        case 'br':
+        case 'cr':
+          if (node.getAttributeNS(DocxImporter.NS.w, 'type') === 'page') {
+            result.pageBreak = true;
+          } else {
+            segments.push({ ...format, text: '\n' });
+          }
+          break;
+        case 'drawing':
+        case 'pict': {
+          const image = await this.convertImage(node);
+          if (image) segments.push({ ...format, text: '', image });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * 같은 서식끼리 묶어 마크다운 강조/링크 표시 (앞뒤 공백은 표시 바깥으로)
+   * @param {Array} segments - 글자 조각 목록
+   * @returns {string} 마크다운
+   */
+  formatSegments(segments) {
+    const merged = [];
+    segments.forEach(segment => {
+      const last = merged[merged.length - 1];
+      const same = last && !last.image && !segment.image
+        && ['bold', 'italic', 'strike', 'code', 'link'].every(key => last[key] === segment[key]);
+      if (same) {
+        last.text += segment.text;
+      } else {
+        merged.push({ ...segment });
+      }
+    });
+
+    // 링크는 연속된 조각을 한 번에 감싸기
+    let markdown = '';
+    let index = 0;
+    while (index < merged.length) {
+      const link = merged[index].link;
+      let inner = '';
+      while (index < merged.length && merged[index].link === link) {
+        inner += this.formatSegment(merged[index]);
+        index++;
+      }
+      markdown += link && inner.trim() ? `[${inner.trim()}](${link})` : inner;
+    }
+    return markdown;
+  }
+
+  /**
+   * 글자 조각 하나에 강조 표시
+   * @param {Object} segment - { text, bold, italic, strike, code, image }
+   * @returns {string} 마크다운
+   */
+  formatSegment(segment) {
+    if (segment.image) return segment.image;
+
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(segment.text);
+    const [, leading, body, trailing] = match;
+    if (!body) return segment.text;
+
+    let text;
+    if (segment.code) {
+      const fence = body.includes('`') ? '``' : '`';
+      text = `${fence}${body}${fence}`;
+    } else {
+      text = this.escapeMarkdown(body);
+      if (segment.strike) text = `~~${text}~~`;
+      if (segment.italic) text = `*${text}*`;
+      if (segment.bold) text = `**${text}**`;
+    }
+    return leading + text + trailing;
+  }
+
+  /**
+   * 그림 → 이미지 마크다운 (Data URL로 포함)
+   * @param {Element} node - w:drawing 또는 w:pict
+   * @returns {Promise<string|null>} 마크다운
+   */
+  async convertImage(node) {
+    const blip = node.getElementsByTagNameNS(DocxImporter.NS.a, 'blip')[0];
+    const vmlImage = node.getElementsByTagNameNS(DocxImporter.NS.v, 'imagedata')[0];
+    const relId = blip
+      ? blip.getAttributeNS(DocxImporter.NS.r, 'embed')
+      : (vmlImage ? vmlImage.getAttributeNS(DocxImporter.NS.r, 'id') : null);
+    const rel = relId ? this.relationships.get(relId) : null;
+    if (!rel) return null;
+
+    const docPr = node.getElementsByTagNameNS(DocxImporter.NS.wp, 'docPr')[0];
+    const alt = (docPr && (docPr.getAttribute('descr') || docPr.getAttribute('title'))) || '';
+    const altText = alt.replace(/[\[\]\n]/g, ' ').trim();
+
+    if (rel.external) return `![${altText}](${rel.target})`;
+
+    const path = this.resolvePath(rel.target);
+    const file = this.zip.file(path);
+    if (!file) return null;
+
+    const extension = path.split('.').pop().toLowerCase();
+    const mimeType = DocxImporter.IMAGE_TYPES[extension];
+    if (!mimeType) return null;
+
+    const base64 = await file.async('base64');
+    return `![${altText}](data:${mimeType};base64,${base64})`;
+  }
+
+  /**
+   * 하이퍼링크 주소 (외부 주소만, 문서 내부 책갈피는 글자만 유지)
+   * @param {Element} hyperlink - w:hyperlink
+   * @returns {string|null} 주소
+   */
+  getHyperlink(hyperlink) {
+    const relId = hyperlink.getAttributeNS(DocxImporter.NS.r, 'id');
+    const rel = relId ? this.relationships.get(relId) : null;
+    return rel ? rel.target.replace(/[()\s]/g, encodeURIComponent) : null;
+  }
+
+  /* ------------------------------------------------------------------
+   * 유틸리티
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 스타일 정보 (없으면 빈 스타일)
+   * @param {string|null} styleId - 스타일 id
+   * @returns {Object} { name, basedOn, outlineLevel, monospace }
+   */
+  getStyle(styleId) {
+    return this.styles.get(styleId) || { name: '', basedOn: null, outlineLevel: null, monospace: false };
+  }
+
+  /**
+   * 제목 수준 (스타일 이름 heading N/Title, 개요 수준)
+   * @param {Element|null} pPr - 문단 속성
+   * @param {Object} style - 스타일 정보
+   * @returns {number|null} 1~6
+   */
+  getHeadingLevel(pPr, style) {
+    const named = /^heading\s*(\d)$/i.exec(style.name);
+    if (named) return Math.min(parseInt(named[1], 10), 6);
+    if (/^title$/i.test(style.name)) return 1;
+
+    const outline = pPr ? this.child(pPr, 'outlineLvl') : null;
+    const level = outline ? parseInt(this.attr(outline, 'val'), 10) : style.outlineLevel;
+
+    // 개요 수준 9는 본문
+    return Number.isInteger(level) && level < 6 ? level + 1 : null;
+  }
+
+  /**
+   * 인라인 코드 서식 여부 (코드 문자 스타일 또는 고정폭 글꼴)
+   * @param {Element|null} rPr - run 속성
+   * @returns {boolean}
+   */
+  isCodeRun(rPr) {
+    if (!rPr) return false;
+    const rStyle = this.attr(this.child(rPr, 'rStyle'), 'val');
+    const style = this.getStyle(rStyle);
+    return DocxImporter.CODE_STYLE_PATTERN.test(style.name || rStyle || '') || style.monospace || this.isMonospace(rPr);
+  }
+
+  /**
+   * 고정폭 글꼴 지정 여부
+   * @param {Element} rPr - run 속성
+   * @returns {boolean}
+   */
+  isMonospace(rPr) {
+    const fonts = this.child(rPr, 'rFonts');
+    return Boolean(fonts) && DocxImporter.MONO_FONT_PATTERN.test(this.attr(fonts, 'ascii') || this.attr(fonts, 'hAnsi') || '');
+  }
+
+  /**
+   * 켜고 끄는 서식 (<w:b/>, <w:b w:val="0"/>)
+   * @param {Element|null} rPr - run 속성
+   * @param {string} name - 요소 이름
+   * @returns {boolean}
+   */
+  isOn(rPr, name) {
+    const element = rPr ? this.child(rPr, name) : null;
+    if (!element) return false;
+    const value = this.attr(element, 'val');
+    return value === null || !['0', 'false', 'off'].includes(value);
+  }
+
+  /**
+   * word/ 기준 상대 경로를 압축 파일 경로로
+   * @param {string} target - 관계 대상
+   * @returns {string} 경로
+   */
+  resolvePath(target) {
+    if (target.startsWith('/')) return target.slice(1);
+
+    const parts = ['word'];
+    target.split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  /**
+   * 마크다운 문법 문자 이스케이프
+   * @param {string} text - 텍스트
+   * @returns {string} 이스케이프된 텍스트
+   */
+  escapeMarkdown(text) {
+    return text
+      .replace(/([\\`*_[\]<])/g, '\\$1')
+      .replace(/^(\s*)([#>+-])(\s)/gm, '$1\\$2$3')
+      .replace(/^(\s*\d+)\.(\s)/gm, '$1\\.$2');
+  }
+
+  /**
+   * w 네임스페이스 자식 요소 목록
+   * @param {Element} parent - 부모 요소
+   * @param {string} name - 요소 이름
+   * @returns {Array<Element>}
+   */
+  children(parent, name) {
+    return Array.from(parent.children).filter(el => el.localName === name && el.namespaceURI === DocxImporter.NS.w);
+  }
+
+  /**
+   * w 네임스페이스 첫 자식 요소
+   * @param {Element|null} parent - 부모 요소
+   * @param {string} name - 요소 이름
+   * @returns {Element|null}
+   */
+  child(parent, name) {
+    return parent ? this.children(parent, name)[0] || null : null;
+  }
+
+  /**
+   * w 네임스페이스 속성 값
+   * @param {Element|null} element - 요소
+   * @param {string} name - 속성 이름
+   * @returns {string|null}
+   */
+  attr(element, name) {
+    return element ? element.getAttributeNS(DocxImporter.NS.w, name) : null;
+  }
+}
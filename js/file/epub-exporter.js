@@ -0,0 +1,492 @@
+/**
+ * EpubExporter - EPUB 3 전자책 생성 클래스
+ * parseMarkdown() 결과 HTML을 제목 수준 기준으로 장(chapter) XHTML로 나누고,
+ * 목차(nav.xhtml), front matter 메타데이터, 나눔명조 글꼴, 이미지를 포함해 JSZip으로 패키징
+ */
+class EpubExporter {
+  static MIME_TYPE = 'application/epub+zip';
+  static XHTML_NS = 'http://www.w3.org/1999/xhtml';
+  static EPUB_NS = 'http://www.idpf.org/2007/ops';
+
+  // 본문 글꼴 (전자책 단말에 한글 글꼴이 없을 수 있어 파일로 포함)
+  static FONT_NAME = 'NanumMyeongjo';
+  static FONT_FAMILY = 'Nanum Myeongjo';
+
+  static CHAPTER_LEVELS = [1, 2, 3];
+
+  /**
+   * @param {Object} template - 템플릿 객체 (색상, 줄간격, 제목 크기)
+   */
+  constructor(template) {
+    this.template = TemplateManager.normalize(template);
+    // 이미지 불러오기와 다이어그램 래스터화는 PDF 생성기와 동일한 방식 사용
+    this.imageLoader = new PDFGenerator(this.template);
+    this.warnings = [];
+  }
+
+  /**
+   * EPUB 파일 생성
+   * @param {string} html - parseMarkdown() 결과 HTML
+   * @param {Object} options - { meta, frontMatter, chapterLevel, previewCSS }
+   *   meta는 MarkdownHelper.getDocumentMeta() 결과, frontMatter는 parseFrontMatter().data
+   * @returns {Promise<Object>} { blob, warnings } - 완성된 파일과 포함하지 못한 요소 목록
+   */
+  async build(html, options = {}) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 라이브러리가 로드되지 않았습니다.');
+    }
+
+    this.warnings = [];
+    const meta = options.meta || {};
+    const chapterLevel = EpubExporter.CHAPTER_LEVELS.includes(Number(options.chapterLevel)) ? Number(options.chapterLevel) : 1;
+    const container = this.createContainer(html);
+
+    try {
+      this.renderMath(container);
+      await this.renderDiagrams(container);
+      const images = await this.collectImages(container);
+
+      const chapters = this.splitChapters(container, chapterLevel, meta.title);
+      this.rewriteLinks(chapters);
+      const fonts = await this.loadFonts();
+
+      const zip = new JSZip();
+      // mimetype은 압축하지 않은 첫 번째 항목이어야 함
+      zip.file('mimetype', EpubExporter.MIME_TYPE, { compression: 'STORE' });
+      zip.file('META-INF/container.xml', this.createContainerXML());
+      zip.file('OEBPS/styles/book.css', this.createStylesheet(fonts, options.previewCSS));
+      zip.file('OEBPS/nav.xhtml', this.createNav(chapters, meta.title));
+      chapters.forEach(chapter => zip.file(`OEBPS/${chapter.file}`, this.createChapter(chapter)));
+      images.forEach(image => zip.file(`OEBPS/${image.path}`, image.data, { base64: true }));
+      fonts.forEach(font => zip.file(`OEBPS/${font.path}`, font.data, { base64: true }));
+      zip.file('OEBPS/content.opf', this.createPackage(chapters, images, fonts, meta, options.frontMatter || {}));
+
+      const blob = await zip.generateAsync({ type: 'blob', mimeType: EpubExporter.MIME_TYPE, compression: 'DEFLATE' });
+      return { blob, warnings: this.warnings };
+    } finally {
+      container.remove();
+    }
+  }
+
+  /**
+   * 화면 밖 렌더링 컨테이너 생성 (다이어그램 크기 계산을 위해 문서에 붙임)
+   * @param {string} html - HTML 문자열
+   * @returns {HTMLElement} 컨테이너
+   */
+  createContainer(html) {
+    const container = document.createElement('div');
+    container.style.cssText = [
+      'position: absolute',
+      'left: -10000px',
+      'top: 0',
+      'width: 600px',
+      `font-family: ${TemplateManager.getCSSFontFamily({ font: EpubExporter.FONT_NAME })}`
+    ].join(';');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    return container;
+  }
+
+  /**
+   * 수식을 MathML로 변환 (EPUB 3 단말의 기본 수식 표시 사용)
+   * @param {HTMLElement} container - 컨테이너
+   */
+  renderMath(container) {
+    if (typeof renderMathInElement === 'undefined') {
+      this.warnings.push('수식 렌더러(KaTeX)를 사용할 수 없어 수식이 원문으로 남습니다.');
+      return;
+    }
+
+    try {
+      renderMathInElement(container, {
+        delimiters: [
+          {left: '$$', right: '$$', display: true},
+          {left: '$', right: '$', display: false},
+          {left: '\\(', right: '\\)', display: false},
+          {left: '\\[', right: '\\]', display: true}
+        ],
+        output: 'mathml',
+        throwOnError: false
+      });
+    } catch (err) {
+      console.error('KaTeX error:', err);
+    }
+  }
+
+  /**
+   * Mermaid 다이어그램을 PNG 그림으로 교체
+   * @param {HTMLElement} container - 컨테이너
+   */
+  async renderDiagrams(container) {
+    const nodes = Array.from(container.querySelectorAll('.mermaid'));
+    if (nodes.length === 0) return;
+
+    if (typeof mermaid !== 'undefined') {
+      try {
+        await mermaid.init(undefined, nodes);
+      } catch (err) {
+        console.error('Mermaid error:', err);
+      }
+    }
+
+    for (const node of nodes) {
+      const image = node.querySelector('svg') ? await this.imageLoader.rasterize(node) : null;
+      if (image) {
+        const img = document.createElement('img');
+        img.setAttribute('src', image.dataUrl);
+        img.setAttribute('alt', '다이어그램');
+        img.className = 'diagram';
+        node.replaceWith(img);
+      } else {
+        // 원문을 코드 블록으로 남김
+        this.warnings.push('일부 다이어그램을 그림으로 변환하지 못해 원문으로 넣었습니다.');
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        code.textContent = node.getAttribute('data-mermaid-src') || node.textContent;
+        pre.appendChild(code);
+        node.replaceWith(pre);
+      }
+    }
+  }
+
+  /**
+   * 이미지를 PNG 파일로 모아 images/ 경로로 교체 (불러오지 못한 이미지는 대체 텍스트로)
+   * @param {HTMLElement} container - 컨테이너
+   * @returns {Promise<Array<Object>>} { id, path, data } 목록
+   */
+  async collectImages(container) {
+    const images = [];
+    const bySource = new Map();
+
+    for (const img of Array.from(container.querySelectorAll('img'))) {
+      const src = img.getAttribute('src');
+      if (!bySource.has(src)) {
+        const image = await this.imageLoader.loadImage(src);
+        if (image) {
+          const id = `image-${images.length + 1}`;
+          images.push({ id, path: `images/${id}.png`, data: image.dataUrl.split(',')[1] });
+          bySource.set(src, `../images/${id}.png`);
+        } else {
+          this.warnings.push(`이미지를 포함하지 못했습니다: ${src}`);
+          bySource.set(src, null);
+        }
+      }
+
+      const path = bySource.get(src);
+      if (path) {
+        img.setAttribute('src', path);
+        if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+      } else {
+        img.replaceWith(document.createTextNode(img.getAttribute('alt') || ''));
+      }
+    }
+    return images;
+  }
+
+  /**
+   * 최상위 제목(chapterLevel 이하)마다 장으로 나누기
+   * @param {HTMLElement} container - 컨테이너
+   * @param {number} chapterLevel - 장을 나눌 제목 수준 (1 = H1)
+   * @param {string} bookTitle - 첫 제목 앞 내용이 있을 때 쓸 장 제목
+   * @returns {Array<Object>} { file, title, nodes, headings } 목록
+   */
+  splitChapters(container, chapterLevel, bookTitle) {
+    const chapters = [];
+    let current = null;
+
+    const startChapter = (title) => {
+      current = { title, nodes: [], headings: [] };
+      chapters.push(current);
+    };
+
+    for (const node of Array.from(container.childNodes)) {
+      const level = node.nodeType === Node.ELEMENT_NODE ? /^H([1-6])$/.exec(node.tagName) : null;
+      if (level && Number(level[1]) <= chapterLevel) {
+        startChapter(node.textContent.trim());
+      } else if (!current) {
+        // 첫 장 제목 앞의 내용 (내용이 있을 때만 별도 장으로)
+        if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) continue;
+        startChapter(bookTitle || '시작');
+      }
+      current.nodes.push(node);
+    }
+
+    if (chapters.length === 0) startChapter(bookTitle || '본문');
+
+    chapters.forEach((chapter, index) => {
+      chapter.id = `chapter-${String(index + 1).padStart(3, '0')}`;
+      chapter.file = `text/${chapter.id}.xhtml`;
+      chapter.nodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        const headings = /^H[1-6]$/.test(node.tagName) ? [node] : Array.from(node.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        headings.filter(h => h.id && !h.closest('nav')).forEach(h => chapter.headings.push({
+          id: h.id,
+          level: Number(h.tagName[1]),
+          text: h.textContent.trim()
+        }));
+      });
+    });
+
+    return chapters;
+  }
+
+  /**
+   * 문서 내부 링크(#id)를 해당 제목이 있는 장 파일로 연결
+   * @param {Array<Object>} chapters - 장 목록
+   */
+  rewriteLinks(chapters) {
+    const files = new Map();
+    chapters.forEach(chapter => chapter.headings.forEach(heading => files.set(heading.id, chapter.file)));
+
+    chapters.forEach(chapter => chapter.nodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      node.querySelectorAll('a[href^="#"]').forEach(link => {
+        const id = this.getAnchorId(link.getAttribute('href'));
+        const file = files.get(id);
+        if (file && file !== chapter.file) {
+          link.setAttribute('href', `${file.replace('text/', '')}#${encodeURIComponent(id)}`);
+        }
+      });
+    }));
+  }
+
+  /**
+   * 본문 글꼴 파일 불러오기 (fonts/에 없으면 단말 기본 글꼴)
+   * @returns {Promise<Array<Object>>} { id, path, weight, data } 목록
+   */
+  async loadFonts() {
+    const paths = FontLoader.fontPaths[EpubExporter.FONT_NAME];
+    const fonts = [];
+
+    for (const [weight, path] of [[400, paths.normal], [700, paths.bold]]) {
+      if (!path) continue;
+      const data = await FontLoader.loadFontFile(path);
+      if (!data) continue;
+      const name = path.split('/').pop();
+      fonts.push({ id: `font-${weight}`, path: `fonts/${name}`, weight, data });
+    }
+
+    if (fonts.length === 0) {
+      this.warnings.push(`${EpubExporter.FONT_FAMILY} 글꼴 파일이 없어 전자책 단말의 기본 글꼴로 표시됩니다.`);
+    }
+    return fonts;
+  }
+
+  /* ------------------------------------------------------------------
+   * 패키지 파일
+   * ------------------------------------------------------------------ */
+
+  /**
+   * META-INF/container.xml
+   * @returns {string} XML
+   */
+  createContainerXML() {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n'
+      + '  <rootfiles>\n'
+      + '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>\n'
+      + '  </rootfiles>\n'
+      + '</container>\n';
+  }
+
+  /**
+   * 장 XHTML 문서
+   * @param {Object} chapter - 장
+   * @returns {string} XHTML
+   */
+  createChapter(chapter) {
+    const page = this.createXHTMLDocument(chapter.title);
+    const body = page.getElementsByTagName('body')[0];
+    const section = page.createElementNS(EpubExporter.XHTML_NS, 'section');
+    section.setAttributeNS(EpubExporter.EPUB_NS, 'epub:type', 'chapter');
+    body.appendChild(section);
+
+    chapter.nodes.forEach(node => {
+      // HTML로 파싱된 xmlns는 일반 속성으로 남아 직렬화 시 중복되므로 제거 (네임스페이스는 요소에 이미 있음)
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        node.querySelectorAll('[xmlns]').forEach(el => el.removeAttribute('xmlns'));
+      }
+      section.appendChild(page.importNode(node, true));
+    });
+
+    const xhtml = '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n'
+      + new XMLSerializer().serializeToString(page.documentElement);
+    chapter.hasMathML = xhtml.includes('<math');
+    chapter.hasSVG = xhtml.includes('<svg');
+    return xhtml;
+  }
+
+  /**
+   * 목차 문서 (nav.xhtml, 장 안의 제목까지 중첩 목록)
+   * @param {Array<Object>} chapters - 장 목록
+   * @param {string} bookTitle - 책 제목
+   * @returns {string} XHTML
+   */
+  createNav(chapters, bookTitle) {
+    const entries = [];
+    chapters.forEach(chapter => {
+      const first = chapter.nodes[0];
+      if (!first || !/^H[1-6]$/.test(first.tagName || '')) {
+        // 제목으로 시작하지 않는 장(첫 제목 앞 내용)은 장 제목으로 항목 추가
+        entries.push({ level: 1, text: chapter.title, href: chapter.file });
+      }
+      chapter.headings.forEach(heading => entries.push({
+        level: heading.level,
+        text: heading.text,
+        href: `${chapter.file}#${encodeURIComponent(heading.id)}`
+      }));
+    });
+
+    let list = '';
+    const levels = [];
+    entries.forEach(entry => {
+      if (levels.length === 0 || entry.level > levels[levels.length - 1]) {
+        list += '<ol>';
+        levels.push(entry.level);
+      } else {
+        list += '</li>';
+        while (levels.length > 1 && entry.level < levels[levels.length - 1]) {
+          list += '</ol></li>';
+          levels.pop();
+        }
+      }
+      list += `<li><a href="${MarkdownHelper.escapeHTML(entry.href)}">${MarkdownHelper.escapeHTML(entry.text || '(제목 없음)')}</a>`;
+    });
+    if (levels.length > 0) {
+      list += '</li>' + '</ol></li>'.repeat(levels.length - 1) + '</ol>';
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n'
+      + `<html xmlns="${EpubExporter.XHTML_NS}" xmlns:epub="${EpubExporter.EPUB_NS}" xml:lang="ko" lang="ko">\n`
+      + `<head><meta charset="UTF-8"/><title>${MarkdownHelper.escapeHTML(bookTitle || '목차')}</title>`
+      + '<link rel="stylesheet" type="text/css" href="styles/book.css"/></head>\n'
+      + `<body><nav epub:type="toc" id="toc"><h1>목차</h1>${list}</nav></body>\n</html>\n`;
+  }
+
+  /**
+   * 스타일시트 (글꼴 포함, 템플릿 색상/제목 크기)
+   * @param {Array<Object>} fonts - 포함한 글꼴
+   * @param {string} previewCSS - EditorManager.getPreviewCSS('body', ...) 결과
+   * @returns {string} CSS
+   */
+  createStylesheet(fonts, previewCSS = '') {
+    const template = this.template;
+    const faces = fonts.map(font => `@font-face {
+  font-family: '${EpubExporter.FONT_FAMILY}';
+  src: url(../${font.path}) format('truetype');
+  font-weight: ${font.weight};
+  font-style: normal;
+}`).join('\n');
+
+    return `${faces}
+body {
+  font-family: ${TemplateManager.getCSSFontFamily({ font: EpubExporter.FONT_NAME })};
+  line-height: ${template.lineHeight};
+  color: ${template.colors.primary};
+  margin: 0 5%;
+}
+h1, h2, h3, h4, h5, h6 { page-break-after: avoid; line-height: 1.3; }
+img { max-width: 100%; height: auto; }
+img.diagram { display: block; margin: 1em auto; }
+pre { white-space: pre-wrap; padding: 0.75em; border-radius: 4px; font-size: 0.85em; }
+code { font-family: monospace; }
+blockquote { margin-left: 0; padding-left: 1em; border-left: 4px solid ${template.colors.accent}; }
+math[display="block"] { display: block; margin: 1em 0; text-align: center; }
+.page-break { page-break-after: always; }
+nav#toc ol { list-style: none; padding-left: 1.2em; }
+nav#toc > ol { padding-left: 0; }
+${previewCSS}`;
+  }
+
+  /**
+   * 패키지 문서 (content.opf: 메타데이터, 파일 목록, 읽는 순서)
+   * @param {Array<Object>} chapters - 장 목록 (createChapter() 이후)
+   * @param {Array<Object>} images - 이미지 목록
+   * @param {Array<Object>} fonts - 글꼴 목록
+   * @param {Object} meta - 문서 정보 (제목, 부제목, 작성자, 날짜, 소속)
+   * @param {Object} frontMatter - front matter 원본 (language, description, tags 등)
+   * @returns {string} XML
+   */
+  createPackage(chapters, images, fonts, meta, frontMatter) {
+    const text = (value) => Array.isArray(value) ? value.join(', ') : (value === undefined || value === null ? '' : String(value));
+    const list = (value) => (Array.isArray(value) ? value : text(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const language = text(frontMatter.language || frontMatter.lang) || 'ko';
+    const description = text(frontMatter.description) || meta.subtitle;
+
+    const metadata = [
+      `<dc:identifier id="book-id">${MarkdownHelper.escapeHTML(text(frontMatter.isbn) || `urn:uuid:${this.createUUID()}`)}</dc:identifier>`,
+      `<dc:title>${MarkdownHelper.escapeHTML(meta.title || '제목 없음')}</dc:title>`,
+      `<dc:language>${MarkdownHelper.escapeHTML(language)}</dc:language>`,
+      `<meta property="dcterms:modified">${modified}</meta>`,
+      ...list(frontMatter.author || meta.author).map(author => `<dc:creator>${MarkdownHelper.escapeHTML(author)}</dc:creator>`),
+      meta.date ? `<dc:date>${MarkdownHelper.escapeHTML(meta.date)}</dc:date>` : '',
+      meta.organization ? `<dc:publisher>${MarkdownHelper.escapeHTML(meta.organization)}</dc:publisher>` : '',
+      description ? `<dc:description>${MarkdownHelper.escapeHTML(description)}</dc:description>` : '',
+      ...list(frontMatter.tags || frontMatter.keywords).map(tag => `<dc:subject>${MarkdownHelper.escapeHTML(tag)}</dc:subject>`)
+    ].filter(Boolean);
+
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="css" href="styles/book.css" media-type="text/css"/>',
+      ...chapters.map(chapter => {
+        const properties = [chapter.hasMathML ? 'mathml' : '', chapter.hasSVG ? 'svg' : ''].filter(Boolean).join(' ');
+        return `<item id="${chapter.id}" href="${chapter.file}" media-type="application/xhtml+xml"${properties ? ` properties="${properties}"` : ''}/>`;
+      }),
+      ...images.map(image => `<item id="${image.id}" href="${image.path}" media-type="image/png"/>`),
+      ...fonts.map(font => `<item id="${font.id}" href="${font.path}" media-type="font/ttf"/>`)
+    ];
+
+    const spine = chapters.map(chapter => `<itemref idref="${chapter.id}"/>`);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${MarkdownHelper.escapeHTML(language)}">\n`
+      + `  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n    ${metadata.join('\n    ')}\n  </metadata>\n`
+      + `  <manifest>\n    ${manifest.join('\n    ')}\n  </manifest>\n`
+      + `  <spine>\n    ${spine.join('\n    ')}\n  </spine>\n`
+      + '</package>\n';
+  }
+
+  /* ------------------------------------------------------------------
+   * 유틸리티
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 빈 XHTML 문서 (제목, 스타일시트 연결)
+   * @param {string} title - 문서 제목
+   * @returns {Document} XHTML 문서
+   */
+  createXHTMLDocument(title) {
+    const source = `<html xmlns="${EpubExporter.XHTML_NS}" xmlns:epub="${EpubExporter.EPUB_NS}" xml:lang="ko" lang="ko">`
+      + `<head><meta charset="UTF-8"/><title>${MarkdownHelper.escapeHTML(title || '')}</title>`
+      + '<link rel="stylesheet" type="text/css" href="../styles/book.css"/></head><body></body></html>';
+    return new DOMParser().parseFromString(source, 'application/xhtml+xml');
+  }
+
+  /**
+   * #링크의 대상 id (URI 인코딩 복원)
+   * @param {string} href - 링크 주소
+   * @returns {string} id
+   */
+  getAnchorId(href) {
+    try {
+      return decodeURIComponent(href.slice(1));
+    } catch (e) {
+      return href.slice(1);
+    }
+  }
+
+  /**
+   * 책 식별자용 UUID
+   * @returns {string} UUID
+   */
+  createUUID() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+}
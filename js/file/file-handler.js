@@ -3,8 +3,15 @@
  * 파일 읽기, 검증, 내보내기 기능 제공
  */
 class FileHandler {
+  // HTML 문서를 열 때 본문으로 옮기지 않는 요소
+  static HTML_STRIP_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'link', 'meta',
+    'nav', 'aside', 'form', 'button', 'svg',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[aria-hidden="true"]'
+  ];
+
   constructor() {
-    this.acceptedTypes = ['.txt', '.md', '.markdown'];
+    this.acceptedTypes = ['.txt', '.md', '.markdown', '.docx', '.html', '.htm', '.ipynb', '.csv', '.tsv'];
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
   }
 
@@ -19,8 +26,8 @@ class FileHandler {
       throw new Error('Invalid file');
     }
 
-    // 파일 읽기
-    const content = await this.readFile(file);
+    // 파일 읽기 (Word/HTML 문서, 노트북, CSV는 마크다운으로 변환)
+    const content = await this.readContent(file);
 
     return {
       name: file.name,
@@ -58,6 +65,88 @@ class FileHandler {
     return results;
   }
 
+  /**
+   * 파일 형식에 맞게 읽어 마크다운 텍스트로 변환
+   * @param {File} file - 읽을 파일
+   * @returns {Promise<string>} 마크다운
+   */
+  async readContent(file) {
+    switch (this.getFileExtension(file.name)) {
+      case '.docx':
+        return new DocxImporter().convert(await this.readFileAsArrayBuffer(file));
+      case '.html':
+      case '.htm':
+        return this.convertHTMLDocument(await this.readFile(file));
+      case '.ipynb':
+        return new NotebookImporter().convert(await this.readFile(file));
+      case '.csv':
+      case '.tsv':
+        return new CsvImporter().convert(await this.readFile(file), {
+          delimiter: this.getFileExtension(file.name) === '.tsv' ? '\t' : null,
+          title: file.name.replace(/\.[^.]+$/, '')
+        });
+      default:
+        return this.readFile(file);
+    }
+  }
+
+  /**
+   * HTML 문서의 본문 기사만 골라 마크다운으로 변환 (붙여넣기와 같은 Turndown 설정)
+   * @param {string} html - HTML 문서
+   * @returns {string} 마크다운
+   */
+  convertHTMLDocument(html) {
+    const turndownService = PasteHandler.createTurndownService();
+    if (!turndownService) {
+      throw new Error('HTML 변환기(Turndown)를 불러오지 못했습니다.');
+    }
+
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    page.querySelectorAll(FileHandler.HTML_STRIP_SELECTORS.join(',')).forEach(el => el.remove());
+    // 사이트 머리글/바닥글은 제거 (기사 안의 머리글은 제목이 있으므로 유지)
+    page.querySelectorAll('header, footer').forEach(el => {
+      if (!el.parentElement || !el.parentElement.closest('article, main')) el.remove();
+    });
+
+    const content = this.findMainContent(page);
+    let markdown = turndownService.turndown(content.innerHTML).trim();
+
+    // 본문에 제목이 없으면 문서 제목(<title>)을 첫 제목으로
+    const title = page.title.trim();
+    if (title && !content.querySelector('h1')) {
+      markdown = `# ${title}\n\n${markdown}`;
+    }
+
+    if (!markdown.trim()) {
+      throw new Error('HTML 문서에서 본문을 찾지 못했습니다.');
+    }
+    return markdown + '\n';
+  }
+
+  /**
+   * HTML 문서의 본문 요소 찾기 (article → main → 글이 가장 많은 블록 → body)
+   * @param {Document} page - HTML 문서
+   * @returns {HTMLElement} 본문 요소
+   */
+  findMainContent(page) {
+    const textLength = (el) => el.textContent.replace(/\s+/g, '').length;
+    const largest = (elements) => elements.reduce((best, el) => (!best || textLength(el) > textLength(best) ? el : best), null);
+
+    const articles = Array.from(page.querySelectorAll('article'));
+    if (articles.length > 0) return largest(articles);
+
+    const main = page.querySelector('main, [role="main"]');
+    if (main) return main;
+
+    // 본문 표시가 없으면 문단이 모여 있는 블록 중 글이 가장 많은 것
+    const body = page.body || page.documentElement;
+    const candidates = Array.from(body.querySelectorAll('div, section'))
+      .filter(el => el.querySelectorAll(':scope > p').length >= 2);
+    const candidate = largest(candidates);
+
+    return candidate && textLength(candidate) > textLength(body) * 0.5 ? candidate : body;
+  }
+
   /**
    * 파일 읽기
    * @param {File} file - 읽을 파일
@@ -86,6 +175,34 @@ class FileHandler {
     });
   }
 
+  /**
+   * 파일을 ArrayBuffer로 읽기 (압축 파일 등)
+   * @param {File} file - 읽을 파일
+   * @returns {Promise<ArrayBuffer>} 파일 내용
+   */
+  readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(new Error('파일 읽기 실패: ' + e.target.error));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * 파일을 Data URL로 읽기 (이미지 등)
+   * @param {File} file - 읽을 파일
+   * @returns {Promise<string>} Data URL
+   */
+  readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(new Error('파일 읽기 실패: ' + e.target.error));
+      reader.readAsDataURL(file);
+    });
+  }
+
   /**
    * 파일 유효성 검사
    * @param {File} file - 검사할 파일
@@ -179,11 +296,12 @@ class FileHandler {
    * HTML 다운로드
    * @param {string} html - HTML 내용
    * @param {string} filename - 파일명
+   * @param {Object} options - wrapHTMLDocument() 옵션 { watermark }
    */
-  downloadHTML(html, filename) {
+  downloadHTML(html, filename, options = {}) {
     try {
       const safeFilename = this.sanitizeFilename(filename);
-      const fullHTML = this.wrapHTMLDocument(html);
+      const fullHTML = this.wrapHTMLDocument(html, options);
       const blob = new Blob([fullHTML], { type: 'text/html;charset=utf-8' });
       this.downloadBlob(blob, safeFilename + '.html');
     } catch (error) {
@@ -227,19 +345,103 @@ class FileHandler {
       .substring(0, 100) || 'document';
   }
 
+  /**
+   * 표지 페이지 HTML 생성 (front matter 정보와 템플릿 색상)
+   * @param {Object} meta - { title, subtitle, author, date, organization, logo }
+   * @param {Object} template - 템플릿 객체
+   * @returns {string} 표지 HTML
+   */
+  createCoverHTML(meta, template) {
+    const colors = template.colors;
+    const date = meta.date || new Date().toLocaleDateString('ko-KR');
+
+    return `<section class="cover-page" style="--cover-primary: ${colors.primary}; --cover-secondary: ${colors.secondary}; --cover-accent: ${colors.accent};">
+  ${meta.logo ? `<img class="cover-logo" src="${MarkdownHelper.escapeHTML(meta.logo)}" alt="">` : ''}
+  <p class="cover-title">${MarkdownHelper.escapeHTML(meta.title || '')}</p>
+  <hr class="cover-rule">
+  ${meta.subtitle ? `<p class="cover-subtitle">${MarkdownHelper.escapeHTML(meta.subtitle)}</p>` : ''}
+  <div class="cover-info">
+    ${meta.author ? `<p class="cover-author">${MarkdownHelper.escapeHTML(meta.author)}</p>` : ''}
+    ${meta.organization ? `<p>${MarkdownHelper.escapeHTML(meta.organization)}</p>` : ''}
+    <p class="cover-date">${MarkdownHelper.escapeHTML(date)}</p>
+  </div>
+</section>
+`;
+  }
+
+  /**
+   * 워터마크 오버레이 HTML 생성 (화면/인쇄 모든 페이지에 고정 표시)
+   * @param {Object} watermark - 워터마크 설정 { type, text, image, color, opacity, angle, size, position }
+   * @returns {string} 오버레이 HTML
+   */
+  createWatermarkHTML(watermark) {
+    let mark;
+    if (watermark.type === 'image') {
+      if (!watermark.image) return '';
+      mark = `<img src="${MarkdownHelper.escapeHTML(watermark.image)}" alt="" style="width: ${watermark.size}vw;">`;
+    } else {
+      const text = String(watermark.text || '').trim();
+      if (!text) return '';
+      // 글자 수에 맞춰 지정한 너비(화면 너비 %)를 차지하도록
+      const fontSize = watermark.size / Math.max(Array.from(text).length * 0.6, 1);
+      mark = `<span style="font-size: ${fontSize.toFixed(2)}vw; color: ${MarkdownHelper.escapeHTML(watermark.color)};">${MarkdownHelper.escapeHTML(text)}</span>`;
+    }
+
+    const position = watermark.position || 'center';
+    const count = position === 'tile' ? 12 : 1;
+    const items = Array(count).fill(`<div class="kpdf-watermark-item" style="transform: rotate(${-Number(watermark.angle) || 0}deg);">${mark}</div>`).join('');
+
+    return `<div class="kpdf-watermark kpdf-watermark-${MarkdownHelper.escapeHTML(position)}" style="opacity: ${Number(watermark.opacity)};" aria-hidden="true">${items}</div>`;
+  }
+
   /**
    * HTML 문서로 래핑
    * @param {string} bodyHTML - Body 내용
+   * @param {Object} options - { watermark, offline, styles, title }
+   *   watermark: 워터마크 설정이 있으면 고정 오버레이 추가
+   *   offline: true면 CDN 스타일/스크립트 없이 (수식과 다이어그램이 미리 렌더링된 본문)
+   *   styles: 추가로 넣을 CSS, title: 문서 제목
    * @returns {string} 완전한 HTML 문서
    */
-  wrapHTMLDocument(bodyHTML) {
+  wrapHTMLDocument(bodyHTML, options = {}) {
+    const title = String(options.title || 'Document')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;');
+
+    const cdnStyles = options.offline
+      ? ''
+      : '\n  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css">';
+
+    const cdnScripts = options.offline ? '' : `
+<script src="https://cdn.jsdelivr.net/npm/mermaid@9.4.3/dist/mermaid.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/contrib/auto-render.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/contrib/copy-tex.min.js"></script>
+<script>
+  document.addEventListener('DOMContentLoaded', function() {
+    if (typeof mermaid !== 'undefined') {
+      mermaid.initialize({ startOnLoad: true });
+    }
+    if (typeof renderMathInElement !== 'undefined') {
+      renderMathInElement(document.body, {
+        delimiters: [
+          {left: '$$', right: '$$', display: true},
+          {left: '$', right: '$', display: false},
+          {left: '\\(', right: '\\)', display: false},
+          {left: '\\[', right: '\\]', display: true}
+        ],
+        throwOnError: false
+      });
+    }
+  });
+</script>`;
+
     return `<!DOCTYPE html>
 <html lang="ko">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Document</title>
-  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css">
+  <title>${title}</title>${cdnStyles}
   <style>
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans KR', sans-serif;
@@ -299,42 +501,79 @@ class FileHandler {
       max-width: 100%;
       height: auto;
     }
-  </style>
+    .toc {
+      margin: 24px 0;
+      padding: 16px 20px;
+      background-color: #fafafa;
+      border: 1px solid #eee;
+      border-radius: 6px;
+    }
+    .toc .toc-title { margin: 0 0 8px; font-weight: 600; }
+    .toc ul { list-style: none; margin: 0; padding-left: 16px; }
+    .toc > ul { padding-left: 0; }
+    .toc li { margin: 4px 0; }
+    .toc a { color: #333; text-decoration: none; }
+    .toc a:hover { text-decoration: underline; }
+    .cover-page {
+      display: flex;
+      flex-direction: column;
+      justify-content: center;
+      min-height: 90vh;
+      margin-bottom: 48px;
+      padding: 40px 20px;
+      text-align: center;
+      border-top: 12px solid var(--cover-accent);
+      color: var(--cover-primary);
+    }
+    .cover-logo { max-height: 80px; max-width: 50%; margin: 0 auto 24px; }
+    .cover-title { margin: 0; font-size: 2.6em; font-weight: 700; line-height: 1.25; }
+    .cover-rule { width: 60px; margin: 24px auto; border: none; border-top: 3px solid var(--cover-accent); }
+    .cover-subtitle { margin: 0; font-size: 1.4em; color: var(--cover-secondary); }
+    .cover-info { margin-top: auto; padding-top: 80px; }
+    .cover-info p { margin: 4px 0; }
+    .cover-author { font-weight: 600; }
+    .cover-date { color: var(--cover-secondary); }
+    .kpdf-watermark {
+      position: fixed;
+      inset: 0;
+      z-index: 9999;
+      display: flex;
+      padding: 48px;
+      overflow: hidden;
+      pointer-events: none;
+    }
+    .kpdf-watermark-center { align-items: center; justify-content: center; }
+    .kpdf-watermark-top-left { align-items: flex-start; justify-content: flex-start; }
+    .kpdf-watermark-top-right { align-items: flex-start; justify-content: flex-end; }
+    .kpdf-watermark-bottom-left { align-items: flex-end; justify-content: flex-start; }
+    .kpdf-watermark-bottom-right { align-items: flex-end; justify-content: flex-end; }
+    .kpdf-watermark-tile { display: grid; grid-template-columns: repeat(3, 1fr); place-items: center; }
+    .kpdf-watermark-tile span { font-size: 6vw !important; }
+    .kpdf-watermark-tile img { width: 15vw !important; }
+    .kpdf-watermark-item { font-weight: 700; white-space: nowrap; line-height: 1; }
+    @media print {
+      body { max-width: none; margin: 0; padding: 0; }
+      .cover-page { min-height: 100vh; margin: 0; box-sizing: border-box; break-after: page; page-break-after: always; }
+      .page-break { break-after: page; page-break-after: always; }
+      .keep-together { break-inside: avoid; page-break-inside: avoid; }
+      .keep-with-next { break-after: avoid; page-break-after: avoid; }
+    }
+  </style>${options.styles ? `\n  <style>\n${options.styles}\n  </style>` : ''}
 </head>
 <body>
 ${bodyHTML}
-<script src="https://cdn.jsdelivr.net/npm/mermaid@9.4.3/dist/mermaid.min.js"></script>
-<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.js"></script>
-<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/contrib/auto-render.min.js"></script>
-<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/contrib/copy-tex.min.js"></script>
-<script>
-  document.addEventListener('DOMContentLoaded', function() {
-    if (typeof mermaid !== 'undefined') {
-      mermaid.initialize({ startOnLoad: true });
-    }
-    if (typeof renderMathInElement !== 'undefined') {
-      renderMathInElement(document.body, {
-        delimiters: [
-          {left: '$$', right: '$$', display: true},
-          {left: '$', right: '$', display: false},
-          {left: '\\(', right: '\\)', display: false},
-          {left: '\\[', right: '\\]', display: true}
-        ],
-        throwOnError: false
-      });
-    }
-  });
-</script>
+${options.watermark ? this.createWatermarkHTML(options.watermark) : ''}${cdnScripts}
 </body>
 </html>`;
   }
 
   /**
    * 일괄 다운로드 (ZIP)
-   * @param {Array} pdfs - PDF 정보 배열
+   * @param {Array} files - 파일 배열 [{ filename, data }] (data는 Blob 또는 문자열, 파일명은 확장자 포함)
+   *   이전 형식 [{ doc, filename }]은 PDF로 저장
    * @param {string} zipFilename - ZIP 파일명
    */
-  async downloadBatch(pdfs, zipFilename) {
+  async downloadBatch(files, zipFilename) {
     try {
       if (typeof JSZip === 'undefined') {
         throw new Error('JSZip 라이브러리가 로드되지 않았습니다.');
@@ -342,10 +581,13 @@ ${bodyHTML}
 
       const zip = new JSZip();
 
-      pdfs.forEach((pdf, index) => {
-        const pdfData = pdf.doc.output('blob');
-        const filename = pdf.filename || `document_${index + 1}`;
-        zip.file(`${this.sanitizeFilename(filename)}.pdf`, pdfData);
+      files.forEach((file, index) => {
+        if (file.doc) {
+          const filename = file.filename || `document_${index + 1}`;
+          zip.file(`${this.sanitizeFilename(filename)}.pdf`, file.doc.output('blob'));
+        } else {
+          zip.file(file.filename, file.data);
+        }
       });
 
       const zipBlob = await zip.generateAsync({
@@ -0,0 +1,469 @@
+/**
+ * LatexExporter - LaTeX 원고(.tex) 생성 클래스
+ * marked 토큰 목록을 LaTeX 명령으로 변환 (학술지 투고용 원고)
+ * 제목은 section 계열, 표는 tabular, 코드는 listings/verbatim, 수식은 원문 그대로 유지하고 한글은 kotex 사용
+ */
+class LatexExporter {
+  static MIME_TYPE = 'application/x-tex';
+
+  // 제목 수준 → 구획 명령 (H1이 \section)
+  static SECTION_COMMANDS = ['section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph', 'subparagraph'];
+
+  // 중첩 번호 목록 카운터 (LaTeX enumerate는 4단계까지)
+  static ENUM_COUNTERS = ['enumi', 'enumii', 'enumiii', 'enumiv'];
+
+  // 코드 블록 언어 → listings 언어 이름 (목록에 없으면 언어 지정 없이)
+  static LISTINGS_LANGUAGES = {
+    c: 'C',
+    cpp: 'C++',
+    'c++': 'C++',
+    cs: '[Sharp]C',
+    csharp: '[Sharp]C',
+    java: 'Java',
+    python: 'Python',
+    py: 'Python',
+    r: 'R',
+    matlab: 'Matlab',
+    sql: 'SQL',
+    bash: 'bash',
+    sh: 'bash',
+    shell: 'bash',
+    html: 'HTML',
+    xml: 'XML',
+    tex: '[LaTeX]TeX',
+    latex: '[LaTeX]TeX',
+    ruby: 'Ruby',
+    go: 'Go',
+    fortran: 'Fortran',
+    perl: 'Perl',
+    php: 'PHP'
+  };
+
+  // 텍스트에서 LaTeX 특수 문자 치환
+  static SPECIAL_CHARACTERS = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '$': '\\$',
+    '&': '\\&',
+    '%': '\\%',
+    '#': '\\#',
+    '_': '\\_',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}'
+  };
+
+  /**
+   * @param {Object} template - templates.json 형식의 템플릿 객체 (글자 크기, 여백, 용지)
+   */
+  constructor(template) {
+    this.template = TemplateManager.normalize(template);
+    this.reset();
+  }
+
+  /**
+   * 문서별 상태 초기화
+   */
+  reset() {
+    this.warnings = [];
+    this.mathBlocks = [];
+    this.labels = new Map();
+    this.headings = [];
+    this.headingIndex = 0;
+  }
+
+  /**
+   * LaTeX 원고 생성
+   * @param {Array} tokens - EditorManager.tokenizeMarkdown() 결과 토큰 목록
+   * @param {Array} mathBlocks - 토큰 안 @@MATH_BLOCK_n@@ 자리 표시에 해당하는 수식 원문
+   * @param {Object} meta - 문서 정보 { title, subtitle, author, date, organization, cover }
+   * @returns {Object} { text, warnings } - .tex 원문과 그대로 옮기지 못한 요소 목록
+   */
+  build(tokens, mathBlocks = [], meta = {}) {
+    this.reset();
+    this.mathBlocks = mathBlocks;
+    this.collectHeadings(tokens);
+
+    const body = this.convertBlocks(tokens, { listLevel: -1, enumLevel: -1 }).trim();
+    const text = [
+      this.createPreamble(meta),
+      '\\begin{document}',
+      meta.cover ? '\\maketitle\n' : '',
+      body,
+      '',
+      '\\end{document}',
+      ''
+    ].join('\n');
+
+    return { text, warnings: this.warnings };
+  }
+
+  /**
+   * 프리앰블 (kotex, 수식, 표, 코드, 링크 패키지와 템플릿 용지/여백)
+   * @param {Object} meta - 문서 정보
+   * @returns {string} 프리앰블
+   */
+  createPreamble(meta) {
+    const { fontSize, margin, pageSize, orientation } = this.template;
+    const classSize = fontSize >= 12 ? 12 : (fontSize >= 11 ? 11 : 10);
+    const geometry = [
+      `${pageSize}paper`,
+      orientation === 'landscape' ? 'landscape' : null,
+      `top=${margin.top}pt`,
+      `right=${margin.right}pt`,
+      `bottom=${margin.bottom}pt`,
+      `left=${margin.left}pt`
+    ].filter(Boolean).join(',');
+
+    const author = [meta.author, meta.organization].filter(Boolean).map(text => this.escapeText(text)).join(' \\\\ ');
+    const title = this.escapeText(meta.title || '') + (meta.subtitle ? ` \\\\ \\large ${this.escapeText(meta.subtitle)}` : '');
+
+    return [
+      '% Korean PDF Converter에서 내보낸 원고 (XeLaTeX 또는 pdfLaTeX로 컴파일)',
+      `\\documentclass[${classSize}pt]{article}`,
+      '\\usepackage{kotex}',
+      `\\usepackage[${geometry}]{geometry}`,
+      '\\usepackage{amsmath,amssymb}',
+      '\\usepackage{graphicx}',
+      '\\usepackage[normalem]{ulem}',
+      '\\usepackage{xcolor}',
+      '\\usepackage{listings}',
+      '\\usepackage{hyperref}',
+      '',
+      '\\lstset{basicstyle=\\ttfamily\\small, breaklines=true, frame=single, columns=fullflexible, keepspaces=true}',
+      '',
+      `\\title{${title}}`,
+      `\\author{${author}}`,
+      `\\date{${this.escapeText(meta.date || '')}}`,
+      ''
+    ].join('\n');
+  }
+
+  /* ------------------------------------------------------------------
+   * 블록 토큰
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 제목 id(미리보기와 같은 slug)마다 \label 이름 미리 지정 (#id 링크를 \hyperref로)
+   * @param {Array} tokens - 토큰 목록
+   */
+  collectHeadings(tokens) {
+    const slugger = new marked.Slugger();
+
+    const visit = (list) => {
+      list.forEach(token => {
+        if (token.type === 'heading') {
+          const id = slugger.slug(MarkdownHelper.decodeEntities(this.getPlainText(token.tokens)));
+          const label = `sec:${this.headings.length + 1}`;
+          if (!this.labels.has(id)) this.labels.set(id, label);
+          this.headings.push(label);
+        } else if (token.type === 'blockquote') {
+          visit(token.tokens);
+        } else if (token.type === 'list') {
+          token.items.forEach(item => visit(item.tokens));
+        }
+      });
+    };
+    visit(tokens);
+  }
+
+  /**
+   * 블록 토큰 목록 변환 (블록 사이는 빈 줄)
+   * @param {Array} tokens - 토큰 목록
+   * @param {Object} context - { listLevel, enumLevel } 목록 깊이
+   * @returns {string} LaTeX
+   */
+  convertBlocks(tokens, context) {
+    return tokens
+      .map(token => this.convertBlock(token, context))
+      .filter(text => text !== '')
+      .join('\n\n');
+  }
+
+  /**
+   * 블록 토큰 하나 변환
+   * @param {Object} token - marked 토큰
+   * @param {Object} context - 변환 문맥
+   * @returns {string} LaTeX
+   */
+  convertBlock(token, context) {
+    switch (token.type) {
+      case 'space':
+        return '';
+      case 'heading':
+        return this.convertHeading(token);
+      case 'paragraph':
+      case 'text':
+        return token.tokens ? this.convertInline(token.tokens) : this.convertText(MarkdownHelper.decodeEntities(token.text));
+      case 'code':
+        return this.convertCode(token);
+      case 'blockquote':
+        return `\\begin{quote}\n${this.convertBlocks(token.tokens, context)}\n\\end{quote}`;
+      case 'list':
+        return this.convertList(token, context);
+      case 'table':
+        return this.convertTable(token);
+      case 'hr':
+        return '\\begin{center}\\rule{0.5\\linewidth}{0.4pt}\\end{center}';
+      case 'html':
+        return this.convertHTMLBlock(token);
+      default:
+        return token.text ? this.convertText(MarkdownHelper.decodeEntities(token.text)) : '';
+    }
+  }
+
+  /**
+   * 제목 → \section 계열 (+ 문서 내부 링크용 \label)
+   * @param {Object} token - heading 토큰
+   * @returns {string} LaTeX
+   */
+  convertHeading(token) {
+    const command = LatexExporter.SECTION_COMMANDS[token.depth - 1];
+    // collectHeadings()와 같은 순서로 방문하므로 순번으로 label 대응
+    const label = this.headings[this.headingIndex++];
+    return `\\${command}{${this.convertInline(token.tokens)}}` + (label ? `\\label{${label}}` : '');
+  }
+
+  /**
+   * 코드 블록 (listings, 한글 등 ASCII 밖의 글자가 있으면 listings가 처리하지 못하므로 verbatim)
+   * 코드 안에 환경을 끝내는 \end{...}가 있으면 다른 환경으로, 둘 다 있으면 줄마다 \texttt로
+   * @param {Object} token - code 토큰
+   * @returns {string} LaTeX
+   */
+  convertCode(token) {
+    const lang = (token.lang || '').match(/\S*/)[0].toLowerCase();
+    const code = this.restoreMath(token.text);
+    const closes = (environment) => new RegExp(`\\\\end\\s*\\{${environment}\\}`).test(code);
+
+    if (lang === 'mermaid') {
+      this.warnings.push('Mermaid 다이어그램은 원문 코드로 넣었습니다.');
+    }
+
+    const listings = lang !== 'mermaid' && !/[^\x00-\x7F]/.test(code);
+    if (listings && !closes('lstlisting')) {
+      const language = LatexExporter.LISTINGS_LANGUAGES[lang];
+      return `\\begin{lstlisting}${language ? `[language={${language}}]` : ''}\n${code}\n\\end{lstlisting}`;
+    }
+    if (!closes('verbatim')) {
+      return `\\begin{verbatim}\n${code}\n\\end{verbatim}`;
+    }
+
+    // 공백은 제어 공백(\ )으로 유지
+    const lines = code.split('\n').map(line => `\\texttt{${this.escapeText(line).replace(/ /g, '\\ ')}}`);
+    return `\\begin{flushleft}\n${lines.join('\\\\\n')}\n\\end{flushleft}`;
+  }
+
+  /**
+   * 목록 → itemize/enumerate (번호 시작 값, 작업 목록 체크 상자 유지)
+   * @param {Object} token - list 토큰
+   * @param {Object} context - 변환 문맥
+   * @returns {string} LaTeX
+   */
+  convertList(token, context) {
+    const environment = token.ordered ? 'enumerate' : 'itemize';
+    const itemContext = {
+      listLevel: context.listLevel + 1,
+      enumLevel: context.enumLevel + (token.ordered ? 1 : 0)
+    };
+
+    if (itemContext.listLevel >= 4) {
+      this.warnings.push('LaTeX는 목록을 4단계까지만 중첩할 수 있어 컴파일 시 오류가 날 수 있습니다.');
+    }
+
+    const lines = [`\\begin{${environment}}`];
+    const start = token.start === '' ? 1 : Number(token.start) || 1;
+    const counter = LatexExporter.ENUM_COUNTERS[itemContext.enumLevel];
+    if (token.ordered && start !== 1 && counter) {
+      lines.push(`\\setcounter{${counter}}{${start - 1}}`);
+    }
+
+    token.items.forEach(item => {
+      const marker = item.task ? (item.checked ? '[$\\boxtimes$] ' : '[$\\square$] ') : ' ';
+      const content = this.convertBlocks(item.tokens, itemContext);
+      // 들여쓰지 않음 (verbatim/lstlisting 본문은 공백까지 그대로 출력되므로)
+      lines.push(`\\item${marker}${content}`.trimEnd());
+    });
+
+    lines.push(`\\end{${environment}}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * 표 → tabular (열 정렬 유지, 머리글 행 굵게)
+   * @param {Object} token - table 토큰
+   * @returns {string} LaTeX
+   */
+  convertTable(token) {
+    const spec = token.align
+      .map(align => ({ center: 'c', right: 'r' }[align] || 'l'))
+      .join('|');
+    const row = (cells, isHeader) => cells
+      .map(cell => {
+        const text = this.convertInline(cell.tokens);
+        return isHeader && text ? `\\textbf{${text}}` : text;
+      })
+      .join(' & ') + ' \\\\ \\hline';
+
+    return [
+      '\\begin{center}',
+      `\\begin{tabular}{|${spec}|}`,
+      '\\hline',
+      row(token.header, true),
+      ...token.rows.map(cells => row(cells, false)),
+      '\\end{tabular}',
+      '\\end{center}'
+    ].join('\n');
+  }
+
+  /**
+   * HTML 블록 (페이지 나누기 → \newpage, [TOC] → \tableofcontents, 그 밖의 태그는 글자만)
+   * @param {Object} token - html 토큰
+   * @returns {string} LaTeX
+   */
+  convertHTMLBlock(token) {
+    const html = token.text.trim();
+
+    if (/^<div class="page-break"><\/div>$/.test(html)) {
+      return '\\newpage';
+    }
+    if (html === EditorManager.TOC_PLACEHOLDER) {
+      return '\\tableofcontents\n\\newpage';
+    }
+
+    const text = MarkdownHelper.decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')).trim();
+    return text ? this.convertText(text) : '';
+  }
+
+  /* ------------------------------------------------------------------
+   * 인라인 토큰
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 인라인 토큰 목록 변환
+   * @param {Array} tokens - 인라인 토큰 목록
+   * @returns {string} LaTeX
+   */
+  convertInline(tokens = []) {
+    return tokens.map(token => {
+      switch (token.type) {
+        case 'strong':
+          return `\\textbf{${this.convertInline(token.tokens)}}`;
+        case 'em':
+          return `\\emph{${this.convertInline(token.tokens)}}`;
+        case 'del':
+          return `\\sout{${this.convertInline(token.tokens)}}`;
+        case 'codespan':
+          return `\\texttt{${this.escapeText(this.restoreMath(MarkdownHelper.decodeEntities(token.text)))}}`;
+        case 'br':
+          return '\\newline\n';
+        case 'link':
+          return this.convertLink(token);
+        case 'image':
+          return this.convertImage(token);
+        case 'html':
+          return /^<br\s*\/?>$/i.test(token.text.trim())
+            ? '\\newline\n'
+            : this.convertText(MarkdownHelper.decodeEntities(token.text.replace(/<[^>]*>/g, '')));
+        default:
+          return token.tokens && token.tokens.length > 0
+            ? this.convertInline(token.tokens)
+            : this.convertText(MarkdownHelper.decodeEntities(token.text || ''));
+      }
+    }).join('');
+  }
+
+  /**
+   * 텍스트 (특수 문자 이스케이프, 수식 자리 표시는 원문 $...$/$$...$$ 그대로)
+   * @param {string} text - 텍스트
+   * @returns {string} LaTeX
+   */
+  convertText(text) {
+    return text
+      .split(/@@MATH_BLOCK_(\d+)@@/)
+      .map((part, i) => (i % 2 === 0 ? this.escapeText(part) : (this.mathBlocks[part] ?? '')))
+      .join('');
+  }
+
+  /**
+   * 링크 (외부 주소는 \href, #id는 해당 제목 \hyperref)
+   * @param {Object} token - link 토큰
+   * @returns {string} LaTeX
+   */
+  convertLink(token) {
+    const text = this.convertInline(token.tokens);
+    const href = token.href || '';
+
+    if (href.startsWith('#')) {
+      const label = this.labels.get(this.getAnchorId(href));
+      return label ? `\\hyperref[${label}]{${text}}` : text;
+    }
+    if (!href) return text;
+
+    return `\\href{${href.replace(/[\\{}%#]/g, '\\$&')}}{${text}}`;
+  }
+
+  /**
+   * 이미지 (상대 경로만 \includegraphics, 웹 주소/데이터 URL은 LaTeX가 읽을 수 없어 자리 표시)
+   * @param {Object} token - image 토큰
+   * @returns {string} LaTeX
+   */
+  convertImage(token) {
+    const href = token.href || '';
+    const alt = this.escapeText(token.text || '이미지');
+
+    if (!href || /^(https?:|data:)/i.test(href)) {
+      this.warnings.push(`이미지 파일을 원고와 같은 폴더에 두고 경로를 바꿔 주세요: ${href.startsWith('data:') ? alt : href}`);
+      return `\\fbox{${alt}}`;
+    }
+    return `\\includegraphics[width=\\linewidth,height=0.5\\textheight,keepaspectratio]{${href}}`;
+  }
+
+  /* ------------------------------------------------------------------
+   * 도우미
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 코드 안에서 보호된 수식 자리 표시를 원문으로 복원 (코드는 수식으로 처리하지 않음)
+   * @param {string} text - 텍스트
+   * @returns {string} 복원된 텍스트
+   */
+  restoreMath(text) {
+    return text.replace(/@@MATH_BLOCK_(\d+)@@/g, (match, index) => this.mathBlocks[index] ?? match);
+  }
+
+  /**
+   * LaTeX 특수 문자 이스케이프
+   * @param {string} text - 텍스트
+   * @returns {string} 이스케이프된 텍스트
+   */
+  escapeText(text) {
+    return String(text).replace(/[\\{}$&%#_~^]/g, char => LatexExporter.SPECIAL_CHARACTERS[char]);
+  }
+
+  /**
+   * 인라인 토큰의 글자만 추출 (제목 slug용)
+   * @param {Array} tokens - 인라인 토큰 목록
+   * @returns {string} 텍스트
+   */
+  getPlainText(tokens = []) {
+    return tokens.map(token => {
+      if (token.type === 'br') return '';
+      if (token.type === 'image') return token.text || '';
+      if (token.tokens && token.tokens.length > 0) return this.getPlainText(token.tokens);
+      return token.text || '';
+    }).join('');
+  }
+
+  /**
+   * #링크의 대상 id (URI 인코딩 복원)
+   * @param {string} href - 링크 주소
+   * @returns {string} id
+   */
+  getAnchorId(href) {
+    try {
+      return decodeURIComponent(href.slice(1));
+    } catch (e) {
+      return href.slice(1);
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * NotebookImporter - Jupyter 노트북(.ipynb)을 마크다운으로 변환
+ * 마크다운 셀은 그대로, 코드 셀은 노트북 언어의 코드 블록으로, 실행 결과는 텍스트 블록(그림은 이미지)으로 옮김
+ */
+class NotebookImporter {
+  // 실행 결과 중 이미지로 옮길 형식 (앞쪽 우선)
+  static IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+
+  // 오류 traceback의 터미널 색상 코드
+  static ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+  /**
+   * 노트북 JSON을 마크다운으로 변환
+   * @param {string} text - .ipynb 파일 내용
+   * @returns {string} 마크다운
+   */
+  convert(text) {
+    let notebook;
+    try {
+      notebook = JSON.parse(text);
+    } catch (error) {
+      throw new Error('올바른 Jupyter 노트북(.ipynb)이 아닙니다.');
+    }
+
+    // nbformat 4는 cells, 3은 worksheets[].cells
+    const cells = Array.isArray(notebook.cells)
+      ? notebook.cells
+      : (notebook.worksheets || []).flatMap(sheet => sheet.cells || []);
+    if (!Array.isArray(cells) || cells.length === 0) {
+      throw new Error('노트북에 셀이 없습니다.');
+    }
+
+    const metadata = notebook.metadata || {};
+    const language = (metadata.language_info && metadata.language_info.name)
+      || (metadata.kernelspec && metadata.kernelspec.language)
+      || notebook.language
+      || 'python';
+
+    const blocks = cells.flatMap(cell => this.convertCell(cell, language)).filter(block => block.trim());
+    return blocks.join('\n\n') + '\n';
+  }
+
+  /**
+   * 셀 하나 변환
+   * @param {Object} cell - 노트북 셀
+   * @param {string} language - 코드 셀 언어
+   * @returns {Array<string>} 마크다운 블록 목록
+   */
+  convertCell(cell, language) {
+    const source = this.joinText(cell.source !== undefined ? cell.source : cell.input).trimEnd();
+
+    switch (cell.cell_type) {
+      case 'markdown':
+        return [this.inlineAttachments(source, cell.attachments)];
+      case 'heading':
+        return [`${'#'.repeat(Math.min(cell.level || 1, 6))} ${source}`];
+      case 'code':
+        return [
+          source ? this.fence(source, language) : '',
+          ...(cell.outputs || []).map(output => this.convertOutput(output))
+        ];
+      default:
+        // raw 셀은 원문 그대로
+        return [source];
+    }
+  }
+
+  /**
+   * 실행 결과 변환 (표준 출력/오류는 text 블록, 마크다운 결과는 그대로, 그림은 이미지)
+   * @param {Object} output - 셀 출력
+   * @returns {string} 마크다운 블록
+   */
+  convertOutput(output) {
+    switch (output.output_type) {
+      case 'stream':
+        return this.fence(this.joinText(output.text).trimEnd(), 'text');
+      case 'error':
+      case 'pyerr': {
+        const traceback = (output.traceback || []).join('\n') || `${output.ename}: ${output.evalue}`;
+        return this.fence(traceback.replace(NotebookImporter.ANSI_PATTERN, '').trimEnd(), 'text');
+      }
+      case 'execute_result':
+      case 'display_data':
+      case 'pyout': {
+        const data = output.data || output;
+        if (data['text/markdown']) {
+          return this.joinText(data['text/markdown']).trim();
+        }
+
+        const imageType = NotebookImporter.IMAGE_TYPES.find(type => data[type]);
+        if (imageType) {
+          const base64 = this.joinText(data[imageType]).replace(/\s/g, '');
+          return `![output](data:${imageType};base64,${base64})`;
+        }
+
+        const plain = data['text/plain'] !== undefined ? data['text/plain'] : data.text;
+        return plain !== undefined ? this.fence(this.joinText(plain).trimEnd(), 'text') : '';
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * 마크다운 셀의 첨부 이미지(attachment:이름)를 데이터 URL로 바꾸기
+   * @param {string} source - 셀 원문
+   * @param {Object} attachments - { 이름: { MIME 형식: base64 } }
+   * @returns {string} 마크다운
+   */
+  inlineAttachments(source, attachments) {
+    if (!attachments) return source;
+
+    return source.replace(/\(attachment:([^)\s]+)\)/g, (match, name) => {
+      const files = attachments[decodeURIComponent(name)] || attachments[name];
+      const type = files && Object.keys(files).find(key => key.startsWith('image/'));
+      return type ? `(data:${type};base64,${this.joinText(files[type]).replace(/\s/g, '')})` : match;
+    });
+  }
+
+  /**
+   * 코드 블록 (내용에 ``` 가 있으면 더 긴 울타리 사용)
+   * @param {string} text - 내용
+   * @param {string} lang - 언어
+   * @returns {string} 마크다운
+   */
+  fence(text, lang) {
+    if (!text) return '';
+    const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${lang}\n${text}\n${marker}`;
+  }
+
+  /**
+   * 노트북 텍스트 필드 (줄 배열 또는 문자열)
+   * @param {Array<string>|string} value - 값
+   * @returns {string} 텍스트
+   */
+  joinText(value) {
+    if (Array.isArray(value)) return value.join('');
+    return typeof value === 'string' ? value : '';
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * OfflineHTMLExporter - 네트워크 없이 열리는 단일 HTML 파일 생성
+ * 수식(KaTeX)과 다이어그램(Mermaid)을 미리 렌더링하고, CSS/글꼴/이미지를 모두 문서 안에 포함
+ */
+class OfflineHTMLExporter {
+  static KATEX_CSS_URL = 'https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css';
+  static HLJS_CSS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/styles/default.min.css';
+
+  // KaTeX CSS를 불러오지 못했을 때 브라우저 기본 MathML 렌더링으로 표시
+  static MATHML_FALLBACK_CSS = '.katex-html { display: none; } .katex-mathml { display: inline; }';
+
+  /**
+   * @param {FileHandler} fileHandler - 파일 핸들러 (HTML 래핑)
+   */
+  constructor(fileHandler) {
+    this.fileHandler = fileHandler;
+    this.warnings = [];
+  }
+
+  /**
+   * 오프라인 HTML 문서 생성
+   * @param {string} html - parseMarkdown() 결과 HTML (표지 포함 가능)
+   * @param {Object} options - { template, previewCSS, title, watermark }
+   * @returns {Promise<Object>} { html, warnings } - 완성된 문서와 포함하지 못한 리소스 목록
+   */
+  async build(html, options = {}) {
+    this.warnings = [];
+    const template = TemplateManager.normalize(options.template);
+    const container = this.createContainer(html, template);
+
+    try {
+      const hasMath = this.renderMath(container);
+      await this.renderDiagrams(container);
+      const hasCode = this.highlightCode(container);
+      await this.embedImages(container);
+
+      const styles = [
+        hasMath ? await this.loadKatexCSS() : '',
+        hasCode ? await this.loadStylesheet(OfflineHTMLExporter.HLJS_CSS_URL) : '',
+        await this.createFontFaceCSS(template),
+        this.createThemeCSS(template, options.previewCSS)
+      ].filter(Boolean).join('\n');
+
+      const page = this.fileHandler.wrapHTMLDocument(
+        `<article class="markdown-body">\n${container.innerHTML}\n</article>`,
+        { offline: true, styles, title: options.title, watermark: options.watermark }
+      );
+
+      return { html: page, warnings: this.warnings };
+    } finally {
+      container.remove();
+    }
+  }
+
+  /**
+   * 화면 밖 렌더링 컨테이너 생성 (다이어그램 크기 계산을 위해 문서에 붙임)
+   * @param {string} html - HTML 문자열
+   * @param {Object} template - 템플릿 객체
+   * @returns {HTMLElement} 컨테이너
+   */
+  createContainer(html, template) {
+    const container = document.createElement('div');
+    container.className = 'offline-render-container';
+    container.style.cssText = [
+      'position: absolute',
+      'left: -10000px',
+      'top: 0',
+      'width: 800px',
+      `font-family: ${TemplateManager.getCSSFontFamily(template)}`,
+      `line-height: ${template.lineHeight}`
+    ].join(';');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    return container;
+  }
+
+  /**
+   * 수식을 정적 마크업으로 렌더링
+   * @param {HTMLElement} container - 컨테이너
+   * @returns {boolean} 렌더링된 수식이 있는지 여부
+   */
+  renderMath(container) {
+    if (typeof renderMathInElement === 'undefined') {
+      this.warnings.push('수식 렌더러(KaTeX)를 사용할 수 없어 수식이 원문으로 남습니다.');
+      return false;
+    }
+
+    try {
+      renderMathInElement(container, {
+        delimiters: [
+          {left: '$$', right: '$$', display: true},
+          {left: '$', right: '$', display: false},
+          {left: '\\(', right: '\\)', display: false},
+          {left: '\\[', right: '\\]', display: true}
+        ],
+        throwOnError: false
+      });
+    } catch (err) {
+      console.error('KaTeX error:', err);
+    }
+
+    return container.querySelector('.katex') !== null;
+  }
+
+  /**
+   * Mermaid 다이어그램을 SVG로 렌더링
+   * @param {HTMLElement} container - 컨테이너
+   */
+  async renderDiagrams(container) {
+    const nodes = container.querySelectorAll('.mermaid');
+    if (nodes.length === 0) return;
+
+    if (typeof mermaid === 'undefined') {
+      this.warnings.push('다이어그램 렌더러(Mermaid)를 사용할 수 없어 다이어그램이 원문으로 남습니다.');
+      return;
+    }
+
+    try {
+      await mermaid.init(undefined, nodes);
+    } catch (err) {
+      console.error('Mermaid error:', err);
+      this.warnings.push('일부 다이어그램을 렌더링하지 못했습니다.');
+    }
+
+    // 렌더링 상태 표시는 결과물에 필요 없음
+    nodes.forEach(node => node.removeAttribute('data-processed'));
+  }
+
+  /**
+   * 코드 블록 구문 강조
+   * @param {HTMLElement} container - 컨테이너
+   * @returns {boolean} 코드 블록이 있는지 여부
+   */
+  highlightCode(container) {
+    const blocks = container.querySelectorAll('pre code');
+    if (typeof hljs !== 'undefined') {
+      blocks.forEach(block => hljs.highlightElement(block));
+    }
+    return blocks.length > 0 && typeof hljs !== 'undefined';
+  }
+
+  /**
+   * 이미지를 Data URI로 포함
+   * @param {HTMLElement} container - 컨테이너
+   */
+  async embedImages(container) {
+    for (const img of Array.from(container.querySelectorAll('img'))) {
+      const src = img.getAttribute('src');
+      if (!src || src.startsWith('data:')) continue;
+
+      try {
+        img.setAttribute('src', await this.fetchAsDataURL(src));
+      } catch (error) {
+        console.warn('Failed to embed image:', src, error);
+        this.warnings.push(`이미지를 포함하지 못했습니다: ${src}`);
+      }
+    }
+  }
+
+  /**
+   * KaTeX CSS를 글꼴(woff2)까지 포함해 불러오기 (실패하면 MathML 표시용 CSS)
+   * @returns {Promise<string>} CSS
+   */
+  async loadKatexCSS() {
+    const baseUrl = OfflineHTMLExporter.KATEX_CSS_URL;
+
+    try {
+      const css = await this.fetchText(baseUrl);
+      const fonts = new Map();
+
+      // 각 @font-face의 글꼴 목록을 woff2 하나로 줄여 Data URI로
+      const pattern = /src:\s*url\(([^)]+\.woff2)\)\s*format\(["']woff2["']\)[^;}]*/g;
+      for (const [, path] of css.matchAll(pattern)) {
+        if (!fonts.has(path)) {
+          fonts.set(path, await this.fetchAsDataURL(new URL(path, baseUrl).href));
+        }
+      }
+
+      return css.replace(pattern, (match, path) => `src:url(${fonts.get(path)}) format("woff2")`);
+    } catch (error) {
+      console.warn('Failed to inline KaTeX CSS:', error);
+      this.warnings.push('수식 스타일을 포함하지 못해 브라우저 기본 수식 표시(MathML)를 사용합니다.');
+      return OfflineHTMLExporter.MATHML_FALLBACK_CSS;
+    }
+  }
+
+  /**
+   * 외부 스타일시트 내용 불러오기
+   * @param {string} url - 주소
+   * @returns {Promise<string>} CSS (실패하면 빈 문자열)
+   */
+  async loadStylesheet(url) {
+    try {
+      return await this.fetchText(url);
+    } catch (error) {
+      console.warn('Failed to inline stylesheet:', url, error);
+      this.warnings.push('코드 강조 스타일을 포함하지 못했습니다.');
+      return '';
+    }
+  }
+
+  /**
+   * 템플릿 글꼴 파일을 @font-face로 포함 (fonts/에 파일이 없으면 시스템 글꼴 사용)
+   * @param {Object} template - 템플릿 객체
+   * @returns {Promise<string>} CSS
+   */
+  async createFontFaceCSS(template) {
+    const paths = FontLoader.fontPaths[template.font];
+    if (!paths) return '';
+
+    const family = TemplateManager.getCSSFontFamily(template).split(',')[0].replace(/['"]/g, '').trim();
+    const faces = [];
+
+    for (const [weight, path] of [[400, paths.normal], [700, paths.bold]]) {
+      if (!path) continue;
+      const base64 = await FontLoader.loadFontFile(path);
+      if (!base64) continue;
+
+      faces.push(`@font-face {
+  font-family: '${family}';
+  src: url(data:font/ttf;base64,${base64}) format('truetype');
+  font-weight: ${weight};
+  font-style: normal;
+}`);
+    }
+
+    if (faces.length === 0) {
+      this.warnings.push(`${family} 글꼴 파일이 없어 시스템 글꼴로 표시됩니다.`);
+    }
+    return faces.join('\n');
+  }
+
+  /**
+   * 미리보기 테마 CSS (템플릿 서체, 줄간격, 색상)
+   * @param {Object} template - 템플릿 객체
+   * @param {string} previewCSS - EditorManager.getPreviewCSS('.markdown-body', ...) 결과
+   * @returns {string} CSS
+   */
+  createThemeCSS(template, previewCSS = '') {
+    return `
+body {
+  font-family: ${TemplateManager.getCSSFontFamily(template)};
+  line-height: ${template.lineHeight};
+  color: ${template.colors.primary};
+}
+.markdown-body .mermaid svg { max-width: 100%; height: auto; }
+${previewCSS}`;
+  }
+
+  /**
+   * 텍스트 내려받기
+   * @param {string} url - 주소
+   * @returns {Promise<string>}
+   */
+  async fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+  }
+
+  /**
+   * 리소스를 Data URI로 내려받기
+   * @param {string} url - 주소
+   * @returns {Promise<string>} Data URI
+   */
+  async fetchAsDataURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+}
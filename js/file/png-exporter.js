@@ -0,0 +1,237 @@
+/**
+ * PngExporter - 미리보기 PNG 이미지 내보내기 클래스
+ * 렌더링된 #markdown-preview(KaTeX 수식, Mermaid SVG 포함)를 html2canvas로 래스터화
+ * 문서 전체 한 장, 페이지별, 선택한 섹션별 이미지로 만들고 여러 장이면 ZIP으로 묶음
+ */
+class PngExporter {
+  static MODES = ['document', 'pages', 'sections'];
+  static SCALES = [1, 2, 3];
+
+  // 브라우저 캔버스 한 변 최대 크기 (px, 넘으면 배율을 낮춤)
+  static MAX_CANVAS_SIZE = 16384;
+
+  /**
+   * @param {HTMLElement} preview - 미리보기 요소 (#markdown-preview)
+   */
+  constructor(preview) {
+    this.preview = preview;
+    this.warnings = [];
+  }
+
+  /**
+   * 페이지 보기 모드 여부 (페이지 프레임이 그려져 있는지)
+   * @returns {boolean}
+   */
+  isPaged() {
+    return this.preview.querySelector('.preview-page') !== null;
+  }
+
+  /**
+   * 본문 흐름의 블록 목록 (페이지 보기에서는 각 페이지 본문의 블록을 이어서)
+   * @param {HTMLElement} root - 미리보기 요소 (원본 또는 html2canvas 복제본)
+   * @returns {Array<HTMLElement>} 블록 요소 목록
+   */
+  getBlocks(root) {
+    const bodies = root.querySelectorAll('.preview-page-body');
+    const containers = bodies.length > 0 ? Array.from(bodies) : [root];
+    return containers.flatMap(container => Array.from(container.children));
+  }
+
+  /**
+   * 섹션(H1/H2 제목) 목록 (내보내기 대화상자의 섹션 선택용)
+   * @returns {Array<Object>} { index, level, text }
+   */
+  getSections() {
+    return this.getBlocks(this.preview)
+      .filter(el => /^H[12]$/.test(el.tagName))
+      .map((el, index) => ({ index, level: Number(el.tagName[1]), text: el.textContent.trim() }));
+  }
+
+  /**
+   * 페이지 수 (페이지 보기면 페이지 프레임 수, 아니면 페이지 나누기 기준)
+   * @returns {number}
+   */
+  getPageCount() {
+    if (this.isPaged()) {
+      return this.preview.querySelectorAll('.preview-page').length;
+    }
+    return this.getBlocks(this.preview).filter(el => el.classList.contains('page-break')).length + 1;
+  }
+
+  /**
+   * PNG 이미지 만들기
+   * @param {Object} options - { mode: document | pages | sections, sections: 섹션 번호 목록, scale: 배율 }
+   * @param {string} basename - 파일 이름 (확장자 제외)
+   * @returns {Promise<Object>} { blob, filename, warnings } - 한 장이면 PNG, 여러 장이면 ZIP
+   */
+  async build(options, basename) {
+    if (typeof html2canvas === 'undefined') {
+      throw new Error('html2canvas 라이브러리가 로드되지 않았습니다.');
+    }
+
+    this.warnings = [];
+    const { mode = 'document', sections = [], scale = 2 } = options;
+    const targets = this.getTargets(mode, sections);
+    if (targets.length === 0) {
+      throw new Error('내보낼 섹션을 선택하세요.');
+    }
+
+    const images = [];
+    for (const target of targets) {
+      images.push(await this.capture(target, scale));
+    }
+
+    if (images.length === 1) {
+      return { blob: images[0], filename: `${basename}.png`, warnings: this.warnings };
+    }
+
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 라이브러리가 로드되지 않았습니다.');
+    }
+    const zip = new JSZip();
+    const digits = String(images.length).length;
+    images.forEach((blob, i) => zip.file(`${basename}-${String(i + 1).padStart(digits, '0')}.png`, blob));
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    return { blob, filename: `${basename}-png.zip`, warnings: this.warnings };
+  }
+
+  /**
+   * 이미지 한 장마다 캡처할 대상
+   * page: 페이지 보기의 페이지 프레임 번호, blocks: 복제본에서 남길 블록 범위 [start, end)
+   * @param {string} mode - document | pages | sections
+   * @param {Array<number>} sections - 선택한 섹션 번호
+   * @returns {Array<Object>} { page } 또는 { blocks: [start, end] }
+   */
+  getTargets(mode, sections) {
+    const blocks = this.getBlocks(this.preview);
+
+    if (mode === 'pages') {
+      if (this.isPaged()) {
+        return Array.from(this.preview.querySelectorAll('.preview-page'), (page, index) => ({ page: index }));
+      }
+
+      // 페이지 보기가 아니면 페이지 나누기 표시 사이를 한 장으로
+      const targets = [];
+      let start = 0;
+      blocks.forEach((el, i) => {
+        if (!el.classList.contains('page-break')) return;
+        if (i > start) targets.push({ blocks: [start, i] });
+        start = i + 1;
+      });
+      if (start < blocks.length) targets.push({ blocks: [start, blocks.length] });
+      return targets;
+    }
+
+    if (mode === 'sections') {
+      // 섹션은 제목부터 같은 수준 이상의 다음 제목 전까지
+      const headings = blocks
+        .map((el, i) => ({ i, level: /^H[12]$/.test(el.tagName) ? Number(el.tagName[1]) : 0 }))
+        .filter(h => h.level);
+
+      return sections
+        .filter(index => headings[index])
+        .sort((a, b) => a - b)
+        .map(index => {
+          const { i, level } = headings[index];
+          const next = headings.slice(index + 1).find(h => h.level <= level);
+          return { blocks: [i, next ? next.i : blocks.length] };
+        });
+    }
+
+    return [{ blocks: [0, blocks.length] }];
+  }
+
+  /**
+   * 대상 영역을 PNG로 캡처 (html2canvas가 만든 문서 복제본에서 필요한 부분만 남김)
+   * @param {Object} target - getTargets() 항목
+   * @param {number} scale - 배율
+   * @returns {Promise<Blob>} PNG
+   */
+  async capture(target, scale) {
+    const element = target.page !== undefined
+      ? this.preview.querySelectorAll('.preview-page')[target.page]
+      : this.preview;
+
+    // 블록 범위만 남기면 세로 길이는 해당 블록 높이의 합 정도
+    const height = target.blocks
+      ? this.getBlocks(this.preview).slice(...target.blocks).reduce((sum, el) => sum + el.offsetHeight, 0)
+      : element.scrollHeight;
+
+    const canvas = await html2canvas(element, {
+      backgroundColor: this.getBackgroundColor(),
+      scale: this.getSafeScale(Math.max(element.scrollWidth, height, 1), scale),
+      logging: false,
+      useCORS: true,
+      onclone: (doc) => this.prepareClone(doc, target)
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG 이미지를 만들지 못했습니다.'))), 'image/png');
+    });
+  }
+
+  /**
+   * html2canvas 복제 문서 정리 (스크롤/축소 해제, 페이지 프레임 풀기, 범위 밖 블록 제거)
+   * @param {Document} doc - 복제된 문서
+   * @param {Object} target - getTargets() 항목
+   */
+  prepareClone(doc, target) {
+    const preview = doc.getElementById(this.preview.id);
+    if (!preview) return;
+
+    // 미리보기 영역이 스크롤되더라도 내용 전체를 캡처
+    preview.style.height = 'auto';
+    preview.style.maxHeight = 'none';
+    preview.style.overflow = 'visible';
+
+    const pages = preview.querySelector('.preview-pages');
+    if (target.page !== undefined) {
+      if (pages) pages.style.zoom = '1';
+      return;
+    }
+
+    // 섹션/문서 전체는 페이지 프레임 없이 이어지는 흐름으로
+    const blocks = this.getBlocks(preview);
+    if (pages) {
+      pages.replaceWith(...blocks);
+      preview.classList.remove('page-view');
+    }
+
+    const [start, end] = target.blocks;
+    blocks.forEach((el, i) => {
+      if (i < start || i >= end) el.remove();
+    });
+  }
+
+  /**
+   * 캔버스 최대 크기를 넘지 않는 배율
+   * @param {number} size - 캡처할 영역의 긴 변 (px)
+   * @param {number} scale - 요청한 배율
+   * @returns {number} 적용할 배율
+   */
+  getSafeScale(size, scale) {
+    const maxScale = PngExporter.MAX_CANVAS_SIZE / size;
+
+    if (scale > maxScale) {
+      const safeScale = Math.max(Math.floor(maxScale * 10) / 10, 0.1);
+      this.warnings.push(`이미지가 너무 길어 배율을 ${safeScale}배로 낮췄습니다. 페이지별이나 섹션별로 내보내 보세요.`);
+      return safeScale;
+    }
+    return scale;
+  }
+
+  /**
+   * 미리보기 배경색 (다크 모드에서도 화면과 같게)
+   * @returns {string} CSS 색상
+   */
+  getBackgroundColor() {
+    let el = this.preview;
+    while (el) {
+      const color = getComputedStyle(el).backgroundColor;
+      if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') return color;
+      el = el.parentElement;
+    }
+    return '#ffffff';
+  }
+}
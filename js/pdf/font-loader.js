@@ -0,0 +1,129 @@
+/**
+ * FontLoader - PDF 한글 폰트 로더
+ * fonts/ 디렉토리의 TTF 파일을 불러와 jsPDF 문서에 등록 (Identity-H 인코딩으로 사용 글리프만 서브셋 임베드)
+ */
+class FontLoader {
+  // 템플릿 font 이름 → 폰트 파일 경로
+  static fontPaths = {
+    NanumGothic: {
+      normal: 'fonts/NanumGothic.ttf',
+      bold: 'fonts/NanumGothicBold.ttf'
+    },
+    NanumMyeongjo: {
+      normal: 'fonts/NanumMyeongjo.ttf',
+      bold: 'fonts/NanumMyeongjoBold.ttf'
+    },
+    NanumPen: {
+      normal: 'fonts/NanumPen.ttf'
+    }
+  };
+
+  // 템플릿 폰트가 없을 때 대신 시도할 폰트 순서
+  static FALLBACK_ORDER = ['NanumGothic', 'NanumMyeongjo', 'NanumPen'];
+
+  // 파일 경로 → Promise<base64 | null> (문서 간 재사용)
+  static cache = new Map();
+
+  /**
+   * 폰트 파일을 base64 문자열로 불러오기
+   * @param {string} path - 폰트 파일 경로
+   * @returns {Promise<string|null>} base64 문자열 (파일이 없으면 null)
+   */
+  static loadFontFile(path) {
+    if (!this.cache.has(path)) {
+      const promise = fetch(path)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then(buffer => this.arrayBufferToBase64(buffer))
+        .catch(error => {
+          console.warn(`Font not available: ${path}`, error);
+          return null;
+        });
+      this.cache.set(path, promise);
+    }
+    return this.cache.get(path);
+  }
+
+  /**
+   * 템플릿 폰트와 대체 폰트를 문서에 등록
+   * @param {Object} doc - jsPDF 문서 객체
+   * @param {string} preferredFont - 템플릿의 font 값
+   * @returns {Promise<Array>} 사용 가능한 폰트 목록 (우선순위 순) [{ name, fakeBold, codeMap }]
+   */
+  static async register(doc, preferredFont) {
+    const names = [preferredFont, ...this.FALLBACK_ORDER]
+      .filter((name, index, list) => this.fontPaths[name] && list.indexOf(name) === index);
+
+    const fonts = [];
+    for (const name of names) {
+      const font = await this.registerFont(doc, name);
+      if (font) fonts.push(font);
+    }
+
+    return fonts;
+  }
+
+  /**
+   * 단일 폰트 패밀리 등록
+   * @param {Object} doc - jsPDF 문서 객체
+   * @param {string} name - 폰트 이름
+   * @returns {Promise<Object|null>} 폰트 정보
+   */
+  static async registerFont(doc, name) {
+    const paths = this.fontPaths[name];
+    const normal = await this.loadFontFile(paths.normal);
+    if (!normal) return null;
+
+    const bold = paths.bold ? await this.loadFontFile(paths.bold) : null;
+
+    try {
+      // 같은 폰트를 여러 스타일로 등록하면 중복 임베드되므로 실제 파일만 등록
+      const normalFile = `${name}-Regular.ttf`;
+      doc.addFileToVFS(normalFile, normal);
+      doc.addFont(normalFile, name, 'normal', 'Identity-H');
+
+      if (bold) {
+        const boldFile = `${name}-Bold.ttf`;
+        doc.addFileToVFS(boldFile, bold);
+        doc.addFont(boldFile, name, 'bold', 'Identity-H');
+      }
+
+      doc.setFont(name, 'normal');
+      const codeMap = doc.getFont().metadata.cmap.unicode.codeMap;
+
+      return { name, fakeBold: !bold, codeMap };
+    } catch (error) {
+      console.error(`Failed to register font: ${name}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * 폰트에 해당 글자의 글리프가 있는지 확인
+   * @param {Object} font - register()가 반환한 폰트 정보
+   * @param {string} char - 글자
+   * @returns {boolean}
+   */
+  static hasGlyph(font, char) {
+    return Boolean(font.codeMap[char.codePointAt(0)]);
+  }
+
+  /**
+   * ArrayBuffer → base64 변환
+   * @param {ArrayBuffer} buffer - 바이너리 데이터
+   * @returns {string} base64 문자열
+   */
+  static arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+  }
+}
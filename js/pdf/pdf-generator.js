@@ -0,0 +1,1878 @@
+/**
+ * PDFGenerator - PDF 생성 클래스
+ * parseMarkdown() 결과 HTML을 템플릿 설정에 맞춰 페이지 단위로 배치하여 jsPDF 문서 생성
+ */
+class PDFGenerator {
+  static PX_TO_PT = 0.75;
+  static BLOCK_TAGS = ['p', 'ul', 'ol', 'pre', 'blockquote', 'table', 'hr', 'div', 'nav', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+  // 표준 PDF 폰트 매핑 (한글 글리프가 필요 없는 글자 또는 폰트 파일이 없을 때)
+  static STANDARD_FONTS = {
+    NanumGothic: 'helvetica',
+    NanumMyeongjo: 'times',
+    NanumPen: 'helvetica'
+  };
+
+  // 높이 측정(드라이 런) 중에도 실제 문서로 전달할 jsPDF 메서드 (글꼴 상태와 너비 측정만)
+  static MEASURE_METHODS = ['getFontList', 'getFont', 'getFontSize', 'getTextColor', 'getTextWidth', 'setFont', 'setFontSize'];
+
+  /**
+   * @param {Object} template - templates.json 형식의 템플릿 객체
+   */
+  constructor(template) {
+    this.template = TemplateManager.normalize(template);
+    this.doc = null;
+    this.y = 0;
+    this.textColor = this.template.colors.primary;
+    this.pendingMarker = null;
+    this.quoteDepth = 0;
+    this.quoteLeft = [];
+    this.fonts = [];
+    this.measuring = false;
+    this.pageBreakPending = false;
+    this.hasCover = false;
+
+    // 목차/책갈피/문서 내부 링크 (모든 페이지를 배치한 뒤 연결)
+    this.headings = [];
+    this.tocEntries = [];
+    this.internalLinks = [];
+  }
+
+  /**
+   * PDF 문서 생성
+   * @param {string} html - parseMarkdown() 결과 HTML
+   * @param {Object} options - 옵션 { title, author, date, cover, subtitle, organization, logo, watermark }
+   *   title/author/date는 머리글/바닥글 변수로도 사용, cover가 true면 첫 페이지에 표지 출력,
+   *   watermark가 있으면 모든 페이지에 워터마크 출력
+   * @returns {Promise<Object>} jsPDF 문서 객체
+   */
+  async generate(html, options = {}) {
+    if (typeof window.jspdf === 'undefined') {
+      throw new Error('jsPDF 라이브러리가 로드되지 않았습니다.');
+    }
+
+    const { jsPDF } = window.jspdf;
+    const template = this.template;
+    const pageSize = TemplateManager.getPageSize(template);
+
+    this.doc = new jsPDF({
+      unit: 'pt',
+      format: [pageSize.width, pageSize.height],
+      orientation: template.orientation === 'landscape' ? 'landscape' : 'portrait'
+    });
+
+    this.pageWidth = pageSize.width;
+    this.pageHeight = pageSize.height;
+    this.contentLeft = template.margin.left;
+    this.contentTop = template.margin.top;
+    this.contentWidth = pageSize.width - template.margin.left - template.margin.right;
+    this.contentBottom = pageSize.height - template.margin.bottom;
+
+    // 한글 폰트 등록 (폰트 파일이 없으면 표준 폰트로 대체)
+    this.fonts = await FontLoader.register(this.doc, template.font);
+
+    if (options.cover) {
+      await this.renderCover(options);
+      this.addPage();
+      this.hasCover = true;
+    }
+
+    const container = this.createRenderContainer(html);
+
+    try {
+      await this.renderRichContent(container);
+      const blocks = await this.buildBlocks(container);
+
+      this.y = this.contentTop;
+      this.renderBlocks(blocks, this.contentLeft, this.contentWidth);
+    } finally {
+      container.remove();
+    }
+
+    this.renderTocPageNumbers();
+    this.renderInternalLinks();
+    this.renderOutline();
+    this.renderHeaderFooter(options);
+
+    if (options.watermark) {
+      await this.renderWatermark(options.watermark);
+    }
+
+    this.doc.setProperties({
+      title: options.title || '',
+      author: options.author || '',
+      creator: '마크다운 노트'
+    });
+
+    return this.doc;
+  }
+
+  /* ------------------------------------------------------------------
+   * 렌더링 준비 (수식/다이어그램을 화면 밖 컨테이너에서 렌더링)
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 화면 밖 렌더링 컨테이너 생성
+   * @param {string} html - HTML 문자열
+   * @returns {HTMLElement} 컨테이너
+   */
+  createRenderContainer(html) {
+    const container = document.createElement('div');
+    container.className = 'pdf-render-container';
+    container.style.cssText = [
+      'position: absolute',
+      'left: -10000px',
+      'top: 0',
+      `width: ${this.contentWidth / PDFGenerator.PX_TO_PT}px`,
+      `font-size: ${this.template.fontSize}pt`,
+      `line-height: ${this.template.lineHeight}`,
+      `color: ${this.template.colors.primary}`,
+      'background: #ffffff'
+    ].join(';');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    return container;
+  }
+
+  /**
+   * 수식(KaTeX) 및 다이어그램(Mermaid) 렌더링
+   * @param {HTMLElement} container - 컨테이너
+   */
+  async renderRichContent(container) {
+    if (typeof renderMathInElement !== 'undefined') {
+      try {
+        renderMathInElement(container, {
+          delimiters: [
+            {left: '$$', right: '$$', display: true},
+            {left: '$', right: '$', display: false},
+            {left: '\\(', right: '\\)', display: false},
+            {left: '\\[', right: '\\]', display: true}
+          ],
+          throwOnError: false
+        });
+      } catch (err) {
+        console.error('KaTeX error:', err);
+      }
+    }
+
+    const mermaidNodes = container.querySelectorAll('.mermaid');
+    if (typeof mermaid !== 'undefined' && mermaidNodes.length > 0) {
+      try {
+        await mermaid.init(undefined, mermaidNodes);
+      } catch (err) {
+        console.error('Mermaid error:', err);
+      }
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   * HTML → 블록 구조 변환
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 자식 노드를 블록 배열로 변환 (인라인 노드는 문단으로 묶음)
+   * @param {HTMLElement} el - 부모 요소
+   * @param {Object} options - { compact: 목록 항목처럼 좁은 간격 사용 }
+   * @returns {Promise<Array>} 블록 배열
+   */
+  async buildBlocks(el, options = {}) {
+    const blocks = [];
+    let inlineNodes = [];
+
+    const flush = async () => {
+      if (inlineNodes.length === 0) return;
+      const runs = await this.collectRuns(inlineNodes, {});
+      inlineNodes = [];
+      blocks.push(...this.splitParagraph(runs, options.compact));
+    };
+
+    for (const node of Array.from(el.childNodes)) {
+      if (node.nodeType === Node.ELEMENT_NODE && this.isBlockElement(node)) {
+        await flush();
+        blocks.push(...this.applyPageHints(node, await this.buildBlock(node)));
+      } else {
+        inlineNodes.push(node);
+      }
+    }
+    await flush();
+
+    return blocks;
+  }
+
+  /**
+   * 블록 요소 여부
+   * @param {HTMLElement} el - 요소
+   * @returns {boolean}
+   */
+  isBlockElement(el) {
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'span' && el.classList.contains('katex-display')) return true;
+    return PDFGenerator.BLOCK_TAGS.includes(tag);
+  }
+
+  /**
+   * 단일 블록 요소 변환
+   * @param {HTMLElement} el - 요소
+   * @returns {Promise<Array>} 블록 배열
+   */
+  async buildBlock(el) {
+    const tag = el.tagName.toLowerCase();
+
+    if (/^h[1-6]$/.test(tag)) {
+      return [{
+        type: 'heading',
+        level: parseInt(tag[1], 10),
+        id: el.id || '',
+        runs: await this.collectRuns(el.childNodes, { bold: true })
+      }];
+    }
+
+    switch (tag) {
+      case 'p': {
+        const images = el.querySelectorAll('img');
+        if (images.length === 1 && el.textContent.trim() === '' && el.children.length === 1) {
+          return this.toArray(await this.buildImageBlock(images[0]));
+        }
+        const runs = await this.collectRuns(el.childNodes, {});
+        return this.splitParagraph(runs, false);
+      }
+      case 'ul':
+      case 'ol':
+        return [await this.buildList(el)];
+      case 'pre':
+        return [{ type: 'code', text: el.textContent.replace(/\n$/, '') }];
+      case 'blockquote':
+        return [{ type: 'blockquote', blocks: await this.buildBlocks(el) }];
+      case 'table':
+        return [await this.buildTable(el)];
+      case 'hr':
+        return [{ type: 'hr' }];
+      case 'span':
+        // 블록 수식 (.katex-display)
+        return this.toArray(await this.buildRasterBlock(el, this.getMathSource(el)));
+      case 'div':
+        if (el.classList.contains('page-break')) {
+          return [{ type: 'pagebreak' }];
+        }
+        if (el.classList.contains('mermaid')) {
+          return this.toArray(await this.buildRasterBlock(el, el.getAttribute('data-mermaid-src') || ''));
+        }
+        return this.buildBlocks(el);
+      case 'nav':
+        // [TOC] 목차는 별도 페이지로
+        if (el.classList.contains('toc')) {
+          return [{ type: 'pagebreak' }, this.buildToc(el), { type: 'pagebreak' }];
+        }
+        return this.buildBlocks(el);
+      default:
+        return this.buildBlocks(el);
+    }
+  }
+
+  /**
+   * 목차 변환 (항목의 중첩 깊이와 연결할 제목 id)
+   * @param {HTMLElement} el - nav.toc 요소
+   * @returns {Object} 목차 블록
+   */
+  buildToc(el) {
+    const title = el.querySelector('.toc-title');
+    const entries = Array.from(el.querySelectorAll('a[href^="#"]')).map(link => {
+      let depth = -1;
+      for (let parent = link.parentElement; parent && parent !== el; parent = parent.parentElement) {
+        if (parent.tagName === 'UL') depth++;
+      }
+
+      // 렌더링된 수식은 원본 TeX로
+      const label = link.cloneNode(true);
+      label.querySelectorAll('.katex').forEach(node => node.replaceWith(this.getMathSource(node)));
+
+      return {
+        depth: Math.max(depth, 0),
+        id: this.getAnchorId(link.getAttribute('href')),
+        text: label.textContent.replace(/\s+/g, ' ').trim()
+      };
+    });
+
+    return { type: 'toc', title: title ? title.textContent.trim() : '목차', entries };
+  }
+
+  /**
+   * 문서 내부 링크(#id)의 대상 id
+   * @param {string} href - 링크 주소
+   * @returns {string} id
+   */
+  getAnchorId(href) {
+    const id = href.slice(1);
+    try {
+      return decodeURIComponent(id);
+    } catch (err) {
+      return id;
+    }
+  }
+
+  /**
+   * parseMarkdown()이 붙인 페이지 배치 힌트(keep-together, keep-with-next)를 블록에 반영
+   * @param {HTMLElement} el - 원본 요소
+   * @param {Array} blocks - 요소에서 만든 블록 배열
+   * @returns {Array} 블록 배열
+   */
+  applyPageHints(el, blocks) {
+    if (blocks.length === 0) return blocks;
+
+    if (el.classList.contains('keep-with-next')) {
+      blocks[blocks.length - 1].keepWithNext = true;
+    }
+
+    if (el.classList.contains('keep-together')) {
+      // 여러 블록으로 이루어진 영역은 하나의 그룹으로 묶음
+      if (blocks.length > 1) {
+        return [{ type: 'group', blocks, keepTogether: true }];
+      }
+      blocks[0].keepTogether = true;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 목록 변환
+   * @param {HTMLElement} el - ul/ol 요소
+   * @returns {Promise<Object>} 목록 블록
+   */
+  async buildList(el) {
+    const items = [];
+
+    for (const li of Array.from(el.children)) {
+      if (li.tagName !== 'LI') continue;
+      items.push({ blocks: await this.buildBlocks(li, { compact: true }) });
+    }
+
+    return {
+      type: 'list',
+      ordered: el.tagName === 'OL',
+      start: parseInt(el.getAttribute('start'), 10) || 1,
+      items
+    };
+  }
+
+  /**
+   * 표 변환
+   * @param {HTMLElement} el - table 요소
+   * @returns {Promise<Object>} 표 블록
+   */
+  async buildTable(el) {
+    const rows = [];
+
+    for (const tr of Array.from(el.querySelectorAll('tr'))) {
+      const cells = [];
+      for (const cell of Array.from(tr.children)) {
+        const isHeader = cell.tagName === 'TH';
+        cells.push({
+          header: isHeader,
+          align: cell.getAttribute('align') || cell.style.textAlign || 'left',
+          runs: await this.collectRuns(cell.childNodes, isHeader ? { bold: true } : {})
+        });
+      }
+      rows.push({
+        header: tr.parentElement.tagName === 'THEAD',
+        cells
+      });
+    }
+
+    return { type: 'table', rows };
+  }
+
+  /**
+   * 이미지 블록 변환
+   * @param {HTMLImageElement} img - 이미지 요소
+   * @returns {Promise<Object|null>} 이미지 블록 (실패 시 대체 텍스트 문단)
+   */
+  async buildImageBlock(img) {
+    const image = await this.loadImage(img.getAttribute('src'));
+    if (!image) {
+      return this.createAltParagraph(img.getAttribute('alt'));
+    }
+    return { type: 'image', align: 'center', ...image };
+  }
+
+  /**
+   * 수식/다이어그램을 이미지로 래스터화한 블록
+   * @param {HTMLElement} el - 대상 요소
+   * @param {string} fallbackText - 래스터화 실패 시 표시할 원본 코드
+   * @returns {Promise<Object|null>} 블록
+   */
+  async buildRasterBlock(el, fallbackText) {
+    const image = await this.rasterize(el);
+    if (image) {
+      return { type: 'image', align: 'center', ...image };
+    }
+    return fallbackText ? { type: 'code', text: fallbackText.trim() } : null;
+  }
+
+  /**
+   * 대체 텍스트 문단 생성
+   * @param {string} alt - 대체 텍스트
+   * @returns {Object|null} 문단 블록
+   */
+  createAltParagraph(alt) {
+    if (!alt) return null;
+    return {
+      type: 'paragraph',
+      runs: [{ text: `[${alt}]`, style: { color: this.template.colors.secondary } }]
+    };
+  }
+
+  /**
+   * 인라인 노드를 스타일 런(run) 배열로 변환
+   * @param {NodeList|Array} nodes - 노드 목록
+   * @param {Object} style - 상속 스타일
+   * @param {Array} runs - 결과 배열 (재귀용)
+   * @returns {Promise<Array>} 런 배열
+   */
+  async collectRuns(nodes, style, runs = []) {
+    for (const node of Array.from(nodes)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (text) runs.push({ text, style });
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = node.tagName.toLowerCase();
+
+      if (node.classList.contains('katex-display')) {
+        runs.push({ block: await this.buildRasterBlock(node, this.getMathSource(node)) });
+        continue;
+      }
+
+      if (node.classList.contains('katex')) {
+        const image = await this.rasterize(node);
+        if (image) {
+          runs.push({ image });
+        } else {
+          runs.push({ text: this.getMathSource(node), style: { ...style, code: true } });
+        }
+        continue;
+      }
+
+      switch (tag) {
+        case 'br':
+          runs.push({ newline: true });
+          break;
+        case 'strong':
+        case 'b':
+          await this.collectRuns(node.childNodes, { ...style, bold: true }, runs);
+          break;
+        case 'em':
+        case 'i':
+          await this.collectRuns(node.childNodes, { ...style, italic: true }, runs);
+          break;
+        case 'del':
+        case 's':
+          await this.collectRuns(node.childNodes, { ...style, strike: true }, runs);
+          break;
+        case 'code':
+          runs.push({ text: node.textContent, style: { ...style, code: true } });
+          break;
+        case 'a':
+          await this.collectRuns(node.childNodes, { ...style, link: node.getAttribute('href') || '' }, runs);
+          break;
+        case 'img': {
+          const image = await this.loadImage(node.getAttribute('src'));
+          if (image) {
+            runs.push({ image });
+          } else if (node.getAttribute('alt')) {
+            runs.push({ text: `[${node.getAttribute('alt')}]`, style: { ...style, color: this.template.colors.secondary } });
+          }
+          break;
+        }
+        case 'input':
+          if (node.type === 'checkbox') {
+            runs.push({ checkbox: node.checked || node.hasAttribute('checked') });
+          }
+          break;
+        case 'script':
+        case 'style':
+          break;
+        default:
+          await this.collectRuns(node.childNodes, style, runs);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * 블록 수식 마커를 기준으로 런 배열을 문단/이미지 블록으로 분리
+   * @param {Array} runs - 런 배열
+   * @param {boolean} compact - 좁은 간격 여부
+   * @returns {Array} 블록 배열
+   */
+  splitParagraph(runs, compact) {
+    const blocks = [];
+    let current = [];
+
+    const flush = () => {
+      const hasContent = current.some(r => r.image || r.checkbox || (r.text && r.text.trim()));
+      if (hasContent) {
+        blocks.push({ type: 'paragraph', runs: current, compact });
+      }
+      current = [];
+    };
+
+    for (const run of runs) {
+      if ('block' in run) {
+        flush();
+        if (run.block) blocks.push(run.block);
+      } else {
+        current.push(run);
+      }
+    }
+    flush();
+
+    return blocks;
+  }
+
+  /**
+   * KaTeX 요소에서 원본 LaTeX 추출
+   * @param {HTMLElement} el - KaTeX 요소
+   * @returns {string} LaTeX 소스
+   */
+  getMathSource(el) {
+    const annotation = el.querySelector('annotation');
+    return annotation ? annotation.textContent : el.textContent;
+  }
+
+  /**
+   * 값을 배열로 변환 (null 제외)
+   * @param {*} value - 값
+   * @returns {Array}
+   */
+  toArray(value) {
+    return value ? [value] : [];
+  }
+
+  /* ------------------------------------------------------------------
+   * 이미지 처리
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 요소를 PNG 이미지로 래스터화 (html2canvas 사용)
+   * @param {HTMLElement} el - 대상 요소
+   * @returns {Promise<Object|null>} { dataUrl, width, height } (pt)
+   */
+  async rasterize(el) {
+    if (typeof html2canvas === 'undefined') return null;
+
+    try {
+      const scale = 2;
+      const canvas = await html2canvas(el, {
+        backgroundColor: null,
+        scale: scale,
+        logging: false,
+        useCORS: true
+      });
+      if (!canvas.width || !canvas.height) return null;
+
+      return {
+        dataUrl: canvas.toDataURL('image/png'),
+        width: (canvas.width / scale) * PDFGenerator.PX_TO_PT,
+        height: (canvas.height / scale) * PDFGenerator.PX_TO_PT
+      };
+    } catch (error) {
+      console.error('Rasterize error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 이미지 URL을 PNG 데이터 URL로 불러오기
+   * @param {string} src - 이미지 URL
+   * @returns {Promise<Object|null>} { dataUrl, width, height } (pt)
+   */
+  async loadImage(src) {
+    if (!src) return null;
+
+    try {
+      let dataUrl = src;
+      if (!src.startsWith('data:')) {
+        const response = await fetch(src, { mode: 'cors' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        dataUrl = await this.blobToDataURL(await response.blob());
+      }
+
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('이미지 디코딩 실패'));
+        image.src = dataUrl;
+      });
+
+      // jsPDF 호환을 위해 PNG로 통일
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+
+      return {
+        dataUrl: canvas.toDataURL('image/png'),
+        width: img.naturalWidth * PDFGenerator.PX_TO_PT,
+        height: img.naturalHeight * PDFGenerator.PX_TO_PT
+      };
+    } catch (error) {
+      console.warn('Failed to load image for PDF:', src, error);
+      return null;
+    }
+  }
+
+  /**
+   * Blob을 데이터 URL로 변환
+   * @param {Blob} blob - Blob 객체
+   * @returns {Promise<string>} 데이터 URL
+   */
+  blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /* ------------------------------------------------------------------
+   * 폰트 및 텍스트 측정
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 표준 PDF 폰트(WinAnsi)로 표현 가능한 글자인지 확인
+   * @param {string} char - 글자
+   * @returns {boolean}
+   */
+  isStandardChar(char) {
+    const code = char.codePointAt(0);
+    return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff);
+  }
+
+  /**
+   * 글자마다 글리프가 있는 폰트를 골라 텍스트를 구간으로 분리
+   * (템플릿 폰트 → 대체 한글 폰트 → 표준 폰트 순, 어디에도 없으면 '?'로 대체)
+   * @param {string} text - 텍스트
+   * @param {Object} style - 런 스타일
+   * @returns {Array} 구간 배열 [{ text, family, fakeBold }]
+   */
+  segmentText(text, style) {
+    const standard = style.code
+      ? 'courier'
+      : (PDFGenerator.STANDARD_FONTS[this.template.font] || 'helvetica');
+    const segments = [];
+
+    for (const char of Array.from(text)) {
+      const last = segments[segments.length - 1];
+
+      // 공백은 앞 구간의 폰트를 그대로 사용
+      if (last && /\s/.test(char)) {
+        last.text += char;
+        continue;
+      }
+
+      let family = standard;
+      let fakeBold = false;
+      let output = char;
+
+      if (!(style.code && this.isStandardChar(char))) {
+        const font = this.fonts.find(f => FontLoader.hasGlyph(f, char));
+        if (font) {
+          family = font.name;
+          fakeBold = font.fakeBold;
+        } else if (!this.isStandardChar(char)) {
+          output = '?';
+        }
+      }
+
+      if (last && last.family === family) {
+        last.text += output;
+      } else {
+        segments.push({ text: output, family, fakeBold });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * 폰트 적용
+   * @param {string} family - 폰트 패밀리
+   * @param {Object} style - 런 스타일
+   * @param {number} size - 글자 크기 (pt)
+   */
+  applyFont(family, style, size) {
+    let fontStyle = 'normal';
+    if (style.bold && style.italic) fontStyle = 'bolditalic';
+    else if (style.bold) fontStyle = 'bold';
+    else if (style.italic) fontStyle = 'italic';
+
+    // 등록되지 않은 스타일(한글 폰트의 기울임 등)은 가까운 스타일로 대체
+    const available = this.doc.getFontList()[family] || [];
+    if (!available.includes(fontStyle)) {
+      fontStyle = style.bold && available.includes('bold') ? 'bold' : 'normal';
+    }
+
+    this.doc.setFont(family, fontStyle);
+    this.doc.setFontSize(size);
+  }
+
+  /**
+   * 텍스트 너비 측정
+   * @param {string} text - 텍스트
+   * @param {Object} style - 런 스타일
+   * @param {number} size - 글자 크기 (pt)
+   * @returns {number} 너비 (pt)
+   */
+  measureText(text, style, size) {
+    if (!text) return 0;
+
+    let width = 0;
+    for (const segment of this.segmentText(text, style)) {
+      this.applyFont(segment.family, style, size);
+      width += this.doc.getTextWidth(segment.text);
+    }
+    return width;
+  }
+
+  /**
+   * 텍스트 출력
+   * @param {string} text - 텍스트
+   * @param {number} x - x 좌표
+   * @param {number} baseline - 기준선 y 좌표
+   * @param {Object} style - 런 스타일
+   * @param {number} size - 글자 크기 (pt)
+   */
+  drawText(text, x, baseline, style, size) {
+    let cursorX = x;
+
+    for (const segment of this.segmentText(text, style)) {
+      this.applyFont(segment.family, style, size);
+
+      if (style.bold && segment.fakeBold) {
+        // 굵은 글꼴 파일이 없으면 외곽선을 덧그려 굵게 표현
+        this.doc.setDrawColor(this.doc.getTextColor());
+        this.doc.setLineWidth(size * 0.03);
+        this.doc.text(segment.text, cursorX, baseline, { baseline: 'alphabetic', renderingMode: 'fillThenStroke' });
+      } else {
+        this.doc.text(segment.text, cursorX, baseline, { baseline: 'alphabetic' });
+      }
+
+      cursorX += this.doc.getTextWidth(segment.text);
+    }
+  }
+
+  /**
+   * 런 스타일별 글자 크기
+   * @param {Object} style - 런 스타일
+   * @param {number} baseSize - 기본 크기
+   * @returns {number} 글자 크기
+   */
+  getRunSize(style, baseSize) {
+    return style.code ? baseSize * 0.9 : baseSize;
+  }
+
+  /* ------------------------------------------------------------------
+   * 줄 나눔
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 런 배열을 주어진 너비에 맞춰 줄 단위로 배치
+   * @param {Array} runs - 런 배열
+   * @param {number} baseSize - 기본 글자 크기
+   * @param {number} maxWidth - 최대 너비
+   * @returns {Array} 줄 배열 [{ items, width, height, size }]
+   */
+  layoutRuns(runs, baseSize, maxWidth) {
+    const lines = [];
+    const minHeight = baseSize * this.template.lineHeight;
+    let line = { items: [], width: 0, height: minHeight, size: baseSize };
+
+    const pushLine = () => {
+      const last = line.items[line.items.length - 1];
+      if (last && last.kind === 'text') {
+        const trimmed = last.text.replace(/\s+$/, '');
+        if (trimmed !== last.text) {
+          line.width -= last.width;
+          last.text = trimmed;
+          last.width = this.measureText(trimmed, last.style, last.size);
+          line.width += last.width;
+        }
+      }
+      lines.push(line);
+      line = { items: [], width: 0, height: minHeight, size: baseSize };
+    };
+
+    const appendText = (text, style, size, width) => {
+      const last = line.items[line.items.length - 1];
+      if (last && last.kind === 'text' && last.style === style && last.size === size) {
+        last.text += text;
+        last.width += width;
+      } else {
+        line.items.push({ kind: 'text', text, style, size, width });
+      }
+      line.width += width;
+    };
+
+    for (const run of runs) {
+      if (run.newline) {
+        pushLine();
+        continue;
+      }
+
+      if (run.image) {
+        let { width, height } = run.image;
+        if (width > maxWidth) {
+          height = height * (maxWidth / width);
+          width = maxWidth;
+        }
+        if (line.width + width > maxWidth && line.items.length > 0) pushLine();
+        line.items.push({ kind: 'image', dataUrl: run.image.dataUrl, width, height });
+        line.width += width;
+        line.height = Math.max(line.height, height + baseSize * 0.4);
+        continue;
+      }
+
+      if ('checkbox' in run) {
+        const width = baseSize * 1.2;
+        line.items.push({ kind: 'checkbox', checked: run.checkbox, size: baseSize, width });
+        line.width += width;
+        continue;
+      }
+
+      const style = run.style || {};
+      const size = this.getRunSize(style, baseSize);
+      const tokens = run.text.match(/\S+\s*|\s+/g) || [];
+
+      for (let token of tokens) {
+        if (line.items.length === 0) {
+          token = token.replace(/^\s+/, '');
+          if (!token) continue;
+        }
+
+        const visibleWidth = this.measureText(token.replace(/\s+$/, ''), style, size);
+        if (line.width + visibleWidth > maxWidth && line.items.length > 0) {
+          pushLine();
+          token = token.replace(/^\s+/, '');
+          if (!token) continue;
+        }
+
+        if (this.measureText(token.replace(/\s+$/, ''), style, size) > maxWidth) {
+          // 한 줄보다 긴 단어는 글자 단위로 분리
+          for (const char of Array.from(token)) {
+            const charWidth = this.measureText(char, style, size);
+            if (line.width + charWidth > maxWidth && line.items.length > 0) {
+              pushLine();
+              if (/\s/.test(char)) continue;
+            }
+            appendText(char, style, size, charWidth);
+          }
+          continue;
+        }
+
+        appendText(token, style, size, this.measureText(token, style, size));
+      }
+    }
+
+    if (line.items.length > 0 || lines.length === 0) {
+      pushLine();
+    }
+
+    return lines;
+  }
+
+  /* ------------------------------------------------------------------
+   * 페이지 배치
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 새 페이지 추가
+   */
+  addPage() {
+    this.doc.addPage();
+    this.y = this.contentTop;
+  }
+
+  /**
+   * 남은 공간이 부족하면 다음 페이지로 이동
+   * @param {number} height - 필요한 높이
+   * @returns {boolean} 페이지가 넘어갔는지 여부
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.contentBottom && this.y > this.contentTop + 0.5) {
+      this.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 현재 위치가 페이지 상단인지 여부
+   * @returns {boolean}
+   */
+  isAtPageTop() {
+    return this.y <= this.contentTop + 0.5;
+  }
+
+  /**
+   * 블록 간 세로 간격 추가 (페이지 상단에서는 생략)
+   * @param {number} space - 간격
+   */
+  addSpace(space) {
+    if (!this.isAtPageTop()) {
+      this.y = Math.min(this.y + space, this.contentBottom);
+    }
+  }
+
+  /**
+   * keep-together 블록과 keep-with-next 제목이 페이지 끝에서 잘리지 않도록 필요하면 미리 다음 페이지로 이동
+   * @param {Array} blocks - 블록 배열
+   * @param {number} index - 출력할 블록 인덱스
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 너비
+   */
+  keepOnPage(blocks, index, x, width) {
+    const block = blocks[index];
+    if (this.measuring || this.isAtPageTop() || (!block.keepTogether && !block.keepWithNext)) return;
+
+    const pageHeight = this.contentBottom - this.contentTop;
+    let required = 0;
+    let next = index;
+
+    // 연속된 제목은 모두 다음 블록과 함께
+    while (next < blocks.length && blocks[next].keepWithNext) {
+      required += this.measureBlocks([blocks[next]], x, width);
+      next++;
+    }
+
+    if (next === index) {
+      required = this.measureBlocks([block], x, width);
+    } else if (next < blocks.length && blocks[next].type !== 'pagebreak') {
+      // 다음 블록이 한 페이지에 들어가는 keep-together 블록이면 전체, 아니면 첫 두 줄 정도만 함께
+      const following = this.measureBlocks([blocks[next]], x, width);
+      const minimum = this.template.fontSize * this.template.lineHeight * 2;
+      required += blocks[next].keepTogether && required + following <= pageHeight
+        ? following
+        : Math.min(following, minimum);
+    }
+
+    if (required <= pageHeight && this.y + required > this.contentBottom) {
+      this.addPage();
+    }
+  }
+
+  /**
+   * 블록을 실제로 그리지 않고 높이만 측정
+   * @param {Array} blocks - 블록 배열
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 너비
+   * @returns {number} 높이 (pt)
+   */
+  measureBlocks(blocks, x, width) {
+    const saved = {
+      doc: this.doc,
+      y: this.y,
+      contentBottom: this.contentBottom,
+      pendingMarker: this.pendingMarker,
+      measuring: this.measuring
+    };
+
+    const doc = this.doc;
+    this.doc = new Proxy(doc, {
+      get: (target, prop) => {
+        const value = target[prop];
+        if (typeof value !== 'function') return value;
+        return PDFGenerator.MEASURE_METHODS.includes(prop) ? value.bind(target) : () => undefined;
+      }
+    });
+    this.y = this.contentTop;
+    this.contentBottom = Infinity;
+    this.pendingMarker = null;
+    this.measuring = true;
+
+    try {
+      this.renderBlocks(blocks, x, width);
+      return this.y - this.contentTop;
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  /**
+   * 한 행(row)을 그린 뒤 인용구 막대 등 장식 출력
+   * @param {number} top - 행 상단 y
+   * @param {number} height - 행 높이
+   */
+  decorateRow(top, height) {
+    if (this.quoteDepth === 0) return;
+
+    this.doc.setFillColor(this.template.colors.accent);
+    for (let i = 0; i < this.quoteDepth; i++) {
+      this.doc.rect(this.quoteLeft[i], top, 3, height, 'F');
+    }
+  }
+
+  /**
+   * 블록 배열 출력
+   * @param {Array} blocks - 블록 배열
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 사용 가능 너비
+   */
+  renderBlocks(blocks, x, width) {
+    blocks.forEach((block, index) => {
+      if (block.type === 'pagebreak') {
+        // 문서 끝의 나누기로 빈 페이지가 생기지 않도록 다음 블록을 출력할 때 넘김
+        if (!this.measuring) this.pageBreakPending = true;
+        return;
+      }
+
+      if (this.pageBreakPending) {
+        this.pageBreakPending = false;
+        if (!this.isAtPageTop()) this.addPage();
+      }
+
+      this.keepOnPage(blocks, index, x, width);
+      this.renderBlock(block, x, width);
+    });
+  }
+
+  /**
+   * 단일 블록 출력
+   * @param {Object} block - 블록
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 사용 가능 너비
+   */
+  renderBlock(block, x, width) {
+    switch (block.type) {
+      case 'group':
+        this.renderBlocks(block.blocks, x, width);
+        break;
+      case 'heading':
+        this.renderHeading(block, x, width);
+        break;
+      case 'paragraph':
+        this.renderParagraph(block, x, width);
+        break;
+      case 'list':
+        this.renderList(block, x, width, 0);
+        break;
+      case 'code':
+        this.renderCode(block, x, width);
+        break;
+      case 'blockquote':
+        this.renderBlockquote(block, x, width);
+        break;
+      case 'table':
+        this.renderTable(block, x, width);
+        break;
+      case 'image':
+        this.renderImage(block, x, width);
+        break;
+      case 'hr':
+        this.renderRule(x, width);
+        break;
+      case 'toc':
+        this.renderToc(block, x, width);
+        break;
+    }
+  }
+
+  /**
+   * 제목 출력
+   */
+  renderHeading(block, x, width) {
+    const size = this.template.headingSize[block.level] || this.template.fontSize;
+    const lines = this.layoutRuns(block.runs, size, width);
+
+    this.addSpace(size * 0.8);
+    this.ensureSpace(lines[0].height);
+
+    // 목차 쪽 번호, 책갈피, 내부 링크의 대상 위치
+    if (!this.measuring && block.id) {
+      this.headings.push({
+        id: block.id,
+        level: block.level,
+        title: block.runs.map(run => run.text || '').join('').replace(/\s+/g, ' ').trim(),
+        page: this.getPageNumber(),
+        top: this.y
+      });
+    }
+
+    const previousColor = this.textColor;
+    this.textColor = this.template.colors.primary;
+    for (const line of lines) {
+      this.ensureSpace(line.height);
+      this.drawLine(line, x, width);
+    }
+    this.textColor = previousColor;
+
+    if (block.level === 1) {
+      this.doc.setDrawColor(this.template.colors.accent);
+      this.doc.setLineWidth(1);
+      this.doc.line(x, this.y + 2, x + width, this.y + 2);
+      this.y += 4;
+    }
+
+    this.y += size * 0.4;
+  }
+
+  /**
+   * 문단 출력
+   */
+  renderParagraph(block, x, width) {
+    const size = this.template.fontSize;
+    const lines = this.layoutRuns(block.runs, size, width);
+
+    for (const line of lines) {
+      this.ensureSpace(line.height);
+      this.drawLine(line, x, width);
+    }
+
+    this.y += block.compact ? size * 0.2 : size * 0.8;
+  }
+
+  /**
+   * 목록 출력
+   * @param {Object} block - 목록 블록
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 너비
+   * @param {number} depth - 중첩 깊이
+   */
+  renderList(block, x, width, depth) {
+    const size = this.template.fontSize;
+    const indent = size * 1.6;
+
+    block.items.forEach((item, index) => {
+      const marker = block.ordered ? `${block.start + index}.` : null;
+
+      // 항목 첫 줄이 그려질 때 글머리표 출력
+      this.pendingMarker = (top, line) => {
+        const centerY = top + line.height / 2;
+        this.doc.setFillColor(this.textColor);
+        this.doc.setDrawColor(this.textColor);
+        if (marker) {
+          this.doc.setTextColor(this.textColor);
+          const markerWidth = this.measureText(marker, {}, size);
+          this.drawText(marker, x + indent - markerWidth - size * 0.4, centerY + size * 0.3, {}, size);
+        } else {
+          const cx = x + indent - size * 0.7;
+          const r = size * 0.16;
+          if (depth % 3 === 0) {
+            this.doc.circle(cx, centerY, r, 'F');
+          } else if (depth % 3 === 1) {
+            this.doc.setLineWidth(0.7);
+            this.doc.circle(cx, centerY, r, 'S');
+          } else {
+            this.doc.rect(cx - r, centerY - r, r * 2, r * 2, 'F');
+          }
+        }
+      };
+
+      for (const child of item.blocks) {
+        if (child.type === 'list') {
+          this.renderList(child, x + indent, width - indent, depth + 1);
+        } else {
+          this.renderBlocks([child], x + indent, width - indent);
+        }
+      }
+      this.pendingMarker = null;
+    });
+
+    if (depth === 0) {
+      this.y += size * 0.6;
+    }
+  }
+
+  /**
+   * 코드 블록 출력
+   */
+  renderCode(block, x, width) {
+    const size = this.template.fontSize * 0.85;
+    const lineHeight = size * 1.5;
+    const padding = 8;
+    const style = { code: true };
+    const innerWidth = width - padding * 2;
+
+    // 줄 나눔 (공백 보존, 너비 초과 시 글자 단위 분리)
+    const rows = [];
+    for (const rawLine of block.text.replace(/\t/g, '  ').split('\n')) {
+      let current = '';
+      for (const char of Array.from(rawLine)) {
+        if (this.measureText(current + char, style, size) > innerWidth && current) {
+          rows.push(current);
+          current = '';
+        }
+        current += char;
+      }
+      rows.push(current);
+    }
+
+    this.addSpace(2);
+    this.ensureSpace(lineHeight + padding * 2);
+
+    const drawBackground = (top, height) => {
+      this.doc.setFillColor(this.template.colors.code);
+      this.doc.rect(x, top, width, height, 'F');
+      this.decorateRow(top, height);
+    };
+
+    drawBackground(this.y, padding);
+    this.y += padding;
+
+    rows.forEach((row, index) => {
+      const isLast = index === rows.length - 1;
+      if (this.ensureSpace(lineHeight + (isLast ? padding : 0))) {
+        drawBackground(this.y, padding);
+        this.y += padding;
+      }
+      drawBackground(this.y, lineHeight);
+      this.doc.setTextColor(this.template.colors.primary);
+      if (row) {
+        this.drawText(row, x + padding, this.y + lineHeight / 2 + size * 0.3, style, size);
+      }
+      this.y += lineHeight;
+    });
+
+    drawBackground(this.y, padding);
+    this.y += padding + this.template.fontSize * 0.8;
+  }
+
+  /**
+   * 인용구 출력
+   */
+  renderBlockquote(block, x, width) {
+    const indent = 14;
+    const previousColor = this.textColor;
+
+    this.quoteLeft[this.quoteDepth] = x;
+    this.quoteDepth++;
+    this.textColor = this.template.colors.secondary;
+
+    this.renderBlocks(block.blocks, x + indent, width - indent);
+
+    this.quoteDepth--;
+    this.textColor = previousColor;
+  }
+
+  /**
+   * 표 출력
+   */
+  renderTable(block, x, width) {
+    const size = this.template.fontSize * 0.95;
+    const padding = 5;
+    const columnCount = Math.max(...block.rows.map(r => r.cells.length), 1);
+
+    // 열 너비 계산 (내용 길이에 비례, 최소 너비 보장)
+    const natural = new Array(columnCount).fill(padding * 2);
+    const minimum = new Array(columnCount).fill(padding * 2);
+    for (const row of block.rows) {
+      row.cells.forEach((cell, i) => {
+        let total = 0;
+        for (const run of cell.runs) {
+          if (run.text) {
+            const style = run.style || {};
+            const runSize = this.getRunSize(style, size);
+            total += this.measureText(run.text, style, runSize);
+            for (const word of run.text.split(/\s+/)) {
+              minimum[i] = Math.max(minimum[i], Math.min(this.measureText(word, style, runSize), width / columnCount) + padding * 2);
+            }
+          } else if (run.image) {
+            total += run.image.width;
+          }
+        }
+        natural[i] = Math.max(natural[i], total + padding * 2);
+      });
+    }
+
+    const widths = this.distributeColumns(natural, minimum, width);
+    const headerRows = block.rows.filter(r => r.header);
+
+    const layoutRow = (row) => {
+      const cells = row.cells.map((cell, i) => ({
+        cell,
+        lines: this.layoutRuns(cell.runs, size, Math.max(widths[i] - padding * 2, 1))
+      }));
+      const height = Math.max(...cells.map(c => c.lines.reduce((sum, l) => sum + l.height, 0)), size) + padding * 2;
+      return { row, cells, height };
+    };
+
+    const drawRow = (laidOut) => {
+      const top = this.y;
+      let cellX = x;
+
+      laidOut.cells.forEach(({ cell, lines }, i) => {
+        const cellWidth = widths[i];
+        if (cell.header || laidOut.row.header) {
+          this.doc.setFillColor(this.template.colors.code);
+          this.doc.rect(cellX, top, cellWidth, laidOut.height, 'F');
+        }
+        this.doc.setDrawColor('#cccccc');
+        this.doc.setLineWidth(0.5);
+        this.doc.rect(cellX, top, cellWidth, laidOut.height, 'S');
+
+        this.y = top + padding;
+        for (const line of lines) {
+          this.drawLine(line, cellX + padding, cellWidth - padding * 2, { align: cell.align, skipDecoration: true });
+        }
+        cellX += cellWidth;
+      });
+
+      this.decorateRow(top, laidOut.height);
+      this.y = top + laidOut.height;
+    };
+
+    const laidOutHeaders = headerRows.map(layoutRow);
+
+    this.addSpace(2);
+    for (const row of block.rows) {
+      const laidOut = row.header ? laidOutHeaders[headerRows.indexOf(row)] : layoutRow(row);
+      if (this.ensureSpace(laidOut.height) && !row.header) {
+        // 페이지가 넘어가면 머리글 행 반복
+        laidOutHeaders.forEach(drawRow);
+      }
+      drawRow(laidOut);
+    }
+
+    this.y += this.template.fontSize * 0.8;
+  }
+
+  /**
+   * 열 너비 분배
+   * @param {Array<number>} natural - 내용 기준 너비
+   * @param {Array<number>} minimum - 최소 너비
+   * @param {number} total - 전체 너비
+   * @returns {Array<number>} 열 너비
+   */
+  distributeColumns(natural, minimum, total) {
+    const naturalSum = natural.reduce((a, b) => a + b, 0);
+    if (naturalSum <= total) {
+      return natural.map(w => w * (total / naturalSum));
+    }
+
+    const minimumSum = minimum.reduce((a, b) => a + b, 0);
+    if (minimumSum >= total) {
+      return minimum.map(w => w * (total / minimumSum));
+    }
+
+    const flexible = natural.map((w, i) => w - minimum[i]);
+    const flexibleSum = flexible.reduce((a, b) => a + b, 0) || 1;
+    return minimum.map((w, i) => w + (total - minimumSum) * (flexible[i] / flexibleSum));
+  }
+
+  /**
+   * 이미지 블록 출력
+   */
+  renderImage(block, x, width) {
+    let imageWidth = block.width;
+    let imageHeight = block.height;
+    const maxHeight = this.contentBottom - this.contentTop;
+
+    if (imageWidth > width) {
+      imageHeight *= width / imageWidth;
+      imageWidth = width;
+    }
+    if (imageHeight > maxHeight) {
+      imageWidth *= maxHeight / imageHeight;
+      imageHeight = maxHeight;
+    }
+
+    this.ensureSpace(imageHeight);
+
+    const imageX = block.align === 'center' ? x + (width - imageWidth) / 2 : x;
+    this.doc.addImage(block.dataUrl, 'PNG', imageX, this.y, imageWidth, imageHeight);
+    this.decorateRow(this.y, imageHeight);
+
+    this.y += imageHeight + this.template.fontSize * 0.8;
+  }
+
+  /**
+   * 목차 출력 (쪽 번호는 모든 페이지를 배치한 뒤 renderTocPageNumbers()에서 채움)
+   */
+  renderToc(block, x, width) {
+    this.renderHeading({ type: 'heading', level: 1, runs: [{ text: block.title, style: { bold: true } }] }, x, width);
+
+    const size = this.template.fontSize;
+    const rowHeight = size * this.template.lineHeight * 1.1;
+    const numberWidth = this.measureText('000', {}, size) + size;
+
+    for (const entry of block.entries) {
+      const indent = entry.depth * size * 1.5;
+      const style = entry.depth === 0 ? { bold: true } : {};
+      const text = this.fitText(entry.text, style, size, width - indent - numberWidth);
+
+      this.ensureSpace(rowHeight);
+      const baseline = this.y + rowHeight / 2 + size * 0.3;
+
+      this.doc.setTextColor(this.template.colors.primary);
+      this.drawText(text, x + indent, baseline, style, size);
+
+      if (!this.measuring) {
+        this.tocEntries.push({
+          id: entry.id,
+          page: this.getPageNumber(),
+          top: this.y,
+          height: rowHeight,
+          baseline,
+          left: x,
+          textRight: x + indent + this.measureText(text, style, size),
+          right: x + width
+        });
+      }
+
+      this.y += rowHeight;
+    }
+
+    this.y += size;
+  }
+
+  /**
+   * 너비를 넘는 텍스트를 말줄임표로 자르기
+   * @param {string} text - 텍스트
+   * @param {Object} style - 런 스타일
+   * @param {number} size - 글자 크기 (pt)
+   * @param {number} maxWidth - 최대 너비
+   * @returns {string} 텍스트
+   */
+  fitText(text, style, size, maxWidth) {
+    if (this.measureText(text, style, size) <= maxWidth) return text;
+
+    const chars = Array.from(text);
+    while (chars.length > 0 && this.measureText(chars.join('') + '…', style, size) > maxWidth) {
+      chars.pop();
+    }
+    return chars.join('') + '…';
+  }
+
+  /**
+   * 현재 페이지 번호
+   * @returns {number}
+   */
+  getPageNumber() {
+    return this.doc.getCurrentPageInfo().pageNumber;
+  }
+
+  /**
+   * 제목 id로 출력 위치 찾기
+   * @param {string} id - 제목 id
+   * @returns {Object|undefined} { page, top }
+   */
+  findHeading(id) {
+    return this.headings.find(heading => heading.id === id);
+  }
+
+  /**
+   * 목차 항목에 제목의 쪽 번호와 점선 채움을 출력하고 제목으로 연결
+   */
+  renderTocPageNumbers() {
+    const size = this.template.fontSize;
+
+    for (const entry of this.tocEntries) {
+      const heading = this.findHeading(entry.id);
+      if (!heading) continue;
+
+      this.doc.setPage(entry.page);
+
+      const number = String(heading.page);
+      const numberWidth = this.measureText(number, {}, size);
+      this.doc.setTextColor(this.template.colors.primary);
+      this.drawText(number, entry.right - numberWidth, entry.baseline, {}, size);
+
+      const leaderStart = entry.textRight + size * 0.5;
+      const leaderEnd = entry.right - numberWidth - size * 0.5;
+      if (leaderEnd > leaderStart) {
+        this.doc.setDrawColor(this.template.colors.secondary);
+        this.doc.setLineWidth(0.8);
+        this.doc.setLineDashPattern([0.8, 2.4], 0);
+        this.doc.line(leaderStart, entry.baseline, leaderEnd, entry.baseline);
+        this.doc.setLineDashPattern([], 0);
+      }
+
+      this.doc.link(entry.left, entry.top, entry.right - entry.left, entry.height, {
+        pageNumber: heading.page,
+        top: heading.top
+      });
+    }
+  }
+
+  /**
+   * 본문의 문서 내부 링크(#id)를 해당 제목 위치로 연결
+   */
+  renderInternalLinks() {
+    for (const link of this.internalLinks) {
+      const heading = this.findHeading(link.id);
+      if (!heading) continue;
+
+      this.doc.setPage(link.page);
+      this.doc.link(link.x, link.top, link.width, link.height, {
+        pageNumber: heading.page,
+        top: heading.top
+      });
+    }
+  }
+
+  /**
+   * 제목 계층을 따라 PDF 책갈피(outline) 생성
+   */
+  renderOutline() {
+    if (this.headings.length === 0 || !this.doc.outline) return;
+
+    const parents = [{ level: 0, node: null }];
+    for (const heading of this.headings) {
+      while (parents.length > 1 && parents[parents.length - 1].level >= heading.level) {
+        parents.pop();
+      }
+
+      const node = this.doc.outline.add(parents[parents.length - 1].node, this.toPDFTextString(heading.title), {
+        pageNumber: heading.page
+      });
+      parents.push({ level: heading.level, node });
+    }
+  }
+
+  /**
+   * 책갈피 제목용 PDF 텍스트 문자열 (ASCII가 아니면 BOM을 붙인 UTF-16BE 바이트 문자열)
+   * @param {string} text - 텍스트
+   * @returns {string}
+   */
+  toPDFTextString(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    let bytes = '\u00fe\u00ff';
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      bytes += String.fromCharCode(code >> 8, code & 0xff);
+    }
+    return bytes;
+  }
+
+  /**
+   * 수평선 출력
+   */
+  renderRule(x, width) {
+    const space = this.template.fontSize;
+    this.ensureSpace(space * 2);
+
+    this.doc.setDrawColor(this.template.colors.secondary);
+    this.doc.setLineWidth(0.8);
+    this.doc.line(x, this.y + space, x + width, this.y + space);
+
+    this.y += space * 2;
+  }
+
+  /**
+   * 표지 페이지 출력 (템플릿 색상, 로고/제목/부제목 + 아래쪽 작성자/소속/날짜)
+   * @param {Object} meta - { title, subtitle, author, date, organization, logo }
+   */
+  async renderCover(meta) {
+    const template = this.template;
+    const colors = template.colors;
+    const x = this.contentLeft;
+    const width = this.contentWidth;
+    const center = { align: 'center', skipDecoration: true };
+
+    // 위쪽 강조 띠
+    this.doc.setFillColor(colors.accent);
+    this.doc.rect(0, 0, this.pageWidth, Math.max(template.margin.top * 0.4, 12), 'F');
+
+    const logo = meta.logo ? await this.loadImage(meta.logo) : null;
+    if (logo) {
+      const scale = Math.min(1, 80 / logo.height, (width * 0.5) / logo.width);
+      const logoWidth = logo.width * scale;
+      const logoHeight = logo.height * scale;
+      this.doc.addImage(logo.dataUrl, 'PNG', x + (width - logoWidth) / 2, this.pageHeight * 0.3 - logoHeight - 24, logoWidth, logoHeight);
+    }
+
+    // 제목과 부제목
+    this.y = this.pageHeight * 0.3;
+    const titleSize = (template.headingSize[1] || template.fontSize * 2) * 1.3;
+    this.textColor = colors.primary;
+    for (const line of this.layoutRuns([{ text: meta.title || '', style: { bold: true } }], titleSize, width)) {
+      this.drawLine(line, x, width, center);
+    }
+
+    this.y += titleSize * 0.5;
+    this.doc.setDrawColor(colors.accent);
+    this.doc.setLineWidth(2);
+    this.doc.line(x + width / 2 - 30, this.y, x + width / 2 + 30, this.y);
+    this.y += titleSize * 0.5;
+
+    if (meta.subtitle) {
+      const subtitleSize = template.fontSize * 1.4;
+      for (const line of this.layoutRuns([{ text: meta.subtitle, style: { color: colors.secondary } }], subtitleSize, width)) {
+        this.drawLine(line, x, width, center);
+      }
+    }
+
+    // 작성자, 소속, 날짜는 아래 여백 위에 모아서
+    const infoSize = template.fontSize * 1.1;
+    const info = [
+      { text: meta.author, style: { bold: true } },
+      { text: meta.organization, style: {} },
+      { text: meta.date || new Date().toLocaleDateString('ko-KR'), style: { color: colors.secondary } }
+    ].filter(item => item.text);
+
+    const infoLines = info.map(item => this.layoutRuns([item], infoSize, width));
+    const infoHeight = infoLines.reduce((sum, lines) => sum + lines.reduce((h, line) => h + line.height, 0), 0);
+    this.y = this.contentBottom - infoHeight;
+    infoLines.forEach(lines => lines.forEach(line => this.drawLine(line, x, width, center)));
+  }
+
+  /**
+   * 모든 페이지에 템플릿 머리글/바닥글 출력 (전체 쪽수가 정해진 뒤 호출)
+   * @param {Object} options - generate() 옵션 { title, author, date }
+   */
+  renderHeaderFooter(options) {
+    const template = this.template;
+    // 표지는 쪽 번호에서 빼고 본문 첫 쪽을 1쪽으로 (미리보기 페이지 보기와 같게)
+    const offset = this.hasCover ? 1 : 0;
+    const pages = this.doc.getNumberOfPages();
+    const size = Math.max(template.fontSize * 0.75, 7);
+    const values = {
+      title: options.title || '',
+      author: options.author || '',
+      date: options.date || new Date().toLocaleDateString('ko-KR'),
+      pages: pages - offset
+    };
+
+    // 머리글은 위 여백, 바닥글은 아래 여백의 세로 가운데
+    const zones = [
+      { slots: template.header, baseline: template.margin.top / 2 + size * 0.3 },
+      { slots: template.footer, baseline: this.pageHeight - template.margin.bottom / 2 + size * 0.3 }
+    ];
+
+    // 표지에는 출력하지 않음
+    for (let page = 1 + offset; page <= pages; page++) {
+      const pageNumber = page - offset;
+      if (!TemplateManager.showsHeaderFooter(template, pageNumber)) continue;
+
+      this.doc.setPage(page);
+      this.doc.setTextColor(template.colors.secondary);
+
+      for (const zone of zones) {
+        for (const position of ['left', 'center', 'right']) {
+          const text = TemplateManager.formatHeaderFooter(zone.slots[position], { ...values, page: pageNumber });
+          if (!text) continue;
+
+          const textWidth = this.measureText(text, {}, size);
+          let x = this.contentLeft;
+          if (position === 'center') x += (this.contentWidth - textWidth) / 2;
+          if (position === 'right') x += this.contentWidth - textWidth;
+
+          this.drawText(text, x, zone.baseline, {}, size);
+        }
+      }
+    }
+  }
+
+  /**
+   * 모든 페이지에 워터마크 출력 (본문 위에 반투명으로)
+   * @param {Object} watermark - { type, text, image, color, opacity, angle, size, position }
+   */
+  async renderWatermark(watermark) {
+    const angle = Number(watermark.angle) || 0;
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    // size: 페이지 너비 대비 워터마크 너비 (%)
+    const targetWidth = this.pageWidth * (Number(watermark.size) || 50) / 100;
+    const tile = watermark.position === 'tile';
+
+    let image = null;
+    let text = '';
+    let width;
+    let height;
+    let size;
+
+    if (watermark.type === 'image') {
+      image = await this.loadImage(watermark.image);
+      if (!image) return;
+      width = tile ? targetWidth / 2 : targetWidth;
+      height = image.height * width / image.width;
+    } else {
+      text = String(watermark.text || '').trim();
+      if (!text) return;
+      size = 100 * (tile ? targetWidth / 2 : targetWidth) / this.measureText(text, {}, 100);
+      width = this.measureText(text, {}, size);
+      height = size * 0.7;
+    }
+
+    // 회전한 워터마크를 감싸는 상자 크기
+    const boxWidth = Math.abs(width * cos) + Math.abs(height * sin);
+    const boxHeight = Math.abs(width * sin) + Math.abs(height * cos);
+    const centers = this.getWatermarkCenters(watermark.position, boxWidth, boxHeight);
+
+    for (let page = 1; page <= this.doc.getNumberOfPages(); page++) {
+      this.doc.setPage(page);
+      this.doc.saveGraphicsState();
+      this.doc.setGState(new this.doc.GState({ opacity: Math.min(Math.max(Number(watermark.opacity) || 0.15, 0.01), 1) }));
+
+      for (const center of centers) {
+        if (image) {
+          // addImage()는 왼쪽 아래 모서리를 기준으로 회전
+          const dx = (width / 2) * cos - (height / 2) * sin;
+          const dy = (width / 2) * sin + (height / 2) * cos;
+          this.doc.addImage(image.dataUrl, 'PNG', center.x - dx, center.y + dy - height, width, height, undefined, undefined, angle);
+        } else {
+          this.drawRotatedText(text, center, width, height, size, angle, watermark.color);
+        }
+      }
+
+      this.doc.restoreGraphicsState();
+    }
+  }
+
+  /**
+   * 워터마크 위치별 중심 좌표 목록 (tile은 페이지 전체에 반복)
+   * @param {string} position - 위치
+   * @param {number} boxWidth - 회전한 워터마크 너비
+   * @param {number} boxHeight - 회전한 워터마크 높이
+   * @returns {Array} [{ x, y }]
+   */
+  getWatermarkCenters(position, boxWidth, boxHeight) {
+    const inset = 36;
+    const left = inset + boxWidth / 2;
+    const right = this.pageWidth - inset - boxWidth / 2;
+    const top = inset + boxHeight / 2;
+    const bottom = this.pageHeight - inset - boxHeight / 2;
+
+    switch (position) {
+      case 'top-left':
+        return [{ x: left, y: top }];
+      case 'top-right':
+        return [{ x: right, y: top }];
+      case 'bottom-left':
+        return [{ x: left, y: bottom }];
+      case 'bottom-right':
+        return [{ x: right, y: bottom }];
+      case 'tile': {
+        const centers = [];
+        const stepX = boxWidth + 48;
+        const stepY = boxHeight + 48;
+        for (let row = 0, y = stepY / 2; y - boxHeight / 2 < this.pageHeight; row++, y += stepY) {
+          // 줄마다 반 칸씩 어긋나게
+          for (let x = (row % 2 ? stepX : stepX / 2); x - boxWidth / 2 < this.pageWidth; x += stepX) {
+            centers.push({ x, y });
+          }
+        }
+        return centers;
+      }
+      default:
+        return [{ x: this.pageWidth / 2, y: this.pageHeight / 2 }];
+    }
+  }
+
+  /**
+   * 중심 기준으로 회전한 텍스트 출력 (한글/영문 글꼴 구간별로 이어서)
+   * @param {string} text - 텍스트
+   * @param {Object} center - 중심 { x, y }
+   * @param {number} width - 텍스트 너비
+   * @param {number} height - 글자 높이
+   * @param {number} size - 글자 크기 (pt)
+   * @param {number} angle - 각도 (반시계 방향, 도)
+   * @param {string} color - 글자 색
+   */
+  drawRotatedText(text, center, width, height, size, angle, color) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    // 기준선 시작점: 중심에서 진행 방향 반대로 너비 절반, 아래로 높이 절반
+    let x = center.x - (width / 2) * cos + (height / 2) * sin;
+    let y = center.y + (width / 2) * sin + (height / 2) * cos;
+
+    this.doc.setTextColor(color || '#888888');
+    for (const segment of this.segmentText(text, {})) {
+      this.applyFont(segment.family, {}, size);
+      this.doc.text(segment.text, x, y, { angle, baseline: 'alphabetic' });
+
+      const advance = this.doc.getTextWidth(segment.text);
+      x += advance * cos;
+      y -= advance * sin;
+    }
+  }
+
+  /**
+   * 한 줄 출력
+   * @param {Object} line - layoutRuns()가 만든 줄
+   * @param {number} x - 왼쪽 x
+   * @param {number} width - 너비
+   * @param {Object} options - { align, skipDecoration }
+   */
+  drawLine(line, x, width, options = {}) {
+    const top = this.y;
+    const colors = this.template.colors;
+    let cursorX = x;
+
+    if (options.align === 'center') cursorX += (width - line.width) / 2;
+    else if (options.align === 'right') cursorX += width - line.width;
+
+    if (!options.skipDecoration) {
+      this.decorateRow(top, line.height);
+    }
+
+    if (this.pendingMarker) {
+      const drawMarker = this.pendingMarker;
+      this.pendingMarker = null;
+      drawMarker(top, line);
+    }
+
+    const baseline = top + line.height / 2 + line.size * 0.3;
+
+    for (const item of line.items) {
+      if (item.kind === 'image') {
+        this.doc.addImage(item.dataUrl, 'PNG', cursorX, top + (line.height - item.height) / 2, item.width, item.height);
+      } else if (item.kind === 'checkbox') {
+        const boxSize = item.size * 0.75;
+        const boxTop = baseline - boxSize;
+        this.doc.setDrawColor(this.textColor);
+        this.doc.setLineWidth(0.8);
+        this.doc.rect(cursorX, boxTop, boxSize, boxSize, 'S');
+        if (item.checked) {
+          this.doc.line(cursorX + boxSize * 0.2, boxTop + boxSize * 0.5, cursorX + boxSize * 0.45, boxTop + boxSize * 0.8);
+          this.doc.line(cursorX + boxSize * 0.45, boxTop + boxSize * 0.8, cursorX + boxSize * 0.85, boxTop + boxSize * 0.2);
+        }
+      } else {
+        const style = item.style;
+        let color = style.color || this.textColor;
+        if (style.link) color = colors.accent;
+        else if (style.code) color = colors.codeText;
+
+        if (style.code) {
+          this.doc.setFillColor(colors.code);
+          this.doc.rect(cursorX - 1, baseline - item.size * 0.85, item.width + 2, item.size * 1.15, 'F');
+        }
+
+        this.doc.setTextColor(color);
+        this.drawText(item.text, cursorX, baseline, style, item.size);
+
+        if (style.strike || style.link) {
+          this.doc.setDrawColor(color);
+          this.doc.setLineWidth(Math.max(0.5, item.size * 0.05));
+          const lineY = style.strike ? baseline - item.size * 0.3 : baseline + 1.5;
+          this.doc.line(cursorX, lineY, cursorX + item.width, lineY);
+        }
+
+        if (style.link && /^(https?:|mailto:)/i.test(style.link)) {
+          this.doc.link(cursorX, top, item.width, line.height, { url: style.link });
+        } else if (style.link && style.link.startsWith('#') && !this.measuring) {
+          this.internalLinks.push({
+            id: this.getAnchorId(style.link),
+            page: this.getPageNumber(),
+            x: cursorX,
+            top,
+            width: item.width,
+            height: line.height
+          });
+        }
+      }
+
+      cursorX += item.width;
+    }
+
+    this.y = top + line.height;
+  }
+}
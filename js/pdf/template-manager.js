@@ -0,0 +1,417 @@
+/**
+ * TemplateManager - PDF 템플릿 관리 클래스
+ * templates/templates.json의 내장 템플릿과 사용자 정의 템플릿 로드, 조회, 저장, 가져오기/내보내기 기능 제공
+ */
+class TemplateManager {
+  static TEMPLATES_URL = 'templates/templates.json';
+  static DEFAULT_TEMPLATE = 'clean';
+
+  // 템플릿 font 이름 → 미리보기용 CSS font-family (index.html의 Google Fonts)
+  static CSS_FONT_FAMILIES = {
+    NanumGothic: "'Nanum Gothic', 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif",
+    NanumMyeongjo: "'Nanum Myeongjo', 'AppleMyungjo', 'Batang', serif",
+    NanumPen: "'Nanum Pen Script', 'Nanum Gothic', cursive"
+  };
+
+  // 용지 크기 (pt, 세로 방향 기준)
+  static PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+  };
+
+  // 머리글/바닥글에서 쓸 수 있는 변수
+  static HEADER_FOOTER_VARIABLES = ['title', 'page', 'pages', 'date', 'author'];
+
+  // 템플릿 이름(키) 형식
+  static NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+  // 표시 이름/설명 최대 길이
+  static TEXT_LIMITS = { displayName: 50, description: 200 };
+
+  constructor() {
+    this.builtinTemplates = {};
+    this.customTemplates = {};
+    this.templates = {};
+    this.loaded = false;
+  }
+
+  /**
+   * 템플릿 목록 불러오기
+   * @returns {Promise<Object>} 템플릿 맵
+   */
+  async load() {
+    try {
+      const response = await fetch(TemplateManager.TEMPLATES_URL);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.builtinTemplates = await response.json();
+    } catch (error) {
+      // file:// 로 열었거나 네트워크 오류 시 기본 템플릿만 사용
+      console.warn('Failed to load templates.json, using fallback template:', error);
+      this.builtinTemplates = { [TemplateManager.DEFAULT_TEMPLATE]: TemplateManager.getFallbackTemplate() };
+    }
+
+    this.customTemplates = StorageManager.getCustomTemplates();
+    this.mergeTemplates();
+
+    this.loaded = true;
+    return this.templates;
+  }
+
+  /**
+   * 내장 템플릿과 사용자 정의 템플릿 병합 (내장 템플릿이 먼저, 이름이 겹치면 내장 템플릿 우선)
+   */
+  mergeTemplates() {
+    this.templates = { ...this.builtinTemplates };
+
+    Object.entries(this.customTemplates).forEach(([name, template]) => {
+      if (!this.isBuiltin(name)) {
+        this.templates[name] = template;
+      }
+    });
+  }
+
+  /**
+   * 템플릿 가져오기
+   * @param {string} name - 템플릿 이름
+   * @returns {Object} 템플릿 객체 (없으면 기본 템플릿)
+   */
+  getTemplate(name) {
+    const template = this.templates[name]
+      || this.templates[TemplateManager.DEFAULT_TEMPLATE]
+      || TemplateManager.getFallbackTemplate();
+
+    return TemplateManager.normalize(template);
+  }
+
+  /**
+   * 모든 템플릿 가져오기
+   * @returns {Array} 템플릿 배열
+   */
+  getAllTemplates() {
+    return Object.values(this.templates).map(t => TemplateManager.normalize(t));
+  }
+
+  /**
+   * 내장 템플릿 여부
+   * @param {string} name - 템플릿 이름
+   * @returns {boolean}
+   */
+  isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(this.builtinTemplates, name);
+  }
+
+  /**
+   * 사용자 정의 템플릿 저장 (생성 및 수정)
+   * @param {Object} template - 템플릿 객체
+   * @param {string} originalName - 수정 전 이름 (이름 변경 시 이전 항목 제거)
+   * @returns {Object} 저장된 템플릿
+   */
+  saveTemplate(template, originalName = null) {
+    const normalized = TemplateManager.normalize(template);
+    TemplateManager.validate(normalized);
+
+    if (this.isBuiltin(normalized.name)) {
+      throw new Error(`'${normalized.name}'은(는) 내장 템플릿 이름입니다.`);
+    }
+    if (normalized.name !== originalName && this.customTemplates[normalized.name]) {
+      throw new Error(`'${normalized.name}' 템플릿이 이미 있습니다.`);
+    }
+
+    const customTemplates = { ...this.customTemplates };
+    if (originalName && originalName !== normalized.name) {
+      delete customTemplates[originalName];
+    }
+    customTemplates[normalized.name] = normalized;
+
+    this.persist(customTemplates);
+    return normalized;
+  }
+
+  /**
+   * 템플릿 복제
+   * @param {string} name - 원본 템플릿 이름
+   * @returns {Object} 복제된 템플릿 (저장 전 상태)
+   */
+  duplicateTemplate(name) {
+    const source = this.getTemplate(name);
+
+    return {
+      ...JSON.parse(JSON.stringify(source)),
+      name: this.createUniqueName(`${source.name}-copy`),
+      displayName: `${source.displayName || source.name} 사본`
+    };
+  }
+
+  /**
+   * 사용자 정의 템플릿 삭제
+   * @param {string} name - 템플릿 이름
+   */
+  deleteTemplate(name) {
+    if (this.isBuiltin(name)) {
+      throw new Error('내장 템플릿은 삭제할 수 없습니다.');
+    }
+
+    const customTemplates = { ...this.customTemplates };
+    delete customTemplates[name];
+    this.persist(customTemplates);
+  }
+
+  /**
+   * 템플릿을 templates.json 형식의 JSON 문자열로 내보내기
+   * @param {Array<string>} names - 내보낼 템플릿 이름 (생략 시 사용자 정의 템플릿 전체)
+   * @returns {string} JSON 문자열
+   */
+  exportTemplates(names = Object.keys(this.customTemplates)) {
+    const map = {};
+    names.forEach(name => {
+      if (this.templates[name]) {
+        map[name] = TemplateManager.normalize(this.templates[name]);
+      }
+    });
+
+    return JSON.stringify(map, null, 2);
+  }
+
+  /**
+   * templates.json 형식의 JSON 문자열에서 템플릿 가져오기
+   * 단일 템플릿 객체도 허용하며, 이름이 겹치면 새 이름을 붙여 추가
+   * @param {string} jsonString - JSON 문자열
+   * @returns {Array<string>} 가져온 템플릿 이름 목록
+   */
+  importTemplates(jsonString) {
+    let data;
+    try {
+      data = JSON.parse(jsonString);
+    } catch (error) {
+      throw new Error('올바른 JSON 파일이 아닙니다.');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('템플릿 형식이 올바르지 않습니다.');
+    }
+
+    const entries = typeof data.name === 'string' && data.colors
+      ? [[data.name, data]]
+      : Object.entries(data);
+
+    if (entries.length === 0) {
+      throw new Error('가져올 템플릿이 없습니다.');
+    }
+
+    const customTemplates = { ...this.customTemplates };
+    const imported = [];
+
+    entries.forEach(([key, value]) => {
+      if (!value || typeof value !== 'object') {
+        throw new Error(`'${key}' 템플릿 형식이 올바르지 않습니다.`);
+      }
+
+      const template = TemplateManager.normalize({ ...value, name: value.name || key });
+      TemplateManager.validate(template);
+
+      template.name = this.createUniqueName(template.name, customTemplates);
+      customTemplates[template.name] = template;
+      imported.push(template.name);
+    });
+
+    this.persist(customTemplates);
+    return imported;
+  }
+
+  /**
+   * 겹치지 않는 템플릿 이름 생성
+   * @param {string} base - 기본 이름
+   * @param {Object} customTemplates - 확인할 사용자 정의 템플릿 맵
+   * @returns {string} 사용 가능한 이름
+   */
+  createUniqueName(base, customTemplates = this.customTemplates) {
+    const isTaken = (name) => this.isBuiltin(name) || Boolean(customTemplates[name]);
+
+    if (!isTaken(base)) return base;
+
+    let index = 2;
+    while (isTaken(`${base}-${index}`)) {
+      index++;
+    }
+    return `${base}-${index}`;
+  }
+
+  /**
+   * 사용자 정의 템플릿을 스토리지에 저장하고 목록 갱신
+   * @param {Object} customTemplates - 사용자 정의 템플릿 맵
+   */
+  persist(customTemplates) {
+    if (!StorageManager.saveCustomTemplates(customTemplates)) {
+      throw new Error('템플릿을 저장하지 못했습니다.');
+    }
+
+    this.customTemplates = customTemplates;
+    this.mergeTemplates();
+  }
+
+  /**
+   * 색상 값 검증 (#rgb, #rrggbb만 허용, style 속성에 넣어도 안전한 값)
+   * @param {string} value - 색상 값
+   * @returns {boolean}
+   */
+  static isColor(value) {
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+  }
+
+  /**
+   * 템플릿 값 검증
+   * @param {Object} template - 보정된 템플릿 객체
+   * @throws {Error} 잘못된 값이 있을 때
+   */
+  static validate(template) {
+    const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+    const isColor = TemplateManager.isColor;
+
+    if (!TemplateManager.NAME_PATTERN.test(template.name || '')) {
+      throw new Error('템플릿 이름은 영문 소문자, 숫자, -, _ 만 사용할 수 있습니다.');
+    }
+    Object.entries(TemplateManager.TEXT_LIMITS).forEach(([key, limit]) => {
+      const label = key === 'displayName' ? '표시 이름' : '설명';
+      if (typeof template[key] !== 'string') {
+        throw new Error(`템플릿 ${label}은 문자열이어야 합니다.`);
+      }
+      if (template[key].length > limit) {
+        throw new Error(`템플릿 ${label}은 ${limit}자 이하여야 합니다.`);
+      }
+      if (/[<>]/.test(template[key])) {
+        throw new Error(`템플릿 ${label}에는 < 또는 > 문자를 쓸 수 없습니다.`);
+      }
+    });
+    if (!TemplateManager.CSS_FONT_FAMILIES[template.font]) {
+      throw new Error(`지원하지 않는 폰트입니다: ${template.font}`);
+    }
+    if (!TemplateManager.PAGE_SIZES[template.pageSize]) {
+      throw new Error(`지원하지 않는 용지 크기입니다: ${template.pageSize}`);
+    }
+    if (!['portrait', 'landscape'].includes(template.orientation)) {
+      throw new Error(`지원하지 않는 방향입니다: ${template.orientation}`);
+    }
+    if (!isPositive(template.fontSize) || !isPositive(template.lineHeight)) {
+      throw new Error('글자 크기와 줄 간격은 0보다 커야 합니다.');
+    }
+    if (!Object.values(template.headingSize).every(isPositive)) {
+      throw new Error('제목 크기는 0보다 커야 합니다.');
+    }
+    if (!Object.values(template.margin).every(value => typeof value === 'number' && value >= 0)) {
+      throw new Error('여백은 0 이상이어야 합니다.');
+    }
+
+    const page = TemplateManager.getPageSize(template);
+    if (template.margin.left + template.margin.right >= page.width
+      || template.margin.top + template.margin.bottom >= page.height) {
+      throw new Error('여백이 용지 크기보다 큽니다.');
+    }
+
+    const invalidColor = Object.entries(template.colors).find(([, value]) => !isColor(value));
+    if (invalidColor) {
+      throw new Error(`색상 값이 올바르지 않습니다: ${invalidColor[0]}`);
+    }
+
+    const slots = [...Object.values(template.header), ...Object.values(template.footer)];
+    if (!slots.every(value => typeof value === 'string')) {
+      throw new Error('머리글/바닥글 값은 문자열이어야 합니다.');
+    }
+  }
+
+  /**
+   * 머리글/바닥글 슬롯의 변수 치환 ({title}, {page}, {pages}, {date}, {author})
+   * @param {string} text - 슬롯 문자열
+   * @param {Object} values - 변수 값
+   * @returns {string} 치환된 문자열 (알 수 없는 변수는 그대로 유지)
+   */
+  static formatHeaderFooter(text, values) {
+    return (text || '').replace(/\{(\w+)\}/g, (match, key) => {
+      if (!TemplateManager.HEADER_FOOTER_VARIABLES.includes(key)) return match;
+      return values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    }).trim();
+  }
+
+  /**
+   * 머리글/바닥글 표시 여부
+   * @param {Object} template - 보정된 템플릿 객체
+   * @param {number} pageNumber - 쪽 번호 (표지 제외, 본문 첫 쪽이 1)
+   * @returns {boolean}
+   */
+  static showsHeaderFooter(template, pageNumber) {
+    return !(template.hideHeaderFooterOnFirstPage && pageNumber === 1);
+  }
+
+  /**
+   * 템플릿 폰트의 CSS font-family 값
+   * @param {Object} template - 템플릿 객체
+   * @returns {string} font-family 값
+   */
+  static getCSSFontFamily(template) {
+    return TemplateManager.CSS_FONT_FAMILIES[template.font] || TemplateManager.CSS_FONT_FAMILIES.NanumGothic;
+  }
+
+  /**
+   * 템플릿의 용지 크기 계산 (방향 반영)
+   * @param {Object} template - 템플릿 객체
+   * @returns {Object} { width, height } (pt)
+   */
+  static getPageSize(template) {
+    const size = TemplateManager.PAGE_SIZES[template.pageSize] || TemplateManager.PAGE_SIZES.a4;
+    const isLandscape = template.orientation === 'landscape';
+
+    return {
+      width: isLandscape ? size.height : size.width,
+      height: isLandscape ? size.width : size.height
+    };
+  }
+
+  /**
+   * 템플릿 누락 필드를 기본값으로 보정
+   * @param {Object} template - 템플릿 객체
+   * @returns {Object} 보정된 템플릿
+   */
+  static normalize(template) {
+    const fallback = TemplateManager.getFallbackTemplate();
+
+    return {
+      ...fallback,
+      ...template,
+      headingSize: { ...fallback.headingSize, ...(template.headingSize || {}) },
+      margin: { ...fallback.margin, ...(template.margin || {}) },
+      colors: { ...fallback.colors, ...(template.colors || {}) },
+      header: { ...fallback.header, ...(template.header || {}) },
+      footer: { ...fallback.footer, ...(template.footer || {}) }
+    };
+  }
+
+  /**
+   * 내장 기본 템플릿 (templates.json의 clean과 동일)
+   * @returns {Object} 템플릿 객체
+   */
+  static getFallbackTemplate() {
+    return {
+      name: 'clean',
+      displayName: '클린',
+      description: '심플하고 깔끔한 디자인. 일반 문서 및 메모에 적합합니다.',
+      font: 'NanumGothic',
+      fontSize: 12,
+      lineHeight: 1.6,
+      headingSize: { 1: 26, 2: 21, 3: 18, 4: 16, 5: 14, 6: 12 },
+      margin: { top: 72, right: 72, bottom: 72, left: 72 },
+      orientation: 'portrait',
+      pageSize: 'a4',
+      colors: {
+        primary: '#2c3e50',
+        secondary: '#7f8c8d',
+        accent: '#3498db',
+        code: '#ecf0f1',
+        codeText: '#e74c3c'
+      },
+      header: { left: '', center: '', right: '' },
+      footer: { left: '', center: '{page} / {pages}', right: '' },
+      hideHeaderFooterOnFirstPage: false
+    };
+  }
+}
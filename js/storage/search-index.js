@@ -0,0 +1,315 @@
+/**
+ * SearchIndex - 문서 전문 검색 역색인
+ * 한글/한자/가나는 2글자 단위(bigram)와 글자 단위, 그 밖의 단어는 단어 단위로 색인하고
+ * 검색어는 색인으로 후보를 좁힌 뒤 본문에 실제로 들어 있는지 확인
+ * 검색어 문법: 여러 단어(AND), "구문", tag:태그, folder:폴더 (따옴표로 공백 포함 가능)
+ */
+class SearchIndex {
+  // 단어 (문자/숫자 연속)
+  static WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+  // 띄어쓰기로 단어를 나누기 어려운 문자 (한글 음절/자모, 한자, 가나)
+  static CJK_RUN_PATTERN = /[\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+|[^\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g;
+  static CJK_PATTERN = /[\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+  static CJK_CHAR_PATTERN = /[\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g;
+
+  // 검색어 조각 (필터:값, 필터:"값", "구문", 단어)
+  static QUERY_PATTERN = /(tag|folder):"([^"]*)"?|(tag|folder):(\S+)|"([^"]*)"?|(\S+)/gi;
+
+  // 순위: 제목에 있으면 가산, 한 문서에서 셀 등장 횟수 상한
+  static TITLE_BOOST = 5;
+  static MAX_TERM_COUNT = 20;
+
+  // 미리보기 조각 길이 (첫 일치 앞/뒤 글자 수)
+  static SNIPPET_BEFORE = 40;
+  static SNIPPET_AFTER = 100;
+
+  constructor() {
+    // 토큰 -> 문서 ID 집합
+    this.postings = new Map();
+    // 문서 ID -> { document, title, text, tokens, tags }
+    this.entries = new Map();
+    // 앞부분 검색용 단어 토큰 정렬 목록 (한글 등 제외, 토큰이 추가/삭제되면 null로 두고 필요할 때 다시 정렬)
+    this.sortedWords = null;
+  }
+
+  /**
+   * 색인 다시 만들기
+   * @param {Array} documents - 문서 배열
+   * @param {Function} getTags - (doc) => 태그 배열
+   */
+  rebuild(documents, getTags) {
+    this.postings.clear();
+    this.entries.clear();
+    this.sortedWords = null;
+    documents.forEach(doc => this.update(doc, getTags(doc)));
+  }
+
+  /**
+   * 문서 색인 추가/갱신
+   * @param {Object} doc - 문서 객체
+   * @param {Array<string>} tags - 문서 태그
+   */
+  update(doc, tags = []) {
+    this.remove(doc.id);
+
+    const title = this.normalize(doc.title || '');
+    const text = this.normalize(doc.content || '');
+    const tokens = new Set([...this.tokenize(title), ...this.tokenize(text)]);
+
+    // 한글 등은 한 글자 검색도 색인으로 찾도록 글자 단위로도 색인
+    new Set(`${title} ${text}`.match(SearchIndex.CJK_CHAR_PATTERN)).forEach(char => tokens.add(char));
+
+    tokens.forEach(token => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+        if (!SearchIndex.CJK_PATTERN.test(token)) this.sortedWords = null;
+      }
+      this.postings.get(token).add(doc.id);
+    });
+    this.entries.set(doc.id, { document: doc, title, text, tokens, tags: tags.map(tag => this.normalize(tag)) });
+  }
+
+  /**
+   * 문서 색인 제거
+   * @param {number} id - 문서 ID
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    entry.tokens.forEach(token => {
+      const ids = this.postings.get(token);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(token);
+        if (!SearchIndex.CJK_PATTERN.test(token)) this.sortedWords = null;
+      }
+    });
+    this.entries.delete(id);
+  }
+
+  /**
+   * 검색용 정규화 (유니코드 NFC, 소문자, 연속 공백 하나로)
+   * @param {string} text - 텍스트
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text).normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * 토큰 나누기 (한글 등은 2글자씩 겹쳐서, 한 글자면 그대로 / 그 밖의 단어는 통째로)
+   * @param {string} text - 정규화된 텍스트
+   * @returns {Array<string>} 토큰 배열
+   */
+  tokenize(text) {
+    const tokens = [];
+    (text.match(SearchIndex.WORD_PATTERN) || []).forEach(word => {
+      (word.match(SearchIndex.CJK_RUN_PATTERN) || []).forEach(run => {
+        if (!SearchIndex.CJK_PATTERN.test(run) || run.length === 1) {
+          tokens.push(run);
+          return;
+        }
+        for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+      });
+    });
+    return tokens;
+  }
+
+  /**
+   * 검색어 해석
+   * @param {string} query - 검색어
+   * @returns {Object} { terms, phrases, tags, folders }
+   */
+  parse(query) {
+    const parsed = { terms: [], phrases: [], tags: [], folders: [] };
+
+    for (const match of String(query).matchAll(SearchIndex.QUERY_PATTERN)) {
+      const [, quotedFilter, quotedValue, filter, value, phrase, word] = match;
+      const name = (quotedFilter || filter || '').toLowerCase();
+      const filterValue = this.normalize(quotedValue !== undefined ? quotedValue : value || '').trim().replace(/^#+/, '');
+
+      if (name === 'tag' && filterValue) {
+        parsed.tags.push(filterValue);
+      } else if (name === 'folder' && filterValue) {
+        parsed.folders.push(filterValue.split('/').map(part => part.trim()).filter(Boolean).join('/'));
+      } else if (phrase !== undefined) {
+        const text = this.normalize(phrase).trim();
+        if (text) parsed.phrases.push(text);
+      } else if (word) {
+        parsed.terms.push(this.normalize(word));
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * 검색 (모든 단어/구문이 들어 있고 모든 필터에 맞는 문서, 관련도 순)
+   * @param {string} query - 검색어
+   * @returns {Array<Object>} { document, score, titleRanges, snippet: { text, ranges } | null }
+   */
+  search(query) {
+    const { terms, phrases, tags, folders } = this.parse(query);
+    const needles = [...terms, ...phrases];
+
+    // 검색어별 후보 문서 (문서 빈도는 검색어마다 순위 가중치로 사용)
+    const lookups = new Map(needles.map(needle => [needle, this.lookup(needle)]));
+
+    let candidates = Array.from(this.entries.keys());
+    lookups.forEach(ids => {
+      candidates = candidates.filter(id => ids.has(id));
+    });
+
+    const results = candidates
+      .map(id => this.entries.get(id))
+      .filter(entry => needles.every(needle => entry.title.includes(needle) || entry.text.includes(needle)))
+      .filter(entry => tags.every(tag => entry.tags.includes(tag)))
+      .filter(entry => folders.every(folder => {
+        const path = this.normalize(entry.document.folder || '');
+        return path === folder || path.startsWith(`${folder}/`);
+      }));
+
+    return results
+      .map(entry => ({
+        document: entry.document,
+        score: this.score(entry, needles, lookups),
+        titleRanges: this.findRanges(entry.document.title || '', needles),
+        snippet: needles.length > 0 ? this.createSnippet(entry.document.content || '', needles) : null
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 검색어 하나가 들어 있을 수 있는 문서 (토큰 색인으로 후보 찾기)
+   * @param {string} needle - 정규화된 단어 또는 구문
+   * @returns {Set<number>} 문서 ID 집합
+   */
+  lookup(needle) {
+    let result = null;
+
+    this.tokenize(needle).forEach(token => {
+      let ids;
+
+      if (SearchIndex.CJK_PATTERN.test(token)) {
+        ids = this.postings.get(token) || new Set();
+      } else {
+        // 단어는 앞부분이 같은 토큰 모두 (입력 중인 단어도 찾도록)
+        ids = new Set();
+        this.findWordsWithPrefix(token).forEach(key => {
+          this.postings.get(key).forEach(id => ids.add(id));
+        });
+      }
+
+      result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+    });
+
+    // 문자/숫자가 없는 검색어(기호 등)는 색인으로 거를 수 없으므로 모든 문서를 확인
+    return result || new Set(this.entries.keys());
+  }
+
+  /**
+   * 앞부분이 같은 단어 토큰 (정렬 목록에서 이진 탐색)
+   * @param {string} prefix - 정규화된 단어
+   * @returns {Array<string>} 토큰 배열
+   */
+  findWordsWithPrefix(prefix) {
+    if (!this.sortedWords) {
+      this.sortedWords = Array.from(this.postings.keys()).filter(key => !SearchIndex.CJK_PATTERN.test(key)).sort();
+    }
+
+    const words = this.sortedWords;
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (words[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+
+    const result = [];
+    for (let i = low; i < words.length && words[i].startsWith(prefix); i++) result.push(words[i]);
+    return result;
+  }
+
+  /**
+   * 관련도 점수 (검색어가 드문 단어일수록, 많이 나올수록, 제목에 있을수록 높게)
+   * @param {Object} entry - 색인 항목
+   * @param {Array<string>} needles - 단어/구문
+   * @param {Map<string, Set<number>>} lookups - 검색어 -> 후보 문서 (문서 빈도)
+   * @returns {number}
+   */
+  score(entry, needles, lookups) {
+    const length = Math.max(entry.text.length, 1);
+
+    return needles.reduce((sum, needle) => {
+      const idf = Math.log(1 + this.entries.size / Math.max(lookups.get(needle).size, 1));
+      const count = this.countOccurrences(entry.text, needle);
+      const tf = count / (count + 1 + length / 2000);
+      const title = entry.title.includes(needle) ? SearchIndex.TITLE_BOOST : 0;
+      return sum + idf * (tf + title);
+    }, 0);
+  }
+
+  /**
+   * 등장 횟수 (MAX_TERM_COUNT까지)
+   * @param {string} text - 정규화된 텍스트
+   * @param {string} needle - 찾을 문자열
+   * @returns {number}
+   */
+  countOccurrences(text, needle) {
+    let count = 0;
+    let index = text.indexOf(needle);
+    while (index !== -1 && count < SearchIndex.MAX_TERM_COUNT) {
+      count++;
+      index = text.indexOf(needle, index + needle.length);
+    }
+    return count;
+  }
+
+  /**
+   * 원문에서 검색어 위치 (대소문자 무시, 구문 안의 공백은 줄바꿈 등과도 일치)
+   * @param {string} text - 원문
+   * @param {Array<string>} needles - 정규화된 단어/구문
+   * @returns {Array<Array<number>>} [시작, 끝] 배열 (겹치지 않게 정렬)
+   */
+  findRanges(text, needles) {
+    if (needles.length === 0) return [];
+
+    const source = needles
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map(needle => needle.split(' ').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'))
+      .join('|');
+    const pattern = new RegExp(source, 'giu');
+
+    const ranges = [];
+    for (const match of text.normalize('NFC').matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+  }
+
+  /**
+   * 첫 일치 부분 주변의 미리보기 조각
+   * @param {string} content - 문서 원문
+   * @param {Array<string>} needles - 정규화된 단어/구문
+   * @returns {Object|null} { text, ranges } - ranges는 text 안의 위치
+   */
+  createSnippet(content, needles) {
+    const text = content.normalize('NFC');
+    const ranges = this.findRanges(text, needles);
+    if (ranges.length === 0) return null;
+
+    const start = Math.max(0, ranges[0][0] - SearchIndex.SNIPPET_BEFORE);
+    const end = Math.min(text.length, ranges[0][0] + SearchIndex.SNIPPET_AFTER);
+
+    // 줄바꿈은 공백으로 (길이가 같아 위치는 그대로)
+    return {
+      text: `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s/g, ' ')}${end < text.length ? '…' : ''}`,
+      ranges: ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start + (start > 0 ? 1 : 0), to - start + (start > 0 ? 1 : 0)])
+    };
+  }
+}
@@ -1,39 +1,330 @@
 /**
- * StorageManager - 로컬 스토리지 관리 클래스
+ * StorageManager - 문서/설정 저장소 관리 클래스
+ * 문서는 IndexedDB에 한 건씩 저장하고 메모리 캐시로 동기 API 제공, 설정과 템플릿은 로컬 스토리지
  * 문서 저장, 불러오기, 삭제, 검색 기능 제공
  */
 class StorageManager {
+  // 이전 버전의 로컬 스토리지 문서 목록 (IndexedDB로 옮긴 뒤 삭제, IndexedDB를 쓸 수 없을 때 사용)
   static STORAGE_KEY = 'kpdf_documents';
   static SETTINGS_KEY = 'kpdf_settings';
-  static MAX_DOCUMENTS = 20;
+  static TEMPLATES_KEY = 'kpdf_templates';
+  // 직접 만든 폴더 목록 (문서가 없는 빈 폴더도 유지, 경로는 '/'로 구분)
+  static FOLDERS_KEY = 'kpdf_folders';
+
+  // 문서 목록 정렬 기준
+  static SORT_OPTIONS = {
+    modified: '수정한 날짜',
+    created: '만든 날짜',
+    title: '제목'
+  };
+
+  static DB_NAME = 'kpdf';
+  static DB_VERSION = 2;
+  static DOCUMENT_STORE = 'documents';
+  static VERSION_STORE = 'versions';
+
+  // 버전 기록: 자동 저장은 5분에 한 번만 스냅샷, 최근 하루는 모두 보관,
+  // 30일까지는 하루에 하나(그날 마지막 버전), 그보다 오래되면 삭제, 문서당 최대 100개
+  static VERSION_INTERVAL = 5 * 60 * 1000;
+  static VERSION_KEEP_ALL = 24 * 60 * 60 * 1000;
+  static VERSION_KEEP_DAILY = 30 * 24 * 60 * 60 * 1000;
+  static MAX_VERSIONS = 100;
+
+  // 다른 탭에 문서 변경 알림
+  static CHANNEL_NAME = 'kpdf_documents';
+
+  // 로컬 스토리지 일반적 제한 (IndexedDB 할당량을 알 수 없을 때)
+  static LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+  static db = null;
+  static documents = [];
+  // 휴지통 (deletedAt이 있는 문서, 같은 저장소에 보관하고 목록/검색에서는 제외)
+  static trash = [];
+  // 목록 문서의 전문 검색 색인 (휴지통 제외, 저장/삭제할 때마다 갱신)
+  static searchIndex = new SearchIndex();
+  // 휴지통 문서의 전문 검색 색인 (같은 검색어 문법)
+  static trashIndex = new SearchIndex();
+  static writeQueue = Promise.resolve();
+  static channel = null;
+  static quota = null;
+
+  /**
+   * 저장소 준비 (문서를 읽는 다른 초기화보다 먼저 호출)
+   * IndexedDB를 열어 문서를 캐시로 읽고, 로컬 스토리지에 남은 이전 문서를 옮김
+   * @returns {Promise<void>}
+   */
+  static async init() {
+    try {
+      this.db = await this.openDatabase();
+      this.setRecords(await this.readDatabase());
+      await this.migrateLocalStorage();
+      this.setupChannel();
+    } catch (error) {
+      console.error('IndexedDB unavailable, using localStorage:', error);
+      this.db = null;
+      this.setRecords(this.readLocalStorage());
+    }
+    this.purgeTrash();
+
+    try {
+      const estimate = navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : null;
+      this.quota = estimate && estimate.quota ? estimate.quota : null;
+    } catch (error) {
+      this.quota = null;
+    }
+  }
+
+  /**
+   * IndexedDB 열기 (처음이면 문서 저장소 생성)
+   * @returns {Promise<IDBDatabase>}
+   */
+  static openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.DOCUMENT_STORE)) {
+          db.createObjectStore(this.DOCUMENT_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.VERSION_STORE)) {
+          const versions = db.createObjectStore(this.VERSION_STORE, { keyPath: 'id', autoIncrement: true });
+          versions.createIndex('documentId', 'documentId');
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // 다른 탭이 새 버전으로 열면 연결을 닫아 업그레이드를 막지 않음
+        // (이 탭의 기록은 실패하므로 새로고침 안내)
+        db.onversionchange = () => {
+          db.close();
+          window.dispatchEvent(new CustomEvent('storage-outdated', {
+            detail: { message: '다른 탭에서 새 버전이 열렸습니다. 계속 저장하려면 페이지를 새로고침하세요.' }
+          }));
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('IndexedDB upgrade is waiting for other tabs to close');
+    });
+  }
+
+  /**
+   * 저장소 트랜잭션 실행
+   * @param {string} mode - readonly | readwrite
+   * @param {Function} callback - (store) => 결과 요청(선택)
+   * @param {string} storeName - 저장소 이름 (기본: 문서)
+   * @returns {Promise<*>} 완료 시 callback이 돌려준 요청의 결과
+   */
+  static transaction(mode, callback, storeName = this.DOCUMENT_STORE) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      const request = callback(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * IndexedDB의 모든 문서 읽기
+   * @returns {Promise<Array>} 문서 배열
+   */
+  static async readDatabase() {
+    return (await this.transaction('readonly', store => store.getAll())) || [];
+  }
+
+  /**
+   * 저장소에서 읽은 문서를 목록과 휴지통 캐시로 나누기
+   * @param {Array} records - 문서 배열 (휴지통 문서 포함)
+   */
+  static setRecords(records) {
+    this.documents = records.filter(doc => !doc.deletedAt);
+    this.trash = records.filter(doc => doc.deletedAt);
+    this.sortDocuments();
+    this.searchIndex.rebuild(this.documents, doc => this.getDocumentTags(doc));
+    this.trashIndex.rebuild(this.trash, doc => this.getDocumentTags(doc));
+  }
+
+  /**
+   * 로컬 스토리지의 문서 목록 읽기
+   * @returns {Array} 문서 배열
+   */
+  static readLocalStorage() {
+    try {
+      const data = localStorage.getItem(this.STORAGE_KEY);
+      const documents = data ? JSON.parse(data) : [];
+      return Array.isArray(documents) ? documents : [];
+    } catch (error) {
+      console.error('Failed to read documents from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 이전 버전의 로컬 스토리지 문서를 IndexedDB로 옮기기 (이미 있는 문서는 유지)
+   * @returns {Promise<void>}
+   */
+  static async migrateLocalStorage() {
+    if (localStorage.getItem(this.STORAGE_KEY) === null) return;
+
+    const existing = new Set([...this.documents, ...this.trash].map(doc => doc.id));
+    const legacy = this.readLocalStorage().filter(doc => doc && doc.id !== undefined && !existing.has(doc.id));
+
+    if (legacy.length > 0) {
+      await this.transaction('readwrite', store => {
+        legacy.forEach(doc => store.put(doc));
+      });
+      this.setRecords([...this.documents, ...this.trash, ...legacy]);
+    }
+
+    localStorage.removeItem(this.STORAGE_KEY);
+  }
+
+  /**
+   * 캐시 정렬 (최근에 만든 문서 먼저)
+   */
+  static sortDocuments() {
+    const time = (doc) => new Date(doc.createdAt || doc.lastModified || 0).getTime() || 0;
+    this.documents.sort((a, b) => time(b) - time(a));
+  }
+
+  /**
+   * 변경 사항을 저장소에 기록 (IndexedDB는 순서대로 비동기 기록)
+   * 기록이 실패하면 캐시를 되돌리고 documents-changed, storage-error 이벤트로 알림
+   * @param {Function} callback - (store) => void, IndexedDB 저장소 작업
+   * @param {Object} rollback - createRollback()이 만든 되돌리기 정보 (선택)
+   * @returns {Promise<boolean>} 기록 성공 여부
+   */
+  static write(callback, rollback = null) {
+    if (!this.db) {
+      // IndexedDB를 쓸 수 없으면 예전처럼 로컬 스토리지에 통째로 저장 (용량 초과 시 예외)
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify([...this.documents, ...this.trash]));
+      return Promise.resolve(true);
+    }
+
+    const result = this.writeQueue
+      .then(() => this.transaction('readwrite', callback))
+      .then(() => {
+        if (this.channel) this.channel.postMessage({ type: 'documents-changed' });
+        return true;
+      })
+      .catch(error => {
+        console.error('Failed to write documents:', error);
+        if (rollback) rollback.restore();
+
+        window.dispatchEvent(new CustomEvent('documents-changed', {
+          detail: { documents: this.getAllDocuments() }
+        }));
+        window.dispatchEvent(new CustomEvent('storage-error', {
+          detail: {
+            ids: rollback ? rollback.ids : [],
+            message: error && error.name === 'QuotaExceededError'
+              ? '저장 공간이 부족해 변경 사항을 저장하지 못했습니다. 오래된 문서를 삭제하고 휴지통을 비워주세요.'
+              : '변경 사항을 저장하지 못했습니다. 페이지를 새로고침한 뒤 다시 시도해 주세요.'
+          }
+        }));
+        return false;
+      });
+
+    this.writeQueue = result;
+    return result;
+  }
+
+  /**
+   * 기록 실패 시 캐시를 되돌릴 정보 (문서를 바꾸기 전에 호출, 해당 문서만 이전 상태로)
+   * @param {Array<number>} ids - 바뀔 문서 ID
+   * @returns {Object} { ids, restore }
+   */
+  static createRollback(ids) {
+    const previous = [...this.documents, ...this.trash].filter(doc => ids.includes(doc.id));
+
+    return {
+      ids,
+      restore: () => {
+        const others = [...this.documents, ...this.trash].filter(doc => !ids.includes(doc.id));
+        this.setRecords([...others, ...previous]);
+      }
+    };
+  }
+
+  /**
+   * 대기 중인 기록이 모두 끝날 때까지 기다리기
+   * @returns {Promise<void>}
+   */
+  static flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * 다른 탭의 문서 변경 감지 (캐시를 다시 읽고 documents-changed 이벤트)
+   */
+  static setupChannel() {
+    if (typeof BroadcastChannel === 'undefined' || this.channel) return;
+
+    this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+    this.channel.onmessage = async (e) => {
+      if (!e.data || e.data.type !== 'documents-changed') return;
+
+      this.setRecords(await this.readDatabase());
+      window.dispatchEvent(new CustomEvent('documents-changed', {
+        detail: { documents: this.getAllDocuments() }
+      }));
+    };
+  }
 
   /**
    * 문서 저장
+   * 휴지통에 있는 문서(열어 둔 채 삭제한 문서 등)는 restore를 켠 경우(restoreDocument)에만 저장해 목록으로 복귀
    * @param {Object} document - 저장할 문서 객체
-   * @returns {boolean} 저장 성공 여부
+   * @param {boolean} restore - 휴지통 문서 복원 여부
+   * @returns {boolean} 저장 성공 여부 (IndexedDB 기록이 나중에 실패하면 되돌리고 storage-error 알림)
    */
-  static saveDocument(document) {
+  static saveDocument(document, restore = false) {
+    if (!restore && this.getTrashedDocument(document.id)) {
+      console.warn('Refusing to save a document in the trash:', document.id);
+      return false;
+    }
+
+    const previous = this.documents.slice();
+    const previousTrash = this.trash;
+    const rollback = this.createRollback([document.id]);
+
     try {
-      const documents = this.getAllDocuments();
-      const index = documents.findIndex(d => d.id === document.id);
+      this.trash = this.trash.filter(d => d.id !== document.id);
+      this.trashIndex.remove(document.id);
+
+      const index = this.documents.findIndex(d => d.id === document.id);
 
       if (index > -1) {
         // 기존 문서 업데이트
-        documents[index] = document;
+        this.documents[index] = document;
       } else {
         // 새 문서 추가
-        documents.unshift(document);
-
-        // 최대 개수 제한
-        if (documents.length > this.MAX_DOCUMENTS) {
-          documents.pop();
-        }
+        this.documents.unshift(document);
       }
+      this.searchIndex.update(document, this.getDocumentTags(document));
 
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(documents));
+      this.write(store => {
+        store.put(document);
+      }, rollback);
       return true;
     } catch (error) {
       console.error('Failed to save document:', error);
+      this.documents = previous;
+      this.trash = previousTrash;
+      this.trashIndex.rebuild(this.trash, doc => this.getDocumentTags(doc));
+
+      const old = previous.find(d => d.id === document.id);
+      if (old) {
+        this.searchIndex.update(old, this.getDocumentTags(old));
+      } else {
+        this.searchIndex.remove(document.id);
+      }
 
       // 용량 초과 에러 처리
       if (error.name === 'QuotaExceededError') {
@@ -49,13 +340,7 @@ class StorageManager {
    * @returns {Array} 문서 배열
    */
   static getAllDocuments() {
-    try {
-      const data = localStorage.getItem(this.STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
-    } catch (error) {
-      console.error('Failed to get documents:', error);
-      return [];
-    }
+    return this.documents.slice();
   }
 
   /**
@@ -64,58 +349,470 @@ class StorageManager {
    * @returns {Object|null} 문서 객체 또는 null
    */
   static getDocument(id) {
-    const documents = this.getAllDocuments();
-    return documents.find(d => d.id === id) || null;
+    return this.documents.find(d => d.id === id) || null;
   }
 
   /**
-   * 문서 삭제
+   * 문서 삭제 (휴지통으로 옮김, restoreDocument()로 되돌릴 수 있음)
    * @param {number} id - 삭제할 문서 ID
    * @returns {boolean} 삭제 성공 여부
    */
   static deleteDocument(id) {
+    const doc = this.getDocument(id);
+    if (!doc) return false;
+
+    return this.moveToTrash([doc]);
+  }
+
+  /**
+   * 모든 문서 삭제 (휴지통으로 옮김)
+   * @returns {boolean} 삭제 성공 여부
+   */
+  static deleteAllDocuments() {
+    return this.moveToTrash(this.getAllDocuments());
+  }
+
+  /**
+   * 문서를 휴지통으로 옮기기
+   * @param {Array} documents - 옮길 문서 배열
+   * @returns {boolean} 성공 여부
+   */
+  static moveToTrash(documents) {
+    const previous = this.documents.slice();
+    const previousTrash = this.trash.slice();
+    const rollback = this.createRollback(documents.map(doc => doc.id));
+
     try {
-      const documents = this.getAllDocuments();
-      const filtered = documents.filter(d => d.id !== id);
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(filtered));
+      const deletedAt = new Date().toISOString();
+      const trashed = documents.map(doc => ({ ...doc, deletedAt }));
+      const ids = new Set(trashed.map(doc => doc.id));
+
+      this.documents = this.documents.filter(d => !ids.has(d.id));
+      this.trash = [...trashed, ...this.trash.filter(d => !ids.has(d.id))];
+      ids.forEach(id => this.searchIndex.remove(id));
+      trashed.forEach(doc => this.trashIndex.update(doc, this.getDocumentTags(doc)));
+      this.write(store => {
+        trashed.forEach(doc => store.put(doc));
+      }, rollback);
       return true;
     } catch (error) {
       console.error('Failed to delete document:', error);
+      this.documents = previous;
+      this.trash = previousTrash;
+      documents.forEach(doc => this.searchIndex.update(doc, this.getDocumentTags(doc)));
+      this.trashIndex.rebuild(this.trash, doc => this.getDocumentTags(doc));
       return false;
     }
   }
 
   /**
-   * 모든 문서 삭제
+   * 휴지통의 특정 문서
+   * @param {number} id - 문서 ID
+   * @returns {Object|null} 문서 객체 또는 null
+   */
+  static getTrashedDocument(id) {
+    return this.trash.find(d => d.id === id) || null;
+  }
+
+  /**
+   * 휴지통 문서 목록 (최근에 삭제한 문서 먼저)
+   * @returns {Array} 문서 배열
+   */
+  static getTrash() {
+    return this.trash.slice().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * 휴지통 문서 복원
+   * @param {number} id - 문서 ID
+   * @returns {boolean} 복원 성공 여부
+   */
+  static restoreDocument(id) {
+    const doc = this.getTrashedDocument(id);
+    if (!doc) return false;
+
+    const restored = { ...doc };
+    delete restored.deletedAt;
+    const success = this.saveDocument(restored, true);
+    if (success) this.sortDocuments();
+    return success;
+  }
+
+  /**
+   * 휴지통 문서 영구 삭제 (버전 기록도 삭제)
+   * @param {number} id - 문서 ID
    * @returns {boolean} 삭제 성공 여부
    */
-  static deleteAllDocuments() {
+  static deleteDocumentPermanently(id) {
+    return this.purgeDocuments(this.trash.filter(d => d.id === id));
+  }
+
+  /**
+   * 휴지통 비우기
+   * @returns {boolean} 삭제 성공 여부
+   */
+  static emptyTrash() {
+    return this.purgeDocuments(this.trash);
+  }
+
+  /**
+   * 보관 기간(설정의 trashRetentionDays, 0이면 보관)이 지난 휴지통 문서 영구 삭제
+   * @returns {number} 삭제한 문서 수
+   */
+  static purgeTrash() {
+    const days = Number(this.getSettings().trashRetentionDays);
+    if (!days || days <= 0) return 0;
+
+    const limit = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = this.trash.filter(doc => new Date(doc.deletedAt).getTime() < limit);
+    if (expired.length > 0) this.purgeDocuments(expired);
+    return expired.length;
+  }
+
+  /**
+   * 휴지통 문서를 저장소에서 지우기
+   * @param {Array} documents - 지울 문서 배열
+   * @returns {boolean} 성공 여부
+   */
+  static purgeDocuments(documents) {
+    const previousTrash = this.trash.slice();
+    const ids = documents.map(doc => doc.id);
+    const rollback = this.createRollback(ids);
+
+    try {
+      this.trash = this.trash.filter(d => !ids.includes(d.id));
+      ids.forEach(id => this.trashIndex.remove(id));
+      this.write(store => {
+        ids.forEach(id => store.delete(id));
+      }, rollback);
+      ids.forEach(id => this.deleteVersions(id));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      this.trash = previousTrash;
+      this.trashIndex.rebuild(this.trash, doc => this.getDocumentTags(doc));
+      return false;
+    }
+  }
+
+  /**
+   * 문서 버전 스냅샷 기록 (직전 버전과 같으면 생략, 자동 저장은 VERSION_INTERVAL마다 한 번)
+   * @param {Object} document - 저장한 문서 객체
+   * @param {boolean} force - 간격과 관계없이 기록 (직접 저장, 복원 직전)
+   * @returns {Promise<void>}
+   */
+  static recordVersion(document, force = false) {
+    if (!this.db || !document) return Promise.resolve();
+
+    return this.queueVersionTask(async () => {
+      const versions = await this.getVersions(document.id);
+      const latest = versions[0];
+
+      if (latest && latest.content === document.content) return;
+      if (!force && latest && Date.now() - new Date(latest.createdAt).getTime() < this.VERSION_INTERVAL) return;
+
+      await this.transaction('readwrite', store => {
+        store.add({
+          documentId: document.id,
+          title: document.title,
+          content: document.content,
+          createdAt: new Date().toISOString()
+        });
+      }, this.VERSION_STORE);
+
+      await this.pruneVersions(document.id);
+    });
+  }
+
+  /**
+   * 문서의 버전 목록 (최신 순)
+   * @param {number} documentId - 문서 ID
+   * @returns {Promise<Array>} 버전 배열 { id, documentId, title, content, createdAt }
+   */
+  static async getVersions(documentId) {
+    if (!this.db) return [];
+
+    const versions = await this.transaction('readonly', store => store.index('documentId').getAll(documentId), this.VERSION_STORE);
+    return (versions || []).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id);
+  }
+
+  /**
+   * 보관 규칙에 따라 오래된 버전 정리
+   * @param {number} documentId - 문서 ID
+   * @returns {Promise<void>}
+   */
+  static async pruneVersions(documentId) {
+    const versions = await this.getVersions(documentId);
+    const now = Date.now();
+    const days = new Set();
+
+    const expired = versions.filter((version, index) => {
+      const time = new Date(version.createdAt).getTime();
+      if (index >= this.MAX_VERSIONS || now - time > this.VERSION_KEEP_DAILY) return true;
+      if (now - time <= this.VERSION_KEEP_ALL) return false;
+
+      // 최신 순이므로 그날 처음 만난 버전(그날의 마지막 버전)만 남김
+      const day = new Date(time).toDateString();
+      if (days.has(day)) return true;
+      days.add(day);
+      return false;
+    });
+
+    if (expired.length > 0) {
+      await this.transaction('readwrite', store => {
+        expired.forEach(version => store.delete(version.id));
+      }, this.VERSION_STORE);
+    }
+  }
+
+  /**
+   * 문서의 모든 버전 삭제
+   * @param {number} documentId - 문서 ID
+   * @returns {Promise<void>}
+   */
+  static deleteVersions(documentId) {
+    if (!this.db) return Promise.resolve();
+
+    return this.queueVersionTask(async () => {
+      const versions = await this.getVersions(documentId);
+      await this.transaction('readwrite', store => {
+        versions.forEach(version => store.delete(version.id));
+      }, this.VERSION_STORE);
+    });
+  }
+
+  /**
+   * 버전 작업을 문서 기록과 같은 순서로 실행 (실패는 로그만)
+   * @param {Function} task - () => Promise
+   * @returns {Promise<void>}
+   */
+  static queueVersionTask(task) {
+    this.writeQueue = this.writeQueue
+      .then(task)
+      .catch(error => {
+        console.error('Failed to update versions:', error);
+        if (error && error.name === 'QuotaExceededError') {
+          this.showStorageFullError();
+        }
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * 문서 정리 정보 변경 (폴더, 태그, 고정) - 내용과 수정 시각은 그대로
+   * @param {number} id - 문서 ID
+   * @param {Object} changes - { folder, tags, pinned } 중 바꿀 값
+   * @returns {boolean} 성공 여부
+   */
+  static updateDocument(id, changes) {
+    const doc = this.getDocument(id);
+    if (!doc) return false;
+
+    const updated = { ...doc, ...changes };
+    if ('folder' in changes) updated.folder = this.normalizeFolder(changes.folder);
+    if ('tags' in changes) updated.tags = this.normalizeTags(changes.tags);
+    return this.saveDocument(updated);
+  }
+
+  /**
+   * 폴더 경로 정리 (앞뒤 공백, 빈 단계 제거)
+   * @param {string} path - 폴더 경로 (예: '업무/회의록')
+   * @returns {string} 정리된 경로 (최상위는 빈 문자열)
+   */
+  static normalizeFolder(path) {
+    return String(path || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+  }
+
+  /**
+   * 태그 목록 정리 (쉼표 구분 문자열 허용, 앞의 # 제거, 중복 제거)
+   * @param {Array<string>|string} tags - 태그 목록
+   * @returns {Array<string>} 태그 배열
+   */
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const result = [];
+    list.forEach(tag => {
+      const name = String(tag).trim().replace(/^#+/, '').trim();
+      if (name && !result.includes(name)) result.push(name);
+    });
+    return result;
+  }
+
+  /**
+   * 문서 태그 (직접 붙인 태그와 front matter의 tags/keywords)
+   * @param {Object} doc - 문서 객체
+   * @returns {Array<string>} 태그 배열
+   */
+  static getDocumentTags(doc) {
+    const { data } = MarkdownHelper.parseFrontMatter(doc.content || '');
+    return this.normalizeTags([
+      ...(doc.tags || []),
+      ...this.normalizeTags(data.tags || data.keywords || [])
+    ]);
+  }
+
+  /**
+   * 모든 태그와 문서 수
+   * @param {Array} documents - 대상 문서 (기본: 모든 문서)
+   * @returns {Array<Object>} { name, count } 배열 (이름 순)
+   */
+  static getAllTags(documents = this.documents) {
+    const counts = new Map();
+    documents.forEach(doc => {
+      this.getDocumentTags(doc).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+  }
+
+  /**
+   * 폴더 목록 (직접 만든 폴더와 문서가 들어 있는 폴더, 상위 폴더 포함)
+   * @returns {Array<string>} 폴더 경로 배열 (이름 순)
+   */
+  static getFolders() {
+    const folders = new Set();
+    const add = (path) => {
+      const parts = this.normalizeFolder(path).split('/').filter(Boolean);
+      parts.forEach((part, i) => folders.add(parts.slice(0, i + 1).join('/')));
+    };
+
+    this.readFolders().forEach(add);
+    this.documents.forEach(doc => add(doc.folder));
+    return Array.from(folders).sort((a, b) => a.localeCompare(b, 'ko'));
+  }
+
+  /**
+   * 직접 만든 폴더 목록 읽기
+   * @returns {Array<string>} 폴더 경로 배열
+   */
+  static readFolders() {
     try {
-      localStorage.removeItem(this.STORAGE_KEY);
+      const data = localStorage.getItem(this.FOLDERS_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to get folders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 직접 만든 폴더 목록 저장
+   * @param {Array<string>} folders - 폴더 경로 배열
+   * @returns {boolean} 저장 성공 여부
+   */
+  static saveFolders(folders) {
+    try {
+      localStorage.setItem(this.FOLDERS_KEY, JSON.stringify(Array.from(new Set(folders.filter(Boolean)))));
       return true;
     } catch (error) {
-      console.error('Failed to delete all documents:', error);
+      console.error('Failed to save folders:', error);
       return false;
     }
   }
 
   /**
-   * 문서 검색
+   * 폴더 만들기
+   * @param {string} path - 폴더 경로
+   * @returns {string|null} 만든 폴더 경로 (이름이 비었으면 null)
+   */
+  static createFolder(path) {
+    const folder = this.normalizeFolder(path);
+    if (!folder) return null;
+
+    this.saveFolders([...this.readFolders(), folder]);
+    return folder;
+  }
+
+  /**
+   * 폴더 이름 바꾸기/옮기기 (하위 폴더와 문서 포함, 같은 이름의 폴더가 있으면 합침)
+   * @param {string} path - 기존 폴더 경로
+   * @param {string} newPath - 새 폴더 경로
+   * @returns {boolean} 성공 여부
+   */
+  static renameFolder(path, newPath) {
+    const from = this.normalizeFolder(path);
+    const to = this.normalizeFolder(newPath);
+    if (!from || !to || to === from || to.startsWith(`${from}/`)) return false;
+
+    return this.moveFolderContents(from, to);
+  }
+
+  /**
+   * 폴더 삭제 (안의 문서와 하위 폴더는 상위 폴더로 옮김)
+   * @param {string} path - 폴더 경로
+   * @returns {boolean} 성공 여부
+   */
+  static deleteFolder(path) {
+    const folder = this.normalizeFolder(path);
+    if (!folder) return false;
+
+    return this.moveFolderContents(folder, folder.split('/').slice(0, -1).join('/'));
+  }
+
+  /**
+   * 폴더 아래 경로를 다른 폴더 아래로 바꾸기
+   * @param {string} from - 기존 폴더 경로
+   * @param {string} to - 새 폴더 경로 (빈 문자열이면 최상위)
+   * @returns {boolean} 성공 여부
+   */
+  static moveFolderContents(from, to) {
+    const move = (path) => {
+      if (path !== from && !path.startsWith(`${from}/`)) return path;
+      return this.normalizeFolder(`${to}/${path.slice(from.length)}`);
+    };
+
+    const saved = this.saveFolders(this.readFolders().map(move));
+    const moved = this.documents
+      .filter(doc => doc.folder && move(doc.folder) !== doc.folder)
+      .every(doc => this.updateDocument(doc.id, { folder: move(doc.folder) }));
+    return saved && moved;
+  }
+
+  /**
+   * 문서 정렬 (고정한 문서가 먼저)
+   * @param {Array} documents - 문서 배열
+   * @param {string} sortBy - modified | created | title
+   * @returns {Array} 정렬된 새 배열
+   */
+  static sortDocumentsBy(documents, sortBy = 'modified') {
+    const time = (value) => new Date(value || 0).getTime() || 0;
+    const compare = {
+      modified: (a, b) => time(b.lastModified) - time(a.lastModified),
+      created: (a, b) => time(b.createdAt) - time(a.createdAt),
+      title: (a, b) => (a.title || '').localeCompare(b.title || '', 'ko')
+    }[sortBy] || (() => 0);
+
+    return documents.slice().sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned) || compare(a, b));
+  }
+
+  /**
+   * 문서 검색 (관련도 순, 검색어 문법은 SearchIndex 참고)
    * @param {string} query - 검색어
    * @returns {Array} 검색 결과 문서 배열
    */
   static searchDocuments(query) {
-    const documents = this.getAllDocuments();
-    const lowerQuery = query.toLowerCase().trim();
-
-    if (!lowerQuery) {
-      return documents;
+    if (!query.trim()) {
+      return this.getAllDocuments();
     }
+    return this.search(query).map(result => result.document);
+  }
+
+  /**
+   * 전문 검색 (여러 단어 AND, "구문", tag:태그, folder:폴더)
+   * @param {string} query - 검색어
+   * @returns {Array<Object>} { document, score, titleRanges, snippet } 배열 (관련도 순)
+   */
+  static search(query) {
+    return this.searchIndex.search(query);
+  }
 
-    return documents.filter(doc =>
-      doc.title.toLowerCase().includes(lowerQuery) ||
-      doc.content.toLowerCase().includes(lowerQuery)
-    );
+  /**
+   * 휴지통 전문 검색 (search()와 같은 문법)
+   * @param {string} query - 검색어
+   * @returns {Array<Object>} { document, score, titleRanges, snippet } 배열 (관련도 순)
+   */
+  static searchTrash(query) {
+    return this.trashIndex.search(query);
   }
 
   /**
@@ -134,9 +831,9 @@ class StorageManager {
    */
   static checkStorageSize() {
     try {
-      const data = localStorage.getItem(this.STORAGE_KEY) || '';
-      const size = new Blob([data]).size;
-      const maxSize = 5 * 1024 * 1024; // 5MB (LocalStorage 일반적 제한의 절반)
+      const size = new Blob([JSON.stringify([...this.documents, ...this.trash])]).size;
+      // IndexedDB는 브라우저가 알려준 할당량, 로컬 스토리지는 일반적 제한
+      const maxSize = (this.db && this.quota) || this.LOCAL_STORAGE_QUOTA;
 
       return {
         used: size,
@@ -158,12 +855,15 @@ class StorageManager {
   /**
    * 설정 저장
    * @param {Object} settings - 설정 객체
+   * @returns {boolean} 성공 여부
    */
   static saveSettings(settings) {
     try {
       localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+      return true;
     } catch (error) {
       console.error('Failed to save settings:', error);
+      return false;
     }
   }
 
@@ -174,7 +874,13 @@ class StorageManager {
   static getSettings() {
     try {
       const data = localStorage.getItem(this.SETTINGS_KEY);
-      return data ? JSON.parse(data) : this.getDefaultSettings();
+      if (!data) return this.getDefaultSettings();
+
+      // 이후 추가된 설정 항목도 기본값을 갖도록 병합
+      const defaults = this.getDefaultSettings();
+      const settings = { ...defaults, ...JSON.parse(data) };
+      settings.watermark = { ...defaults.watermark, ...settings.watermark };
+      return settings;
     } catch (error) {
       console.error('Failed to get settings:', error);
       return this.getDefaultSettings();
@@ -193,47 +899,75 @@ class StorageManager {
       defaultTemplate: 'clean',
       fontSize: 12,
       showLineNumbers: false,
-      enableSpellCheck: true
+      enableSpellCheck: true,
+      pageView: false,
+      author: '',
+      coverPage: false,
+      epubChapterLevel: 1, // EPUB 장 나누기 기준 제목 수준 (1 = H1)
+      pngExportScale: 2, // PNG 내보내기 배율
+      documentSort: 'modified', // 문서 목록 정렬 (StorageManager.SORT_OPTIONS)
+      trashRetentionDays: 30, // 휴지통 문서 자동 삭제 기간 (일, 0이면 자동 삭제 안 함)
+      // 내보내기 워터마크 (type: text | image, position: center | top-left | top-right | bottom-left | bottom-right | tile)
+      watermark: {
+        enabled: false,
+        type: 'text',
+        text: 'DRAFT',
+        image: '',
+        color: '#888888',
+        opacity: 0.15,
+        angle: 45,
+        size: 50,
+        position: 'center'
+      }
     };
   }
 
   /**
-   * 스토리지 초과 에러 표시
+   * 사용자 정의 PDF 템플릿 저장
+   * @param {Object} templates - 템플릿 맵 (templates.json과 같은 형식)
+   * @returns {boolean} 저장 성공 여부
    */
-  static showStorageFullError() {
-    const event = new CustomEvent('storage-full', {
-      detail: {
-        message: '저장 공간이 부족합니다. 오래된 문서를 삭제해주세요.'
+  static saveCustomTemplates(templates) {
+    try {
+      localStorage.setItem(this.TEMPLATES_KEY, JSON.stringify(templates));
+      return true;
+    } catch (error) {
+      console.error('Failed to save templates:', error);
+
+      if (error.name === 'QuotaExceededError') {
+        this.showStorageFullError();
       }
-    });
-    window.dispatchEvent(event);
+
+      return false;
+    }
   }
 
   /**
-   * 스토리지 정리 (오래된 문서 삭제)
-   * @param {number} keepCount - 유지할 문서 개수
+   * 사용자 정의 PDF 템플릿 가져오기
+   * @returns {Object} 템플릿 맵
    */
-  static cleanupOldDocuments(keepCount = 10) {
+  static getCustomTemplates() {
     try {
-      const documents = this.getAllDocuments();
-      if (documents.length <= keepCount) {
-        return;
-      }
-
-      const sorted = documents.sort((a, b) =>
-        new Date(b.lastModified) - new Date(a.lastModified)
-      );
-
-      const kept = sorted.slice(0, keepCount);
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(kept));
-
-      return documents.length - kept.length;
+      const data = localStorage.getItem(this.TEMPLATES_KEY);
+      return data ? JSON.parse(data) : {};
     } catch (error) {
-      console.error('Failed to cleanup documents:', error);
-      return 0;
+      console.error('Failed to get templates:', error);
+      return {};
     }
   }
 
+  /**
+   * 스토리지 초과 에러 표시
+   */
+  static showStorageFullError() {
+    const event = new CustomEvent('storage-full', {
+      detail: {
+        message: '저장 공간이 부족합니다. 오래된 문서를 삭제하고 휴지통을 비워주세요.'
+      }
+    });
+    window.dispatchEvent(event);
+  }
+
   /**
    * 문서 내보내기 (JSON)
    * @returns {string} JSON 문자열
@@ -252,11 +986,19 @@ class StorageManager {
     try {
       const documents = JSON.parse(jsonString);
 
-      if (!Array.isArray(documents)) {
+      if (!Array.isArray(documents) || documents.some(doc => !doc || doc.id === undefined)) {
         throw new Error('Invalid format');
       }
 
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(documents));
+      // 휴지통은 유지 (가져온 문서와 ID가 같은 것은 제외)
+      const ids = new Set(documents.map(doc => doc.id));
+      const rollback = this.createRollback([...this.documents, ...this.trash, ...documents].map(doc => doc.id));
+      this.setRecords([...documents, ...this.trash.filter(doc => !ids.has(doc.id))]);
+      const records = [...this.documents, ...this.trash];
+      this.write(store => {
+        store.clear();
+        records.forEach(doc => store.put(doc));
+      }, rollback);
       return true;
     } catch (error) {
       console.error('Failed to import documents:', error);
@@ -284,15 +1026,12 @@ class StorageManager {
   }
 }
 
-// 스토리지 이벤트 리스너 (다른 탭에서의 변경 감지)
+// 스토리지 이벤트 리스너 (IndexedDB를 쓸 수 없을 때 다른 탭에서의 변경 감지)
 window.addEventListener('storage', (e) => {
-  if (e.key === StorageManager.STORAGE_KEY) {
-    const event = new CustomEvent('documents-changed', {
-      detail: {
-        oldValue: e.oldValue ? JSON.parse(e.oldValue) : null,
-        newValue: e.newValue ? JSON.parse(e.newValue) : null
-      }
-    });
-    window.dispatchEvent(event);
+  if (e.key === StorageManager.STORAGE_KEY && !StorageManager.db) {
+    StorageManager.setRecords(StorageManager.readLocalStorage());
+    window.dispatchEvent(new CustomEvent('documents-changed', {
+      detail: { documents: StorageManager.getAllDocuments() }
+    }));
   }
 });
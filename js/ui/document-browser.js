@@ -0,0 +1,695 @@
+/**
+ * DocumentBrowser - 내 문서 모달
+ * 왼쪽 폴더 트리/즐겨찾기/태그 필터, 오른쪽 검색·정렬되는 문서 목록
+ * 문서별 즐겨찾기(고정), 폴더 이동(선택 또는 끌어다 놓기), 태그 편집
+ * 삭제한 문서는 휴지통 보기에서 복원하거나 영구 삭제
+ * 검색은 StorageManager.search() 관련도 순, 제목과 본문 조각에 일치 부분 강조
+ */
+class DocumentBrowser {
+  static MODAL_ID = 'documents-list';
+
+  // 문서를 폴더로 끌어다 놓을 때 쓰는 데이터 형식 (파일 드롭과 구분)
+  static DRAG_TYPE = 'application/x-kpdf-document';
+
+  /**
+   * @param {UIManager} uiManager - 모달, 알림
+   */
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.modalManager = uiManager.modalManager;
+
+    // 선택한 보기 (type: all | favorites | folder | trash, folder: 폴더 경로, 빈 문자열은 폴더 없음)
+    this.view = { type: 'all', folder: '' };
+    this.tags = [];
+    this.query = '';
+    this.matches = new Map(); // 문서 ID -> 검색 결과 (강조 위치)
+    this.editingId = null;
+    this.folderInput = null; // 'create' | 'rename' (사이드바/필터 막대의 입력 칸)
+
+    // 다른 탭에서 문서가 바뀌면 열려 있는 목록 갱신
+    window.addEventListener('documents-changed', () => {
+      if (document.getElementById('documents-browser')) this.refresh();
+    });
+  }
+
+  /**
+   * 내 문서 모달 열기
+   */
+  open() {
+    if (StorageManager.getAllDocuments().length === 0 && StorageManager.getTrash().length === 0) {
+      this.modalManager.alert('저장된 문서가 없습니다.');
+      return;
+    }
+
+    // 없어진 폴더/태그 선택은 해제
+    if (this.view.type === 'folder' && this.view.folder && !StorageManager.getFolders().includes(this.view.folder)) {
+      this.view = { type: 'all', folder: '' };
+    }
+    const tagNames = StorageManager.getAllTags().map(tag => tag.name);
+    this.tags = this.tags.filter(tag => tagNames.includes(tag));
+    this.editingId = null;
+    this.folderInput = null;
+
+    const sortBy = StorageManager.getSettings().documentSort;
+    const sortOptions = Object.entries(StorageManager.SORT_OPTIONS)
+      .map(([value, label]) => `<option value="${value}" ${value === sortBy ? 'selected' : ''}>${label}순</option>`)
+      .join('');
+
+    this.modalManager.show(DocumentBrowser.MODAL_ID, {
+      title: '내 문서',
+      size: 'xlarge',
+      content: `
+        <div id="documents-browser" class="flex gap-4" style="height: 60vh;">
+          <aside id="documents-sidebar" class="w-52 flex-shrink-0 overflow-y-auto pr-2 border-r border-gray-200 dark:border-gray-700 text-sm"></aside>
+          <div class="flex-1 min-w-0 flex flex-col">
+            <div class="flex gap-2 mb-3">
+              <input type="text" id="doc-search" placeholder='검색: 여러 단어, "구문", tag:태그, folder:폴더' value="${MarkdownHelper.escapeHTML(this.query)}"
+                class="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white">
+              <select id="doc-sort"
+                class="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-700 dark:text-white">
+                ${sortOptions}
+              </select>
+            </div>
+            <div id="documents-filter"></div>
+            <div id="documents-list" class="flex-1 space-y-2 overflow-y-auto"></div>
+          </div>
+        </div>
+      `,
+      buttons: [
+        { label: '일괄 내보내기 (ZIP)', action: 'batch-export' },
+        { label: '닫기', action: 'close', className: 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600' }
+      ]
+    });
+
+    // 일괄 내보내기 (문서와 형식은 다음 모달에서 선택)
+    this.modalManager.onAction(DocumentBrowser.MODAL_ID, (action) => {
+      if (action === 'batch-export') {
+        window.dispatchEvent(new CustomEvent('open-batch-export'));
+      }
+    });
+
+    this.setupEvents(document.getElementById('documents-browser'));
+    this.refresh();
+  }
+
+  /**
+   * 사이드바, 필터 막대, 문서 목록 다시 그리기
+   */
+  refresh() {
+    const sidebar = document.getElementById('documents-sidebar');
+    if (!sidebar) return;
+
+    sidebar.innerHTML = this.renderSidebar();
+    this.renderList();
+    this.focusFolderInput();
+  }
+
+  /**
+   * 필터 막대와 문서 목록만 다시 그리기 (검색/정렬 변경)
+   */
+  renderList() {
+    const filter = document.getElementById('documents-filter');
+    const list = document.getElementById('documents-list');
+    if (!list) return;
+
+    const trash = this.view.type === 'trash';
+    const documents = trash ? this.getFilteredTrash() : this.getFilteredDocuments();
+    filter.innerHTML = trash ? this.renderTrashBar() : this.renderFilterBar();
+
+    if (documents.length > 0) {
+      list.innerHTML = trash ? this.renderTrashList(documents) : this.renderDocumentsList(documents);
+    } else {
+      list.innerHTML = `<p class="py-8 text-center text-sm text-gray-500 dark:text-gray-400">${trash && !this.query ? '휴지통이 비어 있습니다.' : '조건에 맞는 문서가 없습니다.'}</p>`;
+    }
+  }
+
+  /**
+   * 검색어, 보기, 태그 필터, 정렬을 적용한 문서
+   * @returns {Array} 문서 배열
+   */
+  getFilteredDocuments() {
+    const { terms, phrases } = StorageManager.searchIndex.parse(this.query);
+    const ranked = terms.length + phrases.length > 0;
+    const results = this.query.trim()
+      ? StorageManager.search(this.query)
+      : StorageManager.getAllDocuments().map(document => ({ document }));
+
+    this.matches = new Map(results.map(result => [result.document.id, result]));
+    let documents = results.map(result => result.document);
+
+    if (this.view.type === 'favorites') {
+      documents = documents.filter(doc => doc.pinned);
+    } else if (this.view.type === 'folder') {
+      documents = documents.filter(doc => (doc.folder || '') === this.view.folder);
+    }
+
+    // 태그는 모두 붙은 문서만 (AND)
+    if (this.tags.length > 0) {
+      documents = documents.filter(doc => {
+        const tags = StorageManager.getDocumentTags(doc);
+        return this.tags.every(tag => tags.includes(tag));
+      });
+    }
+
+    // 검색어가 있으면 관련도 순, 필터만 있으면 정렬 기준대로
+    return ranked ? documents : StorageManager.sortDocumentsBy(documents, StorageManager.getSettings().documentSort);
+  }
+
+  /**
+   * 검색어를 적용한 휴지통 문서 (문서 목록과 같은 검색어 문법)
+   * @returns {Array} 문서 배열 (검색어가 있으면 관련도 순, 없으면 최근에 삭제한 문서 먼저)
+   */
+  getFilteredTrash() {
+    const { terms, phrases } = StorageManager.trashIndex.parse(this.query);
+    const ranked = terms.length + phrases.length > 0;
+    const results = this.query.trim()
+      ? StorageManager.searchTrash(this.query)
+      : StorageManager.getTrash().map(document => ({ document }));
+
+    this.matches = new Map(results.map(result => [result.document.id, result]));
+    const documents = results.map(result => result.document);
+
+    // 검색어가 있으면 관련도 순, 필터만 있으면 삭제한 순서대로
+    if (ranked) return documents;
+    const order = new Map(StorageManager.getTrash().map((doc, index) => [doc.id, index]));
+    return documents.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  /**
+   * 사이드바 (모든 문서, 즐겨찾기, 폴더 트리, 태그, 휴지통)
+   * @returns {string} HTML
+   */
+  renderSidebar() {
+    const documents = StorageManager.getAllDocuments();
+    const count = (filter) => documents.filter(filter).length;
+    const isActive = (type, folder = '') => this.view.type === type && (type !== 'folder' || this.view.folder === folder);
+
+    const entry = (label, number, active, attributes, depth = 0) => `
+      <button ${attributes}
+        class="sidebar-entry w-full flex items-center justify-between gap-2 py-1.5 pr-2 rounded text-left ${active ? 'active' : ''}"
+        style="padding-left: ${8 + depth * 14}px;">
+        <span class="truncate">${label}</span>
+        <span class="text-xs text-gray-400">${number}</span>
+      </button>`;
+
+    const folders = StorageManager.getFolders().map(folder => {
+      const depth = folder.split('/').length - 1;
+      const name = folder.split('/').pop();
+      return entry(
+        `📁 ${MarkdownHelper.escapeHTML(name)}`,
+        count(doc => doc.folder === folder),
+        isActive('folder', folder),
+        `data-view="folder" data-folder="${MarkdownHelper.escapeHTML(folder)}" title="${MarkdownHelper.escapeHTML(folder)}"`,
+        depth
+      );
+    }).join('');
+
+    const newFolderInput = this.folderInput === 'create' ? `
+      <input type="text" id="folder-name-input" data-mode="create"
+        placeholder="${this.view.type === 'folder' && this.view.folder ? `${MarkdownHelper.escapeHTML(this.view.folder)}/ 아래 새 폴더` : '새 폴더 이름'}"
+        class="w-full mt-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-white">` : '';
+
+    const tags = StorageManager.getAllTags().map(tag => `
+      <button data-tag="${MarkdownHelper.escapeHTML(tag.name)}" class="tag-chip ${this.tags.includes(tag.name) ? 'active' : ''}">
+        #${MarkdownHelper.escapeHTML(tag.name)} <span class="opacity-60">${tag.count}</span>
+      </button>`).join('');
+
+    return `
+      ${entry('모든 문서', documents.length, isActive('all'), 'data-view="all"')}
+      ${entry('★ 즐겨찾기', count(doc => doc.pinned), isActive('favorites'), 'data-view="favorites"')}
+
+      <div class="flex items-center justify-between mt-4 mb-1 px-2">
+        <span class="text-xs font-semibold text-gray-500 dark:text-gray-400">폴더</span>
+        <button data-action="new-folder" class="text-xs text-blue-600 dark:text-blue-400 hover:underline" title="새 폴더">+ 새 폴더</button>
+      </div>
+      ${entry('폴더 없음', count(doc => !doc.folder), isActive('folder', ''), 'data-view="folder" data-folder=""')}
+      ${folders}
+      ${newFolderInput}
+
+      <div class="mt-4 mb-1 px-2 text-xs font-semibold text-gray-500 dark:text-gray-400">태그</div>
+      <div class="flex flex-wrap gap-1 px-2">
+        ${tags || '<span class="text-xs text-gray-400">태그가 없습니다. 문서의 ✎ 버튼이나 front matter의 tags로 추가하세요.</span>'}
+      </div>
+
+      <div class="mt-4 pt-2 border-t border-gray-200 dark:border-gray-700">
+        ${entry('🗑 휴지통', StorageManager.getTrash().length, isActive('trash'), 'data-view="trash"')}
+      </div>
+    `;
+  }
+
+  /**
+   * 선택한 폴더 관리와 태그 필터 표시 막대
+   * @returns {string} HTML
+   */
+  renderFilterBar() {
+    const parts = [];
+    const folder = this.view.type === 'folder' ? this.view.folder : '';
+
+    if (folder && this.folderInput === 'rename') {
+      parts.push(`
+        <input type="text" id="folder-name-input" data-mode="rename" value="${MarkdownHelper.escapeHTML(folder)}"
+          class="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-white">
+        <span class="text-xs text-gray-400">Enter로 저장, /로 다른 폴더 아래로 이동</span>`);
+    } else if (folder) {
+      parts.push(`
+        <span class="font-medium text-gray-700 dark:text-gray-300">📁 ${MarkdownHelper.escapeHTML(folder)}</span>
+        <button data-action="rename-folder" class="text-xs text-blue-600 dark:text-blue-400 hover:underline">이름 바꾸기</button>
+        <button data-action="delete-folder" class="text-xs text-red-600 dark:text-red-400 hover:underline">폴더 삭제</button>`);
+    }
+
+    if (this.tags.length > 0) {
+      parts.push(`
+        ${this.tags.map(tag => `<button data-tag="${MarkdownHelper.escapeHTML(tag)}" class="tag-chip active">#${MarkdownHelper.escapeHTML(tag)} ✕</button>`).join('')}
+        <button data-action="clear-tags" class="text-xs text-gray-500 hover:underline">태그 필터 해제</button>`);
+    }
+
+    return parts.length > 0
+      ? `<div class="flex flex-wrap items-center gap-2 mb-3 text-sm">${parts.join('<span class="text-gray-300">|</span>')}</div>`
+      : '';
+  }
+
+  /**
+   * 휴지통 안내와 비우기 버튼
+   * @returns {string} HTML
+   */
+  renderTrashBar() {
+    const days = Number(StorageManager.getSettings().trashRetentionDays);
+    const notice = days > 0
+      ? `삭제한 문서는 ${days}일 후 영구 삭제됩니다.`
+      : '삭제한 문서는 직접 비울 때까지 보관됩니다.';
+
+    return `
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-3 text-sm">
+        <span class="text-gray-600 dark:text-gray-400">${notice} (보관 기간은 설정에서 변경)</span>
+        ${StorageManager.getTrash().length > 0 ? '<button data-action="empty-trash" class="text-xs text-red-600 dark:text-red-400 hover:underline">휴지통 비우기</button>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * 휴지통 문서 목록 렌더링
+   * @param {Array} documents - 휴지통 문서 배열
+   * @returns {string} HTML
+   */
+  renderTrashList(documents) {
+    const days = Number(StorageManager.getSettings().trashRetentionDays);
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    return documents.map(doc => {
+      const deletedAt = new Date(doc.deletedAt);
+      const left = days > 0
+        ? ` · ${Math.max(0, Math.ceil((deletedAt.getTime() + days * dayMs - Date.now()) / dayMs))}일 후 영구 삭제`
+        : '';
+      const match = this.matches.get(doc.id) || {};
+      const preview = match.snippet
+        ? this.highlight(match.snippet.text, match.snippet.ranges)
+        : `${MarkdownHelper.escapeHTML(doc.content.substring(0, 100).replace(/\n/g, ' '))}...`;
+      const title = match.titleRanges ? this.highlight(doc.title.normalize('NFC'), match.titleRanges) : MarkdownHelper.escapeHTML(doc.title);
+
+      return `
+        <div class="trash-item p-3 border border-gray-200 dark:border-gray-700 rounded-lg" data-doc-id="${doc.id}">
+          <div class="flex items-start justify-between gap-2">
+            <div class="flex-1 min-w-0">
+              <h5 class="font-semibold text-gray-700 dark:text-gray-300">${title}</h5>
+              <p class="text-sm text-gray-500 dark:text-gray-400 mt-1">${preview}</p>
+              <p class="text-xs text-gray-500 mt-2">${deletedAt.toLocaleString('ko-KR')}에 삭제${left}${doc.folder ? ` · 📁 ${MarkdownHelper.escapeHTML(doc.folder)}` : ''}</p>
+            </div>
+            <button data-action="restore-document" data-doc-id="${doc.id}" class="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700">복원</button>
+            <button data-action="delete-forever" data-doc-id="${doc.id}" class="px-3 py-1 text-sm rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900">영구 삭제</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 문서 목록 렌더링
+   * @param {Array} documents - 문서 배열
+   * @returns {string} HTML
+   */
+  renderDocumentsList(documents) {
+    return documents.map(doc => {
+      const date = new Date(doc.lastModified).toLocaleString('ko-KR');
+      const match = this.matches.get(doc.id) || {};
+      const preview = match.snippet
+        ? this.highlight(match.snippet.text, match.snippet.ranges)
+        : `${MarkdownHelper.escapeHTML(doc.content.substring(0, 100).replace(/\n/g, ' '))}...`;
+      const title = match.titleRanges ? this.highlight(doc.title.normalize('NFC'), match.titleRanges) : MarkdownHelper.escapeHTML(doc.title);
+      const tags = StorageManager.getDocumentTags(doc).map(tag => `
+        <button data-tag="${MarkdownHelper.escapeHTML(tag)}" class="tag-chip ${this.tags.includes(tag) ? 'active' : ''}">#${MarkdownHelper.escapeHTML(tag)}</button>`).join('');
+      const folder = doc.folder && this.view.type !== 'folder'
+        ? `<span class="text-xs text-gray-500 dark:text-gray-400">📁 ${MarkdownHelper.escapeHTML(doc.folder)}</span>`
+        : '';
+
+      return `
+        <div class="doc-item p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer transition-colors" data-doc-id="${doc.id}" draggable="true">
+          <div class="flex items-start justify-between">
+            <button class="doc-pin mr-2 text-lg leading-none ${doc.pinned ? 'text-yellow-500' : 'text-gray-300 dark:text-gray-600 hover:text-yellow-500'}"
+              data-doc-id="${doc.id}" title="${doc.pinned ? '즐겨찾기 해제' : '즐겨찾기 (목록 맨 위에 고정)'}">${doc.pinned ? '★' : '☆'}</button>
+            <div class="flex-1 min-w-0">
+              <h5 class="font-semibold text-gray-900 dark:text-white">${title}</h5>
+              <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">${preview}</p>
+              <div class="flex flex-wrap items-center gap-2 mt-2">
+                <span class="text-xs text-gray-500 dark:text-gray-500">${date}</span>
+                ${folder}
+                ${tags}
+              </div>
+              ${this.editingId === doc.id ? this.renderOrganizePanel(doc) : ''}
+            </div>
+            <button class="doc-edit ml-2 p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-600 rounded" data-doc-id="${doc.id}" title="폴더/태그">
+              <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"></path>
+              </svg>
+            </button>
+            <button class="doc-delete ml-1 p-1 text-red-600 hover:bg-red-50 dark:hover:bg-red-900 rounded" data-doc-id="${doc.id}">
+              <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 문서 폴더/태그 편집 칸
+   * @param {Object} doc - 문서 객체
+   * @returns {string} HTML
+   */
+  renderOrganizePanel(doc) {
+    const folders = StorageManager.getFolders()
+      .map(folder => `<option value="${MarkdownHelper.escapeHTML(folder)}" ${folder === doc.folder ? 'selected' : ''}>${MarkdownHelper.escapeHTML(folder)}</option>`)
+      .join('');
+    const own = doc.tags || [];
+    const fromFrontMatter = StorageManager.getDocumentTags({ content: doc.content }).filter(tag => !own.includes(tag));
+
+    return `
+      <div class="doc-organize mt-3 p-3 rounded bg-gray-50 dark:bg-gray-800 space-y-2 cursor-default">
+        <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <span class="w-10">폴더</span>
+          <select class="doc-folder-select flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white">
+            <option value="">폴더 없음</option>
+            ${folders}
+          </select>
+        </label>
+        <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <span class="w-10">태그</span>
+          <input type="text" class="doc-tags-input flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            value="${MarkdownHelper.escapeHTML(own.join(', '))}" placeholder="쉼표로 구분 (예: 회의, 2026)">
+        </label>
+        ${fromFrontMatter.length > 0 ? `<p class="text-xs text-gray-500 dark:text-gray-400">front matter 태그: ${MarkdownHelper.escapeHTML(fromFrontMatter.join(', '))} (문서에서 수정)</p>` : ''}
+        <div class="flex justify-end gap-2">
+          <button data-action="cancel-organize" class="px-3 py-1 text-sm rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600">취소</button>
+          <button data-action="save-organize" data-doc-id="${doc.id}" class="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700">저장</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 모달 이벤트 설정 (내용을 다시 그려도 유지되도록 바깥 요소에 위임)
+   * @param {HTMLElement} root - #documents-browser
+   */
+  setupEvents(root) {
+    root.addEventListener('click', (e) => this.handleClick(e));
+
+    document.getElementById('doc-search').addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.renderList();
+    });
+
+    document.getElementById('doc-sort').addEventListener('change', (e) => {
+      const settings = StorageManager.getSettings();
+      settings.documentSort = e.target.value;
+      StorageManager.saveSettings(settings);
+      this.renderList();
+    });
+
+    // 폴더 이름 입력: Enter 저장, Esc 취소 (모달이 닫히지 않도록 전파 중단)
+    root.addEventListener('keydown', (e) => {
+      if (e.target.id !== 'folder-name-input') return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submitFolderInput(e.target);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.folderInput = null;
+        this.refresh();
+      }
+    });
+
+    // 문서를 폴더로 끌어다 놓기
+    root.addEventListener('dragstart', (e) => {
+      const item = e.target.closest && e.target.closest('.doc-item');
+      if (!item) return;
+      e.dataTransfer.setData(DocumentBrowser.DRAG_TYPE, item.dataset.docId);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    root.addEventListener('dragover', (e) => {
+      if (!Array.from(e.dataTransfer.types).includes(DocumentBrowser.DRAG_TYPE)) return;
+
+      // 파일 드롭 영역이 뜨지 않도록 body까지 전파하지 않음
+      e.stopPropagation();
+      const target = e.target.closest('[data-folder]');
+      root.querySelectorAll('.drop-target').forEach(el => el !== target && el.classList.remove('drop-target'));
+      if (target) {
+        e.preventDefault();
+        target.classList.add('drop-target');
+      }
+    });
+
+    root.addEventListener('drop', (e) => {
+      const target = e.target.closest('[data-folder]');
+      const docId = e.dataTransfer.getData(DocumentBrowser.DRAG_TYPE);
+      if (!target || !docId) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      StorageManager.updateDocument(parseInt(docId), { folder: target.dataset.folder });
+      this.uiManager.showToast('success', target.dataset.folder ? `'${target.dataset.folder}' 폴더로 옮겼습니다.` : '폴더에서 뺐습니다.');
+      this.refresh();
+    });
+
+    root.addEventListener('dragend', () => {
+      root.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    });
+  }
+
+  /**
+   * 모달 안 클릭 처리
+   * @param {MouseEvent} e - 클릭 이벤트
+   */
+  handleClick(e) {
+    const action = e.target.closest('[data-action]');
+    if (action) {
+      this.runAction(action.dataset.action, action);
+      return;
+    }
+
+    const tag = e.target.closest('[data-tag]');
+    if (tag) {
+      const name = tag.dataset.tag;
+      if (this.view.type === 'trash') this.view = { type: 'all', folder: '' };
+      this.tags = this.tags.includes(name) ? this.tags.filter(t => t !== name) : [...this.tags, name];
+      this.refresh();
+      return;
+    }
+
+    const view = e.target.closest('[data-view]');
+    if (view) {
+      this.view = { type: view.dataset.view, folder: view.dataset.folder || '' };
+      this.folderInput = null;
+      this.refresh();
+      return;
+    }
+
+    // 편집 칸 안의 입력은 문서 열기로 처리하지 않음
+    if (e.target.closest('.doc-organize')) return;
+
+    const pin = e.target.closest('.doc-pin');
+    if (pin) {
+      const doc = StorageManager.getDocument(parseInt(pin.dataset.docId));
+      StorageManager.updateDocument(doc.id, { pinned: !doc.pinned });
+      this.refresh();
+      return;
+    }
+
+    const edit = e.target.closest('.doc-edit');
+    if (edit) {
+      const docId = parseInt(edit.dataset.docId);
+      this.editingId = this.editingId === docId ? null : docId;
+      this.renderList();
+      return;
+    }
+
+    const remove = e.target.closest('.doc-delete');
+    if (remove) {
+      this.deleteDocument(parseInt(remove.dataset.docId));
+      return;
+    }
+
+    const item = e.target.closest('.doc-item');
+    if (item) {
+      const document = StorageManager.getDocument(parseInt(item.dataset.docId));
+      if (document) {
+        window.dispatchEvent(new CustomEvent('load-document', {
+          detail: { document }
+        }));
+        this.modalManager.close(DocumentBrowser.MODAL_ID);
+        this.uiManager.showToast('success', '문서를 불러왔습니다.');
+      }
+    }
+  }
+
+  /**
+   * data-action 버튼 실행
+   * @param {string} action - 동작 이름
+   * @param {HTMLElement} button - 누른 버튼
+   */
+  runAction(action, button) {
+    switch (action) {
+      case 'new-folder':
+        this.folderInput = 'create';
+        this.refresh();
+        break;
+      case 'rename-folder':
+        this.folderInput = 'rename';
+        this.refresh();
+        break;
+      case 'delete-folder': {
+        const folder = this.view.folder;
+        this.modalManager.confirm(`'${MarkdownHelper.escapeHTML(folder)}' 폴더를 삭제하시겠습니까? 안의 문서와 하위 폴더는 상위 폴더로 옮겨집니다.`, () => {
+          StorageManager.deleteFolder(folder);
+          this.view = { type: 'all', folder: '' };
+          this.uiManager.showToast('success', '폴더를 삭제했습니다.');
+          this.open();
+        }, () => this.open());
+        break;
+      }
+      case 'restore-document': {
+        const docId = parseInt(button.dataset.docId);
+        if (!StorageManager.restoreDocument(docId)) {
+          this.uiManager.showToast('error', '문서를 복원하지 못했습니다.');
+          this.refresh();
+          break;
+        }
+        this.uiManager.showToast('success', `'${StorageManager.getDocument(docId).title}' 문서를 복원했습니다.`);
+        this.refresh();
+        break;
+      }
+      case 'delete-forever': {
+        const docId = parseInt(button.dataset.docId);
+        this.modalManager.confirm('이 문서를 영구 삭제하시겠습니까? 버전 기록도 함께 삭제되며 되돌릴 수 없습니다.', () => {
+          StorageManager.deleteDocumentPermanently(docId);
+          this.uiManager.showToast('success', '문서를 영구 삭제했습니다.');
+          this.open();
+        }, () => this.open());
+        break;
+      }
+      case 'empty-trash':
+        this.modalManager.confirm(`휴지통의 문서 ${StorageManager.getTrash().length}개를 영구 삭제하시겠습니까? 되돌릴 수 없습니다.`, () => {
+          StorageManager.emptyTrash();
+          this.uiManager.showToast('success', '휴지통을 비웠습니다.');
+          this.open();
+        }, () => this.open());
+        break;
+      case 'clear-tags':
+        this.tags = [];
+        this.refresh();
+        break;
+      case 'cancel-organize':
+        this.editingId = null;
+        this.renderList();
+        break;
+      case 'save-organize': {
+        const panel = button.closest('.doc-organize');
+        StorageManager.updateDocument(parseInt(button.dataset.docId), {
+          folder: panel.querySelector('.doc-folder-select').value,
+          tags: panel.querySelector('.doc-tags-input').value
+        });
+        this.editingId = null;
+        this.refresh();
+        break;
+      }
+    }
+  }
+
+  /**
+   * 폴더 이름 입력 저장 (새 폴더는 선택한 폴더 아래에 만듦)
+   * @param {HTMLInputElement} input - #folder-name-input
+   */
+  submitFolderInput(input) {
+    const name = input.value.trim();
+    this.folderInput = null;
+
+    if (input.dataset.mode === 'rename') {
+      const from = this.view.folder;
+      const to = StorageManager.normalizeFolder(name);
+      if (to && to !== from) {
+        if (StorageManager.renameFolder(from, to)) {
+          this.view = { type: 'folder', folder: to };
+        } else {
+          this.uiManager.showToast('error', '폴더를 자기 하위 폴더로 옮길 수 없습니다.');
+        }
+      }
+    } else if (name) {
+      const parent = this.view.type === 'folder' ? this.view.folder : '';
+      const folder = StorageManager.createFolder(parent ? `${parent}/${name}` : name);
+      if (folder) this.view = { type: 'folder', folder };
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * 폴더 이름 입력 칸에 포커스
+   */
+  focusFolderInput() {
+    const input = document.getElementById('folder-name-input');
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * 문서 삭제 (휴지통으로 옮기고 알림에서 실행 취소)
+   * @param {number} docId - 문서 ID
+   */
+  deleteDocument(docId) {
+    if (!StorageManager.deleteDocument(docId)) {
+      this.uiManager.showToast('error', '문서를 삭제하지 못했습니다.');
+      return;
+    }
+
+    this.refresh();
+    this.uiManager.showToast('success', '문서를 휴지통으로 옮겼습니다.', 6000, {
+      label: '실행 취소',
+      onClick: () => {
+        if (!StorageManager.restoreDocument(docId)) {
+          this.uiManager.showToast('error', '문서를 복원하지 못했습니다.');
+        }
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * 검색 일치 부분 강조
+   * @param {string} text - 텍스트
+   * @param {Array<Array<number>>} ranges - [시작, 끝] 배열
+   * @returns {string} HTML
+   */
+  highlight(text, ranges) {
+    let html = '';
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < last) return;
+      html += `${MarkdownHelper.escapeHTML(text.slice(last, start))}<mark class="search-hit">${MarkdownHelper.escapeHTML(text.slice(start, end))}</mark>`;
+      last = end;
+    });
+    return html + MarkdownHelper.escapeHTML(text.slice(last));
+  }
+}
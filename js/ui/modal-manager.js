@@ -6,6 +6,8 @@ class ModalManager {
   constructor() {
     this.modals = new Map();
     this.activeModal = null;
+    // 모달 ID -> 액션 콜백 (모달이 닫히면 제거)
+    this.actionHandlers = new Map();
   }
 
   /**
@@ -122,6 +124,7 @@ class ModalManager {
     if (!modal) return;
 
     modal.classList.remove('active');
+    this.actionHandlers.delete(id);
 
     setTimeout(() => {
       modal.remove();
@@ -157,12 +160,27 @@ class ModalManager {
     document.addEventListener('keydown', handler);
   }
 
+  /**
+   * 열려 있는 모달의 액션 콜백 등록 ('닫기', ESC 등으로 모달이 닫히면 함께 해제)
+   * @param {string} id - 모달 ID
+   * @param {Function} handler - (action) => void
+   */
+  onAction(id, handler) {
+    if (!this.modals.has(id)) return;
+    this.actionHandlers.set(id, handler);
+  }
+
   /**
    * 액션 트리거
    * @param {string} id - 모달 ID
    * @param {string} action - 액션 이름
    */
   triggerAction(id, action) {
+    const handler = this.actionHandlers.get(id);
+    if (handler) {
+      handler(action);
+    }
+
     const event = new CustomEvent('modal-action', {
       detail: {
         modalId: id,
@@ -0,0 +1,461 @@
+/**
+ * SlidePresenter - 슬라이드 발표 모드
+ * 문서를 --- 구분선(없으면 ## 제목) 기준으로 슬라이드로 나눠 전체화면으로 발표하고,
+ * 발표자 노트(Note:)와 함께 단독 실행 HTML 슬라이드로 내보내기
+ */
+class SlidePresenter {
+  static ROOT_ID = 'slide-presenter';
+
+  // 슬라이드 기준 크기 (16:9, 화면에 맞춰 확대/축소)
+  static SLIDE_WIDTH = 960;
+  static SLIDE_HEIGHT = 540;
+
+  // 앞뒤가 빈 줄인 --- 만 구분선 (바로 위가 글이면 setext 제목 밑줄)
+  static SEPARATOR_PATTERN = /^ {0,3}---\s*$/;
+  static HEADING_PATTERN = /^ {0,3}##\s/;
+  static NOTES_PATTERN = /^ {0,3}notes?:\s?(.*)$/i;
+  static FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+
+  /**
+   * @param {EditorManager} editorManager - 마크다운 파싱, 템플릿 조회
+   * @param {UIManager} uiManager - 전체화면, 알림
+   */
+  constructor(editorManager, uiManager) {
+    this.editorManager = editorManager;
+    this.uiManager = uiManager;
+    this.root = null;
+    this.slides = [];
+    this.index = 0;
+    this.keydownHandler = (e) => this.handleKeydown(e);
+    this.resizeHandler = () => this.fit();
+  }
+
+  /**
+   * 마크다운을 슬라이드 단위로 나누기
+   * @param {string} markdown - 마크다운 (front matter 포함 가능)
+   * @returns {Array<Object>} { content, notes } 목록 (마크다운)
+   */
+  static splitSlides(markdown) {
+    const lines = MarkdownHelper.parseFrontMatter(markdown).body.split('\n');
+    const isBlank = (i) => i < 0 || i >= lines.length || lines[i].trim() === '';
+
+    // 코드 블록 밖의 구분선/제목 위치
+    const separators = [];
+    const headings = [];
+    let inFence = false;
+    lines.forEach((line, i) => {
+      if (SlidePresenter.FENCE_PATTERN.test(line)) inFence = !inFence;
+      if (inFence) return;
+      if (SlidePresenter.SEPARATOR_PATTERN.test(line) && isBlank(i - 1) && isBlank(i + 1)) separators.push(i);
+      if (SlidePresenter.HEADING_PATTERN.test(line)) headings.push(i);
+    });
+
+    const chunks = [];
+    if (separators.length > 0) {
+      let start = 0;
+      separators.forEach(i => {
+        chunks.push(lines.slice(start, i));
+        start = i + 1;
+      });
+      chunks.push(lines.slice(start));
+    } else {
+      // 구분선이 없으면 ## 제목마다 새 슬라이드 (첫 제목 앞 내용은 표지 슬라이드)
+      let start = 0;
+      headings.forEach(i => {
+        if (i > start) chunks.push(lines.slice(start, i));
+        start = i;
+      });
+      chunks.push(lines.slice(start));
+    }
+
+    return chunks
+      .map(chunk => SlidePresenter.splitNotes(chunk))
+      .filter(slide => slide.content.trim() || slide.notes.trim());
+  }
+
+  /**
+   * 슬라이드 본문과 발표자 노트(Note: 이후) 분리
+   * @param {Array<string>} lines - 슬라이드 줄 목록
+   * @returns {Object} { content, notes }
+   */
+  static splitNotes(lines) {
+    let inFence = false;
+    for (let i = 0; i < lines.length; i++) {
+      if (SlidePresenter.FENCE_PATTERN.test(lines[i])) inFence = !inFence;
+      const match = !inFence && SlidePresenter.NOTES_PATTERN.exec(lines[i]);
+      if (match) {
+        return {
+          content: lines.slice(0, i).join('\n').trim(),
+          notes: [match[1], ...lines.slice(i + 1)].join('\n').trim()
+        };
+      }
+    }
+    return { content: lines.join('\n').trim(), notes: '' };
+  }
+
+  /**
+   * 슬라이드 HTML 목록 (미리보기와 같은 parseMarkdown 사용)
+   * @param {string} markdown - 마크다운
+   * @returns {Array<Object>} { html, notes } 목록
+   */
+  createSlides(markdown) {
+    return SlidePresenter.splitSlides(markdown).map(slide => ({
+      html: this.editorManager.parseMarkdown(slide.content),
+      notes: slide.notes ? this.editorManager.parseMarkdown(slide.notes) : ''
+    }));
+  }
+
+  /* ------------------------------------------------------------------
+   * 발표 모드
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 발표 시작 (전체화면)
+   * @param {string} markdown - 마크다운
+   */
+  open(markdown) {
+    this.slides = this.createSlides(markdown);
+    if (this.slides.length === 0) {
+      this.uiManager.showToast('warning', '발표할 내용이 없습니다.');
+      return;
+    }
+
+    this.close();
+    this.root = this.createRoot();
+    document.body.appendChild(this.root);
+    document.body.classList.add('overflow-hidden');
+
+    document.addEventListener('keydown', this.keydownHandler);
+    window.addEventListener('resize', this.resizeHandler);
+
+    this.show(0);
+    this.uiManager.toggleFullscreen(this.root);
+  }
+
+  /**
+   * 발표 종료
+   */
+  close() {
+    if (!this.root) return;
+
+    if (document.fullscreenElement === this.root) {
+      document.exitFullscreen();
+    }
+    document.removeEventListener('keydown', this.keydownHandler);
+    window.removeEventListener('resize', this.resizeHandler);
+    document.body.classList.remove('overflow-hidden');
+    this.root.remove();
+    this.root = null;
+  }
+
+  /**
+   * 발표 화면 요소 생성
+   * @returns {HTMLElement} 루트 요소
+   */
+  createRoot() {
+    const root = document.createElement('div');
+    root.id = SlidePresenter.ROOT_ID;
+    root.className = 'slide-presenter';
+    root.tabIndex = -1;
+
+    const template = this.editorManager.getTemplate();
+    const sections = this.slides.map((slide, i) => `<section class="slide" data-index="${i}">${slide.html}</section>`).join('');
+
+    root.innerHTML = `
+      <style>${this.editorManager.getPreviewCSS(`#${SlidePresenter.ROOT_ID} .slide`, template)}</style>
+      <div class="slide-stage">
+        <div class="slide-canvas" style="width: ${SlidePresenter.SLIDE_WIDTH}px; height: ${SlidePresenter.SLIDE_HEIGHT}px; font-family: ${TemplateManager.getCSSFontFamily(template)};">
+          ${sections}
+        </div>
+      </div>
+      <aside class="slide-notes hidden"></aside>
+      <div class="slide-controls">
+        <button data-slide-action="prev" title="이전 (←)">‹</button>
+        <span class="slide-counter"></span>
+        <button data-slide-action="next" title="다음 (→)">›</button>
+        <button data-slide-action="notes" title="발표자 노트 (N)">노트</button>
+        <button data-slide-action="fullscreen" title="전체화면 (F)">전체화면</button>
+        <button data-slide-action="close" title="종료 (Esc)">✕</button>
+      </div>
+      <div class="slide-progress"><div class="slide-progress-fill"></div></div>
+    `;
+
+    root.querySelector('.slide-controls').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-slide-action]');
+      if (button) this.runAction(button.dataset.slideAction);
+    });
+    return root;
+  }
+
+  /**
+   * 슬라이드 표시 (처음 표시할 때 수식/다이어그램/코드 렌더링)
+   * @param {number} index - 슬라이드 번호 (0부터)
+   */
+  show(index) {
+    if (!this.root) return;
+
+    this.index = Math.max(0, Math.min(index, this.slides.length - 1));
+    const sections = this.root.querySelectorAll('.slide');
+    sections.forEach((section, i) => section.classList.toggle('active', i === this.index));
+
+    const current = sections[this.index];
+    if (!current.dataset.rendered) {
+      this.renderSlide(current);
+      current.dataset.rendered = 'true';
+    }
+
+    this.root.querySelector('.slide-counter').textContent = `${this.index + 1} / ${this.slides.length}`;
+    this.root.querySelector('.slide-progress-fill').style.width = `${((this.index + 1) / this.slides.length) * 100}%`;
+    this.root.querySelector('.slide-notes').innerHTML = this.slides[this.index].notes || '<p class="slide-notes-empty">노트 없음</p>';
+    this.fit();
+  }
+
+  /**
+   * 슬라이드 안의 수식, 다이어그램, 코드 렌더링
+   * @param {HTMLElement} section - 슬라이드 요소
+   */
+  renderSlide(section) {
+    if (typeof renderMathInElement !== 'undefined') {
+      try {
+        renderMathInElement(section, {
+          delimiters: [
+            {left: '$$', right: '$$', display: true},
+            {left: '$', right: '$', display: false},
+            {left: '\\(', right: '\\)', display: false},
+            {left: '\\[', right: '\\]', display: true}
+          ],
+          throwOnError: false
+        });
+      } catch (err) {
+        console.error('KaTeX error:', err);
+      }
+    }
+
+    const mermaidNodes = section.querySelectorAll('.mermaid');
+    if (typeof mermaid !== 'undefined' && mermaidNodes.length > 0) {
+      try {
+        mermaid.init(undefined, mermaidNodes);
+      } catch (err) {
+        console.error('Mermaid error:', err);
+      }
+    }
+
+    if (typeof hljs !== 'undefined') {
+      section.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    }
+  }
+
+  /**
+   * 화면 크기에 맞춰 슬라이드 배율 조정
+   */
+  fit() {
+    if (!this.root) return;
+
+    const stage = this.root.querySelector('.slide-stage');
+    const canvas = this.root.querySelector('.slide-canvas');
+    const scale = Math.min(stage.clientWidth / SlidePresenter.SLIDE_WIDTH, stage.clientHeight / SlidePresenter.SLIDE_HEIGHT);
+    canvas.style.transform = `scale(${scale > 0 ? scale : 1})`;
+  }
+
+  /**
+   * 조작 버튼/단축키 동작
+   * @param {string} action - prev | next | first | last | notes | fullscreen | close
+   */
+  runAction(action) {
+    switch (action) {
+      case 'prev':
+        this.show(this.index - 1);
+        break;
+      case 'next':
+        this.show(this.index + 1);
+        break;
+      case 'first':
+        this.show(0);
+        break;
+      case 'last':
+        this.show(this.slides.length - 1);
+        break;
+      case 'notes':
+        this.root.querySelector('.slide-notes').classList.toggle('hidden');
+        this.fit();
+        break;
+      case 'fullscreen':
+        this.uiManager.toggleFullscreen(this.root);
+        break;
+      case 'close':
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * 발표 중 키보드 조작
+   * @param {KeyboardEvent} e - 키보드 이벤트
+   */
+  handleKeydown(e) {
+    const actions = {
+      ArrowRight: 'next',
+      ArrowDown: 'next',
+      PageDown: 'next',
+      ' ': 'next',
+      Enter: 'next',
+      ArrowLeft: 'prev',
+      ArrowUp: 'prev',
+      PageUp: 'prev',
+      Backspace: 'prev',
+      Home: 'first',
+      End: 'last',
+      n: 'notes',
+      N: 'notes',
+      s: 'notes',
+      S: 'notes',
+      f: 'fullscreen',
+      F: 'fullscreen',
+      Escape: 'close'
+    };
+
+    // Shift+Space는 이전 슬라이드
+    const action = e.key === ' ' && e.shiftKey ? 'prev' : actions[e.key];
+    if (!action || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    e.preventDefault();
+    this.runAction(action);
+  }
+
+  /* ------------------------------------------------------------------
+   * 슬라이드 HTML 내보내기
+   * ------------------------------------------------------------------ */
+
+  /**
+   * 단독 실행 HTML 슬라이드 (reveal.js 방식의 section 구조, 키보드 조작, 발표자 노트)
+   * @param {string} markdown - 마크다운
+   * @param {string} title - 문서 제목
+   * @returns {string} HTML 문서
+   */
+  buildDeckHTML(markdown, title) {
+    const template = this.editorManager.getTemplate();
+    const slides = this.createSlides(markdown);
+    const escapedTitle = MarkdownHelper.escapeHTML(title || 'Slides');
+
+    const sections = slides.map(slide => `<section>
+${slide.html}${slide.notes ? `<aside class="notes">${slide.notes}</aside>` : ''}
+</section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapedTitle}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css">
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/styles/default.min.css">
+  <style>
+    html, body { margin: 0; height: 100%; background: #111; overflow: hidden; }
+    .reveal { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; }
+    .reveal.with-notes { bottom: 30%; }
+    .slides { position: relative; width: ${SlidePresenter.SLIDE_WIDTH}px; height: ${SlidePresenter.SLIDE_HEIGHT}px; flex-shrink: 0;
+      font-family: ${TemplateManager.getCSSFontFamily(template)}; line-height: ${template.lineHeight}; }
+    .slides > section { display: none; position: absolute; inset: 0; box-sizing: border-box; padding: 48px 64px;
+      background: #fff; color: ${template.colors.primary}; font-size: 24px; overflow: hidden; }
+    .slides > section.present { display: flex; flex-direction: column; justify-content: center; }
+    .slides > section > h1:first-child:last-child, .slides > section > h1:first-child { text-align: center; }
+    .slides img, .slides svg { max-width: 100%; max-height: 360px; }
+    .slides pre { padding: 12px 16px; border-radius: 6px; font-size: 0.7em; overflow: auto; }
+    .slides table { font-size: 0.8em; }
+    .notes { display: none; }
+    .speaker-notes { display: none; position: absolute; left: 0; right: 0; bottom: 0; height: 30%; box-sizing: border-box;
+      padding: 16px 24px; background: #222; color: #eee; font-family: sans-serif; overflow: auto; }
+    .speaker-notes.visible { display: block; }
+    .deck-controls { position: fixed; right: 16px; bottom: 12px; color: #aaa; font: 14px sans-serif; z-index: 2; }
+    .deck-controls button { background: none; border: 0; color: #ccc; font-size: 20px; cursor: pointer; }
+    .deck-progress { position: fixed; left: 0; bottom: 0; height: 4px; background: ${template.colors.accent}; transition: width 0.2s; z-index: 2; }
+    ${this.editorManager.getPreviewCSS('.slides > section', template)}
+  </style>
+</head>
+<body>
+<div class="reveal"><div class="slides">
+${sections}
+</div></div>
+<div class="speaker-notes"></div>
+<div class="deck-controls"><button data-go="-1" title="이전">‹</button> <span class="deck-counter"></span> <button data-go="1" title="다음">›</button></div>
+<div class="deck-progress"></div>
+<script src="https://cdn.jsdelivr.net/npm/mermaid@9.4.3/dist/mermaid.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/contrib/auto-render.min.js"></script>
+<script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/highlight.min.js"></script>
+<script>
+(function() {
+  var slides = Array.prototype.slice.call(document.querySelectorAll('.slides > section'));
+  var reveal = document.querySelector('.reveal');
+  var deck = document.querySelector('.slides');
+  var notes = document.querySelector('.speaker-notes');
+  var current = 0;
+
+  if (typeof mermaid !== 'undefined') mermaid.initialize({ startOnLoad: false });
+  if (typeof renderMathInElement !== 'undefined') {
+    renderMathInElement(deck, {
+      delimiters: [
+        {left: '$$', right: '$$', display: true},
+        {left: '$', right: '$', display: false},
+        {left: '\\\\(', right: '\\\\)', display: false},
+        {left: '\\\\[', right: '\\\\]', display: true}
+      ],
+      throwOnError: false
+    });
+  }
+  if (typeof hljs !== 'undefined') {
+    deck.querySelectorAll('pre code').forEach(function(block) { hljs.highlightElement(block); });
+  }
+
+  function fit() {
+    var scale = Math.min(reveal.clientWidth / ${SlidePresenter.SLIDE_WIDTH}, reveal.clientHeight / ${SlidePresenter.SLIDE_HEIGHT});
+    deck.style.transform = 'scale(' + scale + ')';
+  }
+
+  function show(index) {
+    current = Math.max(0, Math.min(index, slides.length - 1));
+    slides.forEach(function(slide, i) { slide.classList.toggle('present', i === current); });
+
+    // 다이어그램은 보이는 상태에서 렌더링해야 크기가 맞음
+    var diagrams = slides[current].querySelectorAll('.mermaid:not([data-processed])');
+    if (diagrams.length && typeof mermaid !== 'undefined') mermaid.init(undefined, diagrams);
+
+    var aside = slides[current].querySelector('aside.notes');
+    notes.innerHTML = aside ? aside.innerHTML : '<p>노트 없음</p>';
+    document.querySelector('.deck-counter').textContent = (current + 1) + ' / ' + slides.length;
+    document.querySelector('.deck-progress').style.width = ((current + 1) / slides.length * 100) + '%';
+    if (location.hash !== '#/' + (current + 1)) history.replaceState(null, '', '#/' + (current + 1));
+  }
+
+  document.addEventListener('keydown', function(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    var key = e.key;
+    if (['ArrowRight', 'ArrowDown', 'PageDown', 'Enter'].indexOf(key) !== -1 || (key === ' ' && !e.shiftKey)) show(current + 1);
+    else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'].indexOf(key) !== -1 || (key === ' ' && e.shiftKey)) show(current - 1);
+    else if (key === 'Home') show(0);
+    else if (key === 'End') show(slides.length - 1);
+    else if (key === 's' || key === 'S' || key === 'n' || key === 'N') {
+      notes.classList.toggle('visible');
+      reveal.classList.toggle('with-notes', notes.classList.contains('visible'));
+      fit();
+    } else if (key === 'f' || key === 'F') {
+      if (!document.fullscreenElement) document.documentElement.requestFullscreen();
+      else document.exitFullscreen();
+    } else return;
+    e.preventDefault();
+  });
+
+  document.querySelectorAll('.deck-controls [data-go]').forEach(function(button) {
+    button.addEventListener('click', function() { show(current + Number(button.getAttribute('data-go'))); });
+  });
+  window.addEventListener('resize', fit);
+
+  var start = parseInt((location.hash.match(/^#\\/(\\d+)/) || [])[1], 10);
+  fit();
+  show(start ? start - 1 : 0);
+})();
+</script>
+</body>
+</html>`;
+  }
+}
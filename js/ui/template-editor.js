@@ -0,0 +1,452 @@
+/**
+ * TemplateEditor - PDF 템플릿 편집기 클래스
+ * 사용자 정의 템플릿 생성, 복제, 수정, 삭제 및 JSON 가져오기/내보내기 모달 제공
+ */
+class TemplateEditor {
+  static LIST_MODAL_ID = 'template-list';
+  static FORM_MODAL_ID = 'template-form';
+
+  // 편집 폼 선택지
+  static FONT_OPTIONS = {
+    NanumGothic: '나눔고딕',
+    NanumMyeongjo: '나눔명조',
+    NanumPen: '나눔펜'
+  };
+
+  static PAGE_SIZE_OPTIONS = {
+    a4: 'A4 (210 × 297mm)',
+    letter: 'Letter (8.5 × 11in)'
+  };
+
+  static COLOR_LABELS = {
+    primary: '본문',
+    secondary: '보조',
+    accent: '강조',
+    code: '코드 배경',
+    codeText: '코드 글자'
+  };
+
+  static SLOT_LABELS = {
+    left: '왼쪽',
+    center: '가운데',
+    right: '오른쪽'
+  };
+
+  static MARGIN_LABELS = {
+    top: '위',
+    right: '오른쪽',
+    bottom: '아래',
+    left: '왼쪽'
+  };
+
+  /**
+   * @param {TemplateManager} templateManager - 템플릿 관리자
+   * @param {UIManager} uiManager - 토스트/모달 표시용 UI 관리자
+   */
+  constructor(templateManager, uiManager) {
+    this.templateManager = templateManager;
+    this.uiManager = uiManager;
+    this.modalManager = uiManager.modalManager;
+  }
+
+  /**
+   * 템플릿 목록 모달 열기
+   */
+  open() {
+    const content = `
+      <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        내장 템플릿은 복제해서 수정할 수 있습니다. 사용자 정의 템플릿은 브라우저에 저장되며 JSON 파일로 공유할 수 있습니다.
+      </p>
+      <div id="template-list" class="space-y-2 max-h-96 overflow-y-auto">
+        ${this.renderList()}
+      </div>
+    `;
+
+    this.modalManager.show(TemplateEditor.LIST_MODAL_ID, {
+      title: '🎨 PDF 템플릿 관리',
+      content: content,
+      size: 'large',
+      buttons: [
+        { label: '가져오기', action: 'import' },
+        { label: '내보내기', action: 'export' },
+        { label: '새 템플릿', action: 'create', className: 'bg-blue-600 text-white hover:bg-blue-700' },
+        { label: '닫기', action: 'close' }
+      ]
+    });
+
+    this.setupListEvents();
+    this.modalManager.onAction(TemplateEditor.LIST_MODAL_ID, (action) => {
+      if (action === 'create') {
+        this.openForm(TemplateManager.normalize({
+          ...TemplateManager.getFallbackTemplate(),
+          name: this.templateManager.createUniqueName('custom'),
+          displayName: '새 템플릿',
+          description: ''
+        }), null);
+      } else if (action === 'import') {
+        this.importFromFile();
+      } else if (action === 'export') {
+        this.exportToFile();
+      }
+    });
+  }
+
+  /**
+   * 템플릿 목록 렌더링
+   * @returns {string} HTML
+   */
+  renderList() {
+    const activeName = StorageManager.getSettings().defaultTemplate;
+
+    return this.templateManager.getAllTemplates().map(template => {
+      const builtin = this.templateManager.isBuiltin(template.name);
+      const swatches = Object.keys(TemplateEditor.COLOR_LABELS)
+        .map(key => `<span class="inline-block w-4 h-4 rounded border border-gray-300 dark:border-gray-600" style="background: ${TemplateManager.isColor(template.colors[key]) ? template.colors[key] : 'transparent'}"></span>`)
+        .join('');
+
+      return `
+        <div class="p-3 border border-gray-200 dark:border-gray-700 rounded-lg" data-template="${MarkdownHelper.escapeHTML(template.name)}">
+          <div class="flex items-start justify-between">
+            <div class="flex-1">
+              <h5 class="font-semibold text-gray-900 dark:text-white">
+                ${MarkdownHelper.escapeHTML(template.displayName || template.name)}
+                <span class="ml-1 text-xs font-normal text-gray-500">${MarkdownHelper.escapeHTML(template.name)}</span>
+                ${builtin ? '<span class="ml-1 px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">내장</span>' : ''}
+                ${template.name === activeName ? '<span class="ml-1 text-xs text-blue-600 dark:text-blue-400">사용 중</span>' : ''}
+              </h5>
+              <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">${MarkdownHelper.escapeHTML(template.description || '')}</p>
+              <div class="flex items-center gap-1 mt-2">
+                ${swatches}
+                <span class="ml-2 text-xs text-gray-500">${TemplateEditor.FONT_OPTIONS[template.font] || template.font} · ${template.fontSize}pt · ${template.pageSize.toUpperCase()} ${template.orientation === 'landscape' ? '가로' : '세로'}</span>
+              </div>
+            </div>
+            <div class="flex items-center gap-1 ml-2 text-sm">
+              <button class="template-duplicate px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300">복제</button>
+              ${builtin ? '' : `
+                <button class="template-edit px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-blue-600">수정</button>
+                <button class="template-export px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300">JSON</button>
+                <button class="template-delete px-2 py-1 rounded hover:bg-red-50 dark:hover:bg-red-900 text-red-600">삭제</button>
+              `}
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 템플릿 목록 이벤트 설정
+   */
+  setupListEvents() {
+    const list = document.getElementById('template-list');
+    if (!list) return;
+
+    list.querySelectorAll('[data-template]').forEach(item => {
+      const name = item.dataset.template;
+      const bind = (selector, handler) => {
+        const btn = item.querySelector(selector);
+        if (btn) btn.addEventListener('click', handler);
+      };
+
+      bind('.template-duplicate', () => {
+        this.openForm(this.templateManager.duplicateTemplate(name), null);
+      });
+
+      bind('.template-edit', () => {
+        this.openForm(this.templateManager.getTemplate(name), name);
+      });
+
+      bind('.template-export', () => {
+        this.exportToFile([name]);
+      });
+
+      bind('.template-delete', () => {
+        this.modalManager.confirm(`'${MarkdownHelper.escapeHTML(name)}' 템플릿을 삭제하시겠습니까?`, () => {
+          try {
+            this.templateManager.deleteTemplate(name);
+            this.notifyChange();
+            this.uiManager.showToast('success', '템플릿이 삭제되었습니다.');
+          } catch (error) {
+            this.uiManager.showToast('error', error.message);
+          }
+          this.reopenList();
+        }, () => this.reopenList());
+      });
+    });
+  }
+
+  /**
+   * 템플릿 편집 폼 모달 열기
+   * @param {Object} template - 편집할 템플릿 (보정된 객체)
+   * @param {string|null} originalName - 수정 중인 기존 템플릿 이름 (새로 만들면 null)
+   */
+  openForm(template, originalName) {
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+    const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+    const options = (map, selected) => Object.entries(map)
+      .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const numberInput = (id, value, step = 1) =>
+      `<input type="number" id="${id}" value="${value}" min="0" step="${step}" class="${inputClass}">`;
+
+    const content = `
+      <div class="space-y-4">
+        <div class="grid grid-cols-2 gap-3">
+          <div>
+            <label class="${labelClass}">이름 (영문 ID)</label>
+            <input type="text" id="tpl-name" value="${MarkdownHelper.escapeHTML(template.name)}" class="${inputClass}">
+          </div>
+          <div>
+            <label class="${labelClass}">표시 이름</label>
+            <input type="text" id="tpl-display-name" value="${MarkdownHelper.escapeHTML(template.displayName || '')}" maxlength="${TemplateManager.TEXT_LIMITS.displayName}" class="${inputClass}">
+          </div>
+        </div>
+        <div>
+          <label class="${labelClass}">설명</label>
+          <input type="text" id="tpl-description" value="${MarkdownHelper.escapeHTML(template.description || '')}" maxlength="${TemplateManager.TEXT_LIMITS.description}" class="${inputClass}">
+        </div>
+
+        <div class="grid grid-cols-3 gap-3">
+          <div>
+            <label class="${labelClass}">폰트</label>
+            <select id="tpl-font" class="${inputClass}">${options(TemplateEditor.FONT_OPTIONS, template.font)}</select>
+          </div>
+          <div>
+            <label class="${labelClass}">본문 크기 (pt)</label>
+            ${numberInput('tpl-font-size', template.fontSize, 0.5)}
+          </div>
+          <div>
+            <label class="${labelClass}">줄 간격</label>
+            ${numberInput('tpl-line-height', template.lineHeight, 0.1)}
+          </div>
+        </div>
+
+        <div>
+          <label class="${labelClass}">제목 크기 (pt)</label>
+          <div class="grid grid-cols-6 gap-2">
+            ${[1, 2, 3, 4, 5, 6].map(level => `
+              <div>
+                <span class="text-xs text-gray-500">H${level}</span>
+                ${numberInput(`tpl-heading-${level}`, template.headingSize[level], 0.5)}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="grid grid-cols-2 gap-3">
+          <div>
+            <label class="${labelClass}">용지 크기</label>
+            <select id="tpl-page-size" class="${inputClass}">${options(TemplateEditor.PAGE_SIZE_OPTIONS, template.pageSize)}</select>
+          </div>
+          <div>
+            <label class="${labelClass}">방향</label>
+            <select id="tpl-orientation" class="${inputClass}">${options({ portrait: '세로', landscape: '가로' }, template.orientation)}</select>
+          </div>
+        </div>
+
+        <div>
+          <label class="${labelClass}">여백 (pt, 72pt = 1인치)</label>
+          <div class="grid grid-cols-4 gap-2">
+            ${Object.entries(TemplateEditor.MARGIN_LABELS).map(([side, label]) => `
+              <div>
+                <span class="text-xs text-gray-500">${label}</span>
+                ${numberInput(`tpl-margin-${side}`, template.margin[side])}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        <div>
+          <label class="${labelClass}">머리글 / 바닥글</label>
+          <p class="text-xs text-gray-500 mb-2">변수: {title} 제목, {page} 쪽 번호, {pages} 전체 쪽수, {date} 날짜, {author} 작성자</p>
+          ${['header', 'footer'].map(zone => `
+            <div class="grid grid-cols-3 gap-2 mb-2">
+              ${Object.entries(TemplateEditor.SLOT_LABELS).map(([position, label]) => `
+                <div>
+                  <span class="text-xs text-gray-500">${zone === 'header' ? '머리글' : '바닥글'} ${label}</span>
+                  <input type="text" id="tpl-${zone}-${position}" value="${MarkdownHelper.escapeHTML(template[zone][position])}" class="${inputClass}">
+                </div>
+              `).join('')}
+            </div>
+          `).join('')}
+          <label class="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="tpl-hide-first-page" class="mr-2" ${template.hideHeaderFooterOnFirstPage ? 'checked' : ''}>
+            첫 페이지에는 머리글/바닥글 표시 안 함
+          </label>
+        </div>
+
+        <div>
+          <label class="${labelClass}">색상</label>
+          <div class="grid grid-cols-5 gap-2">
+            ${Object.entries(TemplateEditor.COLOR_LABELS).map(([key, label]) => `
+              <div>
+                <span class="text-xs text-gray-500">${label}</span>
+                <input type="color" id="tpl-color-${key}" value="${this.toColorInputValue(template.colors[key])}"
+                  class="w-full h-9 p-0.5 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700">
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.modalManager.show(TemplateEditor.FORM_MODAL_ID, {
+      title: originalName ? '템플릿 수정' : '새 템플릿',
+      content: content,
+      size: 'large',
+      buttons: [
+        { label: '취소', action: 'cancel' },
+        { label: '저장하기', action: 'save', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    this.modalManager.onAction(TemplateEditor.FORM_MODAL_ID, (action) => {
+      if (action === 'save') {
+        try {
+          const saved = this.templateManager.saveTemplate({ ...template, ...this.readForm() }, originalName);
+
+          // 사용 중이던 템플릿의 이름이 바뀌면 설정도 따라감
+          const settings = StorageManager.getSettings();
+          if (originalName && settings.defaultTemplate === originalName) {
+            settings.defaultTemplate = saved.name;
+            StorageManager.saveSettings(settings);
+          }
+
+          this.notifyChange();
+          this.uiManager.showToast('success', '템플릿이 저장되었습니다.');
+          this.open();
+        } catch (error) {
+          this.uiManager.showToast('error', error.message);
+        }
+      } else if (action === 'cancel') {
+        this.open();
+      }
+    });
+  }
+
+  /**
+   * 편집 폼 값 읽기
+   * @returns {Object} 템플릿 필드
+   */
+  readForm() {
+    const value = (id) => document.getElementById(id).value;
+    const number = (id) => parseFloat(value(id));
+
+    const headingSize = {};
+    [1, 2, 3, 4, 5, 6].forEach(level => {
+      headingSize[level] = number(`tpl-heading-${level}`);
+    });
+
+    const margin = {};
+    Object.keys(TemplateEditor.MARGIN_LABELS).forEach(side => {
+      margin[side] = number(`tpl-margin-${side}`);
+    });
+
+    const colors = {};
+    Object.keys(TemplateEditor.COLOR_LABELS).forEach(key => {
+      colors[key] = value(`tpl-color-${key}`);
+    });
+
+    const header = {};
+    const footer = {};
+    Object.keys(TemplateEditor.SLOT_LABELS).forEach(position => {
+      header[position] = value(`tpl-header-${position}`);
+      footer[position] = value(`tpl-footer-${position}`);
+    });
+
+    return {
+      name: value('tpl-name').trim(),
+      displayName: value('tpl-display-name').trim(),
+      description: value('tpl-description').trim(),
+      font: value('tpl-font'),
+      fontSize: number('tpl-font-size'),
+      lineHeight: number('tpl-line-height'),
+      headingSize,
+      margin,
+      orientation: value('tpl-orientation'),
+      pageSize: value('tpl-page-size'),
+      colors,
+      header,
+      footer,
+      hideHeaderFooterOnFirstPage: document.getElementById('tpl-hide-first-page').checked
+    };
+  }
+
+  /**
+   * JSON 파일에서 템플릿 가져오기
+   */
+  importFromFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const text = await window.app.fileHandler.readFile(file);
+        const imported = this.templateManager.importTemplates(text);
+        this.notifyChange();
+        this.uiManager.showToast('success', `템플릿 ${imported.length}개를 가져왔습니다.`);
+        this.refreshList();
+      } catch (error) {
+        console.error('Failed to import templates:', error);
+        this.uiManager.showToast('error', `템플릿 가져오기 실패: ${error.message}`);
+      }
+    });
+
+    input.click();
+  }
+
+  /**
+   * 템플릿을 JSON 파일로 내보내기
+   * @param {Array<string>} names - 내보낼 템플릿 이름 (생략 시 사용자 정의 템플릿 전체)
+   */
+  exportToFile(names) {
+    const targets = names || Object.keys(this.templateManager.customTemplates);
+    if (targets.length === 0) {
+      this.uiManager.showToast('info', '내보낼 사용자 정의 템플릿이 없습니다.');
+      return;
+    }
+
+    const json = this.templateManager.exportTemplates(targets);
+    const filename = targets.length === 1 ? `${targets[0]}.json` : 'templates.json';
+    window.app.fileHandler.downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8' }), filename);
+  }
+
+  /**
+   * 목록 모달 다시 열기 (확인 다이얼로그가 목록 모달을 닫으므로)
+   */
+  reopenList() {
+    setTimeout(() => this.open(), 250);
+  }
+
+  /**
+   * 열려 있는 목록 새로고침
+   */
+  refreshList() {
+    const list = document.getElementById('template-list');
+    if (!list) return;
+
+    list.innerHTML = this.renderList();
+    this.setupListEvents();
+  }
+
+  /**
+   * 템플릿 변경 알림 (템플릿 메뉴와 미리보기 갱신용)
+   */
+  notifyChange() {
+    window.dispatchEvent(new CustomEvent('templates-changed'));
+  }
+
+  /**
+   * color input에 넣을 수 있는 #rrggbb 값으로 변환
+   * @param {string} color - 색상 값
+   * @returns {string} #rrggbb
+   */
+  toColorInputValue(color) {
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    return short ? `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}` : color;
+  }
+}
@@ -7,6 +7,7 @@ class UIManager {
     this.modalManager = new ModalManager();
     this.currentTheme = 'light';
     this.currentFontSize = 16; // 기본 글꼴 크기
+    this.documentBrowser = new DocumentBrowser(this);
   }
 
   /**
@@ -73,6 +74,8 @@ class UIManager {
     const settings = StorageManager.getSettings();
     settings.theme = theme;
     StorageManager.saveSettings(settings);
+
+    window.dispatchEvent(new CustomEvent('theme-change', { detail: { theme } }));
   }
 
   /**
@@ -191,6 +194,15 @@ class UIManager {
       });
     }
 
+    const exportPdfBtn = document.getElementById('export-pdf-btn');
+    if (exportPdfBtn) {
+      exportPdfBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.exportPDF === 'function') {
+          window.app.exportPDF();
+        }
+      });
+    }
+
     const exportMdBtn = document.getElementById('export-md-btn');
     if (exportMdBtn) {
       exportMdBtn.addEventListener('click', () => {
@@ -209,12 +221,82 @@ class UIManager {
       });
     }
 
+    const exportHtmlOfflineBtn = document.getElementById('export-html-offline-btn');
+    if (exportHtmlOfflineBtn) {
+      exportHtmlOfflineBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.exportOfflineHTML === 'function') {
+          window.app.exportOfflineHTML();
+        }
+      });
+    }
+
+    const exportDocxBtn = document.getElementById('export-docx-btn');
+    if (exportDocxBtn) {
+      exportDocxBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.exportDocx === 'function') {
+          window.app.exportDocx();
+        }
+      });
+    }
+
+    const exportEpubBtn = document.getElementById('export-epub-btn');
+    if (exportEpubBtn) {
+      exportEpubBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.openEpubExportModal === 'function') {
+          window.app.openEpubExportModal();
+        }
+      });
+    }
+
+    const exportPngBtn = document.getElementById('export-png-btn');
+    if (exportPngBtn) {
+      exportPngBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.openPngExportModal === 'function') {
+          window.app.openPngExportModal();
+        }
+      });
+    }
+
+    const exportLatexBtn = document.getElementById('export-latex-btn');
+    if (exportLatexBtn) {
+      exportLatexBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.exportLatex === 'function') {
+          window.app.exportLatex();
+        }
+      });
+    }
+
+    const exportSlidesBtn = document.getElementById('export-slides-btn');
+    if (exportSlidesBtn) {
+      exportSlidesBtn.addEventListener('click', () => {
+        if (window.app && typeof window.app.exportSlides === 'function') {
+          window.app.exportSlides();
+        }
+      });
+    }
+
     // 내 문서
     const documentsBtn = document.getElementById('documents-btn');
     if (documentsBtn) {
       documentsBtn.addEventListener('click', () => this.showDocumentsList());
     }
 
+    // 워터마크 설정
+    const watermarkBtn = document.getElementById('watermark-btn');
+    if (watermarkBtn) {
+      watermarkBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('open-watermark-settings'));
+      });
+    }
+
+    // PDF 템플릿 관리
+    const manageTemplatesBtn = document.getElementById('manage-templates-btn');
+    if (manageTemplatesBtn) {
+      manageTemplatesBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('open-template-editor'));
+      });
+    }
+
     // 학습 가이드
     const guideBtn = document.getElementById('guide-btn');
     if (guideBtn) {
@@ -257,6 +339,27 @@ class UIManager {
       });
     }
 
+    // 발표 모드 버튼
+    const presentBtn = document.getElementById('present-btn');
+    if (presentBtn) {
+      presentBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('start-presentation'));
+      });
+    }
+
+    // 페이지 보기 버튼
+    const pageViewBtn = document.getElementById('page-view-btn');
+    if (pageViewBtn) {
+      pageViewBtn.classList.toggle('active', StorageManager.getSettings().pageView);
+      pageViewBtn.addEventListener('click', () => {
+        const enabled = !pageViewBtn.classList.contains('active');
+        pageViewBtn.classList.toggle('active', enabled);
+        window.dispatchEvent(new CustomEvent('toggle-page-view', {
+          detail: { enabled }
+        }));
+      });
+    }
+
     if (fullscreenPreviewBtn) {
       fullscreenPreviewBtn.addEventListener('click', () => {
         const preview = document.getElementById('markdown-preview').parentElement;
@@ -265,6 +368,45 @@ class UIManager {
     }
   }
 
+  /**
+   * 내보내기 메뉴의 템플릿 선택 목록 렌더링
+   * @param {Array} templates - 템플릿 배열
+   * @param {string} activeName - 현재 템플릿 이름
+   */
+  renderTemplateOptions(templates, activeName) {
+    const container = document.getElementById('template-options');
+    if (!container) return;
+
+    const escape = MarkdownHelper.escapeHTML;
+    container.innerHTML = templates.map(template => `
+      <button class="template-option flex items-center justify-between w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+        data-template="${escape(template.name)}" title="${escape(template.description || '')}">
+        <span class="flex items-center">
+          <span class="inline-block w-3 h-3 rounded-full mr-2" style="background: ${TemplateManager.isColor(template.colors.accent) ? template.colors.accent : 'transparent'}"></span>
+          ${escape(template.displayName || template.name)}
+        </span>
+        ${template.name === activeName ? '<span class="text-blue-600 dark:text-blue-400">✓</span>' : ''}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.template-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('template-change', {
+          detail: { name: btn.dataset.template }
+        }));
+      });
+    });
+  }
+
+  /**
+   * 내보내기 메뉴에 워터마크 사용 여부 표시
+   * @param {boolean} enabled - 사용 여부
+   */
+  updateWatermarkStatus(enabled) {
+    const status = document.getElementById('watermark-status');
+    if (status) status.textContent = enabled ? '켜짐' : '';
+  }
+
   /**
    * 마크다운 버튼 설정
    */
@@ -305,6 +447,19 @@ class UIManager {
       this.showToast('error', e.detail.message);
     });
 
+    // 다른 탭이 저장소를 새 버전으로 열어 이 탭의 연결이 닫힘
+    window.addEventListener('storage-outdated', (e) => {
+      this.showToast('warning', e.detail.message, 60000, {
+        label: '새로고침',
+        onClick: () => window.location.reload()
+      });
+    });
+
+    // 문서 기록 실패 (변경 사항은 되돌려짐)
+    window.addEventListener('storage-error', (e) => {
+      this.showToast('error', e.detail.message, 5000);
+    });
+
     // 토스트 표시
     window.addEventListener('show-toast', (e) => {
       this.showToast(e.detail.type, e.detail.message);
@@ -316,12 +471,24 @@ class UIManager {
    * @param {string} type - 타입 (success, error, info, warning)
    * @param {string} message - 메시지
    * @param {number} duration - 표시 시간 (ms)
+   * @param {Object} action - 토스트 안 버튼 (선택) { label, onClick }, 예: 삭제 실행 취소
    */
-  showToast(type, message, duration = 3000) {
+  showToast(type, message, duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
 
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
+
     document.body.appendChild(toast);
 
     setTimeout(() => {
@@ -333,120 +500,10 @@ class UIManager {
   }
 
   /**
-   * 문서 목록 모달 표시
+   * 문서 목록 모달 표시 (폴더, 태그, 즐겨찾기 정리)
    */
   showDocumentsList() {
-    const documents = StorageManager.getAllDocuments();
-
-    if (documents.length === 0) {
-      this.modalManager.alert('저장된 문서가 없습니다.');
-      return;
-    }
-
-    const content = `
-      <div class="mb-4">
-        <input type="text" id="doc-search" placeholder="문서 검색..."
-          class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white">
-      </div>
-      <div id="documents-list" class="space-y-2 max-h-96 overflow-y-auto">
-        ${this.renderDocumentsList(documents)}
-      </div>
-    `;
-
-    this.modalManager.show('documents-list', {
-      title: '내 문서',
-      content: content,
-      size: 'large',
-      buttons: [
-        { label: '닫기', action: 'close', className: 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600' }
-      ]
-    });
-
-    // 검색 기능
-    setTimeout(() => {
-      const searchInput = document.getElementById('doc-search');
-      if (searchInput) {
-        searchInput.addEventListener('input', (e) => {
-          const query = e.target.value;
-          const filtered = StorageManager.searchDocuments(query);
-          document.getElementById('documents-list').innerHTML = this.renderDocumentsList(filtered);
-          this.setupDocumentListEvents();
-        });
-      }
-
-      this.setupDocumentListEvents();
-    }, 100);
-  }
-
-  /**
-   * 문서 목록 렌더링
-   * @param {Array} documents - 문서 배열
-   * @returns {string} HTML
-   */
-  renderDocumentsList(documents) {
-    return documents.map(doc => {
-      const date = new Date(doc.lastModified).toLocaleString('ko-KR');
-      const preview = doc.content.substring(0, 100).replace(/\n/g, ' ');
-
-      return `
-        <div class="doc-item p-3 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer transition-colors" data-doc-id="${doc.id}">
-          <div class="flex items-start justify-between">
-            <div class="flex-1">
-              <h5 class="font-semibold text-gray-900 dark:text-white">${doc.title}</h5>
-              <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">${preview}...</p>
-              <p class="text-xs text-gray-500 dark:text-gray-500 mt-2">${date}</p>
-            </div>
-            <button class="doc-delete ml-2 p-1 text-red-600 hover:bg-red-50 dark:hover:bg-red-900 rounded" data-doc-id="${doc.id}">
-              <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-              </svg>
-            </button>
-          </div>
-        </div>
-      `;
-    }).join('');
-  }
-
-  /**
-   * 문서 목록 이벤트 설정
-   */
-  setupDocumentListEvents() {
-    // 문서 클릭 (로드)
-    document.querySelectorAll('.doc-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        if (e.target.closest('.doc-delete')) return;
-
-        const docId = parseInt(item.dataset.docId);
-        const document = StorageManager.getDocument(docId);
-
-        if (document) {
-          window.dispatchEvent(new CustomEvent('load-document', {
-            detail: { document }
-          }));
-          this.modalManager.close('documents-list');
-          this.showToast('success', '문서를 불러왔습니다.');
-        }
-      });
-    });
-
-    // 문서 삭제
-    document.querySelectorAll('.doc-delete').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-
-        const docId = parseInt(btn.dataset.docId);
-
-        this.modalManager.confirm('이 문서를 삭제하시겠습니까?', () => {
-          StorageManager.deleteDocument(docId);
-          this.showToast('success', '문서가 삭제되었습니다.');
-
-          // 목록 새로고침
-          const documents = StorageManager.getAllDocuments();
-          document.getElementById('documents-list').innerHTML = this.renderDocumentsList(documents);
-          this.setupDocumentListEvents();
-        });
-      });
-    });
+    this.documentBrowser.open();
   }
 
   /**
@@ -589,6 +646,10 @@ greet("마크다운");
               <td class="py-2"><kbd class="bg-gray-100 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-xs font-mono text-gray-800 dark:text-gray-300">Ctrl/Cmd + K</kbd></td>
               <td class="py-2 text-gray-600 dark:text-gray-400">링크 삽입</td>
             </tr>
+            <tr class="border-b border-gray-200 dark:border-gray-700">
+              <td class="py-2"><kbd class="bg-gray-100 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-xs font-mono text-gray-800 dark:text-gray-300">Ctrl/Cmd + P</kbd></td>
+              <td class="py-2 text-gray-600 dark:text-gray-400">PDF 내보내기</td>
+            </tr>
             <tr class="border-b border-gray-200 dark:border-gray-700">
               <td class="py-2"><kbd class="bg-gray-100 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-xs font-mono text-gray-800 dark:text-gray-300">Tab</kbd></td>
               <td class="py-2 text-gray-600 dark:text-gray-400">들여쓰기</td>
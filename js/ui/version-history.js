@@ -0,0 +1,333 @@
+/**
+ * VersionHistory - 문서 버전 기록 모달
+ * StorageManager에 쌓인 스냅샷 목록, 현재 내용과의 줄 단위 비교(나란히/한 줄), 선택한 버전 복원
+ */
+class VersionHistory {
+  static MODAL_ID = 'version-history';
+
+  // 바뀐 줄 앞뒤로 보여줄 같은 줄 수
+  static CONTEXT_LINES = 3;
+
+  // 줄 단위 LCS 표의 최대 크기 (넘으면 바뀐 구간 전체를 삭제/추가로 표시)
+  static MAX_DIFF_CELLS = 4000000;
+
+  /**
+   * @param {EditorManager} editorManager - 현재 문서와 내용
+   * @param {UIManager} uiManager - 모달, 알림
+   */
+  constructor(editorManager, uiManager) {
+    this.editorManager = editorManager;
+    this.uiManager = uiManager;
+    this.modalManager = uiManager.modalManager;
+    this.versions = [];
+    this.selected = 0;
+    this.viewMode = 'split';
+  }
+
+  /**
+   * 버전 기록 모달 열기
+   */
+  async open() {
+    const doc = this.editorManager.currentDocument;
+    if (!doc) {
+      this.uiManager.showToast('info', '문서를 저장하면 버전 기록이 시작됩니다.');
+      return;
+    }
+    if (!StorageManager.db) {
+      this.uiManager.showToast('warning', '이 브라우저에서는 버전 기록을 사용할 수 없습니다.');
+      return;
+    }
+
+    await StorageManager.flush();
+    this.versions = await StorageManager.getVersions(doc.id);
+    this.selected = 0;
+
+    if (this.versions.length === 0) {
+      this.modalManager.alert('아직 저장된 버전이 없습니다. 문서를 저장하면 버전이 기록됩니다.');
+      return;
+    }
+
+    const modeButton = (mode, label) => `
+      <button data-diff-mode="${mode}" class="px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">${label}</button>`;
+
+    this.modalManager.show(VersionHistory.MODAL_ID, {
+      title: `버전 기록 - ${MarkdownHelper.escapeHTML(doc.title)}`,
+      size: 'xlarge',
+      content: `
+        <div class="flex gap-4" style="height: 60vh;">
+          <ul id="version-list" class="w-56 flex-shrink-0 overflow-y-auto space-y-1">${this.renderList()}</ul>
+          <div class="flex-1 min-w-0 flex flex-col">
+            <div class="flex items-center justify-between mb-2">
+              <p id="version-summary" class="text-sm text-gray-600 dark:text-gray-400"></p>
+              <div class="flex gap-1">${modeButton('split', '나란히')}${modeButton('inline', '한 줄')}</div>
+            </div>
+            <div id="version-diff" class="flex-1 overflow-auto border border-gray-200 dark:border-gray-700 rounded"></div>
+          </div>
+        </div>
+      `,
+      buttons: [
+        { label: '닫기', action: 'close' },
+        { label: '이 버전으로 복원', action: 'restore', className: 'bg-blue-600 text-white hover:bg-blue-700' }
+      ]
+    });
+
+    document.getElementById('version-list').addEventListener('click', (e) => {
+      const item = e.target.closest('[data-version-index]');
+      if (item) this.select(Number(item.dataset.versionIndex));
+    });
+    document.querySelectorAll('[data-diff-mode]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.viewMode = button.dataset.diffMode;
+        this.renderDiff();
+      });
+    });
+
+    this.modalManager.onAction(VersionHistory.MODAL_ID, (action) => {
+      if (action === 'restore') this.restore(this.versions[this.selected]);
+    });
+
+    this.select(0);
+  }
+
+  /**
+   * 버전 목록 렌더링
+   * @returns {string} HTML
+   */
+  renderList() {
+    return this.versions.map((version, index) => `
+      <li data-version-index="${index}" class="version-item px-3 py-2 rounded cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700">
+        <p class="text-sm font-medium text-gray-900 dark:text-white">${new Date(version.createdAt).toLocaleString('ko-KR')}</p>
+        <p class="text-xs text-gray-500 dark:text-gray-400 truncate">${index === 0 ? '최신 · ' : ''}${version.content.length.toLocaleString()}자</p>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * 버전 선택
+   * @param {number} index - 버전 번호
+   */
+  select(index) {
+    this.selected = index;
+    document.querySelectorAll('.version-item').forEach(item => {
+      item.classList.toggle('active', Number(item.dataset.versionIndex) === index);
+    });
+    this.renderDiff();
+  }
+
+  /**
+   * 선택한 버전과 현재 내용 비교 표시
+   */
+  renderDiff() {
+    const container = document.getElementById('version-diff');
+    const version = this.versions[this.selected];
+    if (!container || !version) return;
+
+    const ops = VersionHistory.diffLines(version.content.split('\n'), this.editorManager.getContent().split('\n'));
+    const added = ops.filter(op => op.type === 'insert').length;
+    const removed = ops.filter(op => op.type === 'delete').length;
+
+    document.getElementById('version-summary').textContent = added || removed
+      ? `이 버전 이후 변경: ${added}줄 추가, ${removed}줄 삭제`
+      : '현재 내용과 같습니다.';
+    document.querySelectorAll('[data-diff-mode]').forEach(button => {
+      button.classList.toggle('active', button.dataset.diffMode === this.viewMode);
+    });
+
+    container.innerHTML = this.viewMode === 'inline' ? this.renderInline(ops) : this.renderSplit(ops);
+  }
+
+  /**
+   * 한 줄 비교 (삭제/추가 줄을 위아래로)
+   * @param {Array<Object>} ops - diffLines() 결과
+   * @returns {string} HTML
+   */
+  renderInline(ops) {
+    const rows = this.collapse(ops).map(op => {
+      if (op.type === 'skip') return this.skipRow(op.count, 3);
+
+      const sign = { insert: '+', delete: '-', equal: ' ' }[op.type];
+      return `<tr class="diff-${op.type}">
+        <td class="diff-num">${op.oldLine || ''}</td>
+        <td class="diff-num">${op.newLine || ''}</td>
+        <td class="diff-text">${sign} ${MarkdownHelper.escapeHTML(op.text)}</td>
+      </tr>`;
+    });
+    return `<table class="diff-table">${rows.join('')}</table>`;
+  }
+
+  /**
+   * 나란히 비교 (왼쪽 선택한 버전, 오른쪽 현재 내용)
+   * @param {Array<Object>} ops - diffLines() 결과
+   * @returns {string} HTML
+   */
+  renderSplit(ops) {
+    const rows = [];
+    const items = this.collapse(ops);
+
+    for (let i = 0; i < items.length; i++) {
+      const op = items[i];
+      if (op.type === 'skip') {
+        rows.push(this.skipRow(op.count, 4));
+        continue;
+      }
+      if (op.type === 'equal') {
+        rows.push(this.splitRow(op, op));
+        continue;
+      }
+
+      // 이어진 삭제/추가 묶음을 한 줄씩 짝지어 표시
+      const deleted = [];
+      const inserted = [];
+      while (i < items.length && (items[i].type === 'delete' || items[i].type === 'insert')) {
+        (items[i].type === 'delete' ? deleted : inserted).push(items[i]);
+        i++;
+      }
+      i--;
+      for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+        rows.push(this.splitRow(deleted[j], inserted[j]));
+      }
+    }
+    return `<table class="diff-table">${rows.join('')}</table>`;
+  }
+
+  /**
+   * 나란히 비교 한 행
+   * @param {Object} left - 이전 줄 (없으면 빈칸)
+   * @param {Object} right - 현재 줄 (없으면 빈칸)
+   * @returns {string} HTML
+   */
+  splitRow(left, right) {
+    const cell = (op, side) => {
+      if (!op) return '<td class="diff-num diff-empty"></td><td class="diff-text diff-empty"></td>';
+      const number = side === 'old' ? op.oldLine : op.newLine;
+      return `<td class="diff-num diff-${op.type}">${number}</td><td class="diff-text diff-${op.type}">${MarkdownHelper.escapeHTML(op.text)}</td>`;
+    };
+    return `<tr>${cell(left, 'old')}${cell(right, 'new')}</tr>`;
+  }
+
+  /**
+   * 접힌 같은 줄 표시 행
+   * @param {number} count - 접힌 줄 수
+   * @param {number} columns - 표 열 수
+   * @returns {string} HTML
+   */
+  skipRow(count, columns) {
+    return `<tr class="diff-skip"><td colspan="${columns}">⋯ 같은 내용 ${count}줄</td></tr>`;
+  }
+
+  /**
+   * 바뀐 줄에서 먼 같은 줄은 접기
+   * @param {Array<Object>} ops - diffLines() 결과
+   * @returns {Array<Object>} ops와 { type: 'skip', count }
+   */
+  collapse(ops) {
+    const context = VersionHistory.CONTEXT_LINES;
+    const near = new Array(ops.length).fill(false);
+    ops.forEach((op, i) => {
+      if (op.type === 'equal') return;
+      for (let j = Math.max(0, i - context); j <= Math.min(ops.length - 1, i + context); j++) near[j] = true;
+    });
+
+    const result = [];
+    let skipped = 0;
+    ops.forEach((op, i) => {
+      if (op.type === 'equal' && !near[i]) {
+        skipped++;
+        return;
+      }
+      if (skipped) result.push({ type: 'skip', count: skipped });
+      skipped = 0;
+      result.push(op);
+    });
+    if (skipped) result.push({ type: 'skip', count: skipped });
+    return result;
+  }
+
+  /**
+   * 선택한 버전으로 복원 (복원 전 현재 내용도 버전으로 남겨 되돌릴 수 있게)
+   * @param {Object} version - 복원할 버전
+   */
+  async restore(version) {
+    this.modalManager.close(VersionHistory.MODAL_ID);
+    if (!version) return;
+
+    const current = this.editorManager.getContent();
+    if (current === version.content) {
+      this.uiManager.showToast('info', '현재 내용과 같은 버전입니다.');
+      return;
+    }
+
+    const doc = this.editorManager.currentDocument;
+    await StorageManager.recordVersion({ ...doc, title: MarkdownHelper.extractTitle(current), content: current }, true);
+
+    this.editorManager.setContent(version.content);
+    this.editorManager.saveDocument();
+    this.uiManager.showToast('success', `${new Date(version.createdAt).toLocaleString('ko-KR')} 버전으로 복원했습니다.`);
+  }
+
+  /**
+   * 줄 단위 비교 (앞뒤 같은 줄을 잘라낸 뒤 LCS)
+   * @param {Array<string>} oldLines - 이전 줄 목록
+   * @param {Array<string>} newLines - 현재 줄 목록
+   * @returns {Array<Object>} { type: equal | delete | insert, text, oldLine, newLine }
+   */
+  static diffLines(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const middle = [];
+
+    if ((a.length + 1) * (b.length + 1) > VersionHistory.MAX_DIFF_CELLS) {
+      a.forEach(text => middle.push({ type: 'delete', text }));
+      b.forEach(text => middle.push({ type: 'insert', text }));
+    } else {
+      // lcs[i][j] = a[i..], b[j..]의 최장 공통 부분 수열 길이
+      const width = b.length + 1;
+      const lcs = new Uint32Array((a.length + 1) * width);
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i * width + j] = a[i] === b[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+          middle.push({ type: 'equal', text: a[i] });
+          i++;
+          j++;
+        } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+          middle.push({ type: 'delete', text: a[i++] });
+        } else {
+          middle.push({ type: 'insert', text: b[j++] });
+        }
+      }
+    }
+
+    // 줄 번호 매기기
+    const ops = [
+      ...oldLines.slice(0, start).map(text => ({ type: 'equal', text })),
+      ...middle,
+      ...oldLines.slice(oldEnd).map(text => ({ type: 'equal', text }))
+    ];
+    let oldLine = 0;
+    let newLine = 0;
+    ops.forEach(op => {
+      if (op.type !== 'insert') op.oldLine = ++oldLine;
+      if (op.type !== 'delete') op.newLine = ++newLine;
+    });
+    return ops;
+  }
+}